@@ -1,24 +1,15 @@
 const prisma = require('../lib/prisma');
 const asyncHandler = require('express-async-handler');
-
-// Threshold for considering a balance as old (in days)
-const OLD_BALANCE_THRESHOLD = 3;
+const { checkOldBalance } = require('../lib/receivablesAging');
 
 // Get client's balance age and details
 const getClientBalanceAge = asyncHandler(async (req, res) => {
   const { clientId } = req.params;
 
   try {
-    // Get the oldest unpaid order
-    const oldestUnpaidOrder = await prisma.myOrder.findFirst({
-      where: {
-        clientId: parseInt(clientId),
-        balance: { gt: 0 }  // Only orders with remaining balance
-      },
-      orderBy: { createdAt: 'asc' }
-    });
+    const balanceCheck = await checkOldBalance(prisma, parseInt(clientId));
 
-    if (!oldestUnpaidOrder) {
+    if (!balanceCheck.oldestOrder) {
       return res.json({
         success: true,
         data: {
@@ -30,32 +21,13 @@ const getClientBalanceAge = asyncHandler(async (req, res) => {
       });
     }
 
-    const daysOld = Math.floor((new Date() - new Date(oldestUnpaidOrder.createdAt)) / (1000 * 60 * 60 * 24));
-
-    // Get total outstanding balance
-    const totalBalance = await prisma.myOrder.aggregate({
-      where: {
-        clientId: parseInt(clientId),
-        balance: { gt: 0 }
-      },
-      _sum: {
-        balance: true
-      }
-    });
-
+    const { hasOldBalance: isOldBalance, ...details } = balanceCheck;
     res.json({
       success: true,
       data: {
         hasBalance: true,
-        balanceAge: daysOld,
-        lastUpdated: oldestUnpaidOrder.createdAt,
-        balance: totalBalance._sum.balance || 0,
-        isOldBalance: daysOld > OLD_BALANCE_THRESHOLD,
-        oldestOrder: {
-          id: oldestUnpaidOrder.id,
-          createdAt: oldestUnpaidOrder.createdAt,
-          balance: oldestUnpaidOrder.balance
-        }
+        ...details,
+        isOldBalance
       }
     });
   } catch (error) {
@@ -67,46 +39,11 @@ const getClientBalanceAge = asyncHandler(async (req, res) => {
   }
 });
 
-// Check if client has old balance
+// Check if client has old balance, using the aging policy of the
+// client's country (see lib/receivablesAging.js)
 const hasOldBalance = async (clientId) => {
   try {
-    // Get the oldest unpaid order
-    const oldestUnpaidOrder = await prisma.myOrder.findFirst({
-      where: {
-        clientId: parseInt(clientId),
-        balance: { gt: 0 }  // Only orders with remaining balance
-      },
-      orderBy: { createdAt: 'asc' }
-    });
-
-    if (!oldestUnpaidOrder) {
-      return { hasOldBalance: false };
-    }
-
-    const daysOld = Math.floor((new Date() - new Date(oldestUnpaidOrder.createdAt)) / (1000 * 60 * 60 * 24));
-
-    // Get total outstanding balance
-    const totalBalance = await prisma.myOrder.aggregate({
-      where: {
-        clientId: parseInt(clientId),
-        balance: { gt: 0 }
-      },
-      _sum: {
-        balance: true
-      }
-    });
-
-    return {
-      hasOldBalance: daysOld > OLD_BALANCE_THRESHOLD,
-      balanceAge: daysOld,
-      lastUpdated: oldestUnpaidOrder.createdAt,
-      balance: totalBalance._sum.balance || 0,
-      oldestOrder: {
-        id: oldestUnpaidOrder.id,
-        createdAt: oldestUnpaidOrder.createdAt,
-        balance: oldestUnpaidOrder.balance
-      }
-    };
+    return await checkOldBalance(prisma, parseInt(clientId));
   } catch (error) {
     console.error('Error checking old balance:', error);
     return { hasOldBalance: false };
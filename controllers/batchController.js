@@ -0,0 +1,94 @@
+const prisma = require('../lib/prisma');
+const { buildExpiryReport, getStoreBatches, writeOffBatch } = require('../lib/stockBatches');
+
+const optionalId = (value) => (value ? parseInt(value) : null);
+
+// @desc    Batches that have expired or expire soon, across stores
+// @route   GET /api/stores/expiring?days=30&storeId=&countryId=&productId=
+// @access  Private (warehouse, manager, admin)
+const getExpiringBatches = async (req, res) => {
+  try {
+    const days = req.query.days ? parseInt(req.query.days) : 30;
+    if (!(days >= 0 && days <= 365)) {
+      return res.status(400).json({ success: false, error: 'days must be between 0 and 365' });
+    }
+
+    const filters = {
+      storeId: optionalId(req.query.storeId),
+      countryId: optionalId(req.query.countryId),
+      productId: optionalId(req.query.productId)
+    };
+    if (Object.values(filters).some(value => Number.isNaN(value))) {
+      return res.status(400).json({ success: false, error: 'storeId, countryId and productId must be numbers' });
+    }
+
+    const report = await buildExpiryReport(prisma, { days, ...filters });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error building expiry report:', error);
+    res.status(500).json({ success: false, error: 'Failed to build expiry report' });
+  }
+};
+
+// @desc    Batches held in a store
+// @route   GET /api/stores/:id/batches?productId=&includeEmpty=true
+// @access  Private (warehouse, manager, admin)
+const getBatches = async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id);
+    const store = await prisma.stores.findUnique({
+      where: { id: storeId },
+      select: { id: true, name: true }
+    });
+    if (!store) {
+      return res.status(404).json({ success: false, error: 'Store not found' });
+    }
+
+    const batches = await getStoreBatches(prisma, storeId, {
+      productId: optionalId(req.query.productId),
+      includeEmpty: req.query.includeEmpty === 'true'
+    });
+    res.json({ success: true, data: { store, batches } });
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch batches' });
+  }
+};
+
+// @desc    Write off an expired or damaged batch, in full or in part
+// @route   POST /api/stores/:id/batches/:batchId/write-off
+// @access  Private (manager, admin)
+const writeOff = async (req, res) => {
+  try {
+    let quantity = null;
+    if (req.body.quantity !== undefined && req.body.quantity !== null) {
+      quantity = Number(req.body.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ success: false, error: 'quantity must be a positive whole number' });
+      }
+    }
+
+    const result = await writeOffBatch(parseInt(req.params.id), parseInt(req.params.batchId), {
+      quantity,
+      reason: req.body.reason ? String(req.body.reason).trim().slice(0, 100) : null,
+      user: req.user
+    });
+
+    console.log(`[Batches] ${result.quantity} units of batch ${result.batch.batchNumber} written off in store ${req.params.id} by ${req.user.id}`);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error writing off batch:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to write off batch',
+      ...(error.code && { code: error.code }),
+      ...(error.details && { details: error.details })
+    });
+  }
+};
+
+module.exports = {
+  getExpiringBatches,
+  getBatches,
+  writeOff
+};
@@ -0,0 +1,198 @@
+const prisma = require('../lib/prisma');
+const { Prisma } = require('@prisma/client');
+const { statusName } = require('../lib/orderStatus');
+const {
+  PAYMENT_TERMS,
+  HOLD_STATUS,
+  checkCredit,
+  releaseCreditHold
+} = require('../lib/creditControl');
+
+// @desc    Client's credit terms, what they owe and the credit left
+// @route   GET /api/outlets/:id/credit
+// @access  Private
+const getClientCredit = async (req, res) => {
+  try {
+    const clientId = parseInt(req.params.id);
+    if (isNaN(clientId)) {
+      return res.status(400).json({ success: false, error: 'Invalid client ID' });
+    }
+
+    const check = await checkCredit(prisma, clientId, 0, { useCredit: true });
+    if (!check.clientId) {
+      return res.status(404).json({ success: false, error: 'Client not found' });
+    }
+
+    const client = await prisma.clients.findUnique({
+      where: { id: clientId },
+      select: { creditDays: true }
+    });
+    const { orderAmount, exposure, excessAmount, onHold, message, ...credit } = check;
+
+    res.json({
+      success: true,
+      data: { ...credit, creditDays: client.creditDays }
+    });
+  } catch (error) {
+    console.error('Error fetching client credit:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch client credit' });
+  }
+};
+
+// @desc    Set a client's credit limit and payment terms
+// @route   PUT /api/outlets/:id/credit
+// @access  Private (finance, admin)
+const updateClientCredit = async (req, res) => {
+  try {
+    const clientId = parseInt(req.params.id);
+    if (isNaN(clientId)) {
+      return res.status(400).json({ success: false, error: 'Invalid client ID' });
+    }
+
+    const { creditLimit, paymentTerms, creditDays } = req.body;
+    const data = {};
+
+    if (creditLimit !== undefined) {
+      const limit = creditLimit === null || creditLimit === '' ? null : Number(creditLimit);
+      if (limit !== null && (isNaN(limit) || limit < 0)) {
+        return res.status(400).json({ success: false, error: 'creditLimit must be a non-negative amount, or null for no limit' });
+      }
+      data.creditLimit = limit === null ? null : new Prisma.Decimal(limit.toFixed(2));
+    }
+
+    if (paymentTerms !== undefined) {
+      const terms = String(paymentTerms).toUpperCase();
+      if (!Object.values(PAYMENT_TERMS).includes(terms)) {
+        return res.status(400).json({
+          success: false,
+          error: `paymentTerms must be one of: ${Object.values(PAYMENT_TERMS).join(', ')}`
+        });
+      }
+      data.paymentTerms = terms;
+    }
+
+    if (creditDays !== undefined) {
+      const days = creditDays === null || creditDays === '' ? null : Number(creditDays);
+      if (days !== null && (!Number.isInteger(days) || days < 0)) {
+        return res.status(400).json({ success: false, error: 'creditDays must be a whole number of days, or null to use the country default' });
+      }
+      data.creditDays = days;
+    }
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update: send creditLimit, paymentTerms or creditDays' });
+    }
+
+    const existing = await prisma.clients.findUnique({ where: { id: clientId }, select: { id: true } });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Client not found' });
+    }
+
+    const client = await prisma.clients.update({
+      where: { id: clientId },
+      data,
+      select: { id: true, name: true, creditLimit: true, paymentTerms: true, creditDays: true }
+    });
+
+    console.log(`[Credit] Client ${clientId} credit terms changed by ${req.user.id}:`, req.body);
+    res.json({ success: true, data: client });
+  } catch (error) {
+    console.error('Error updating client credit:', error);
+    res.status(500).json({ success: false, error: 'Failed to update client credit' });
+  }
+};
+
+// @desc    Credit holds, newest first. Released holds are the override audit trail.
+// @route   GET /api/orders/credit-holds?status=HELD|RELEASED&clientId=&orderId=
+// @access  Private (manager, finance, admin)
+const getCreditHolds = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  try {
+    const where = {};
+    if (req.query.status) {
+      const status = String(req.query.status).toUpperCase();
+      if (!Object.values(HOLD_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${Object.values(HOLD_STATUS).join(', ')}`
+        });
+      }
+      where.status = status;
+    }
+    if (req.query.clientId) where.clientId = parseInt(req.query.clientId);
+    if (req.query.orderId) where.orderId = parseInt(req.query.orderId);
+
+    const [total, holds] = await Promise.all([
+      prisma.orderCreditHold.count({ where }),
+      prisma.orderCreditHold.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { id: 'desc' },
+        include: {
+          client: { select: { id: true, name: true, creditLimit: true, paymentTerms: true } },
+          order: {
+            select: { id: true, status: true, totalAmount: true, balance: true, userId: true, createdAt: true }
+          }
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: holds.map(hold => ({
+        ...hold,
+        order: { ...hold.order, statusName: statusName(hold.order.status) }
+      })),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching credit holds:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch credit holds' });
+  }
+};
+
+// @desc    Release an order from credit hold
+// @route   POST /api/orders/:id/credit-release
+// @access  Private (manager, admin)
+const releaseOrderCreditHold = async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ success: false, error: 'Invalid order ID format' });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, error: 'A reason for releasing the credit hold is required' });
+    }
+
+    const order = await releaseCreditHold(orderId, req.user, String(reason).trim());
+
+    console.log(`[Credit] Order ${orderId} released from credit hold by ${req.user.id}`);
+    res.json({
+      success: true,
+      data: { ...order, statusName: statusName(order.status) }
+    });
+  } catch (error) {
+    console.error('Error releasing credit hold:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to release credit hold',
+      ...(error.code && { code: error.code })
+    });
+  }
+};
+
+module.exports = {
+  getClientCredit,
+  updateClientCredit,
+  getCreditHolds,
+  releaseOrderCreditHold
+};
@@ -0,0 +1,207 @@
+const prisma = require('../lib/prisma');
+const { loadCurrencies } = require('../lib/currencyUtils');
+const { setPriceList } = require('../lib/priceList');
+
+const POSITIONS = ['before', 'after'];
+
+/**
+ * Price list lines from the body ([{ id, amount }]). Repeated ids are refused.
+ */
+const parsePriceLines = (lines, label) => {
+  if (lines === undefined) return { items: [] };
+  if (!Array.isArray(lines)) {
+    return { error: `${label} must be a list of { id, amount }` };
+  }
+
+  const seen = new Set();
+  const items = [];
+  for (const line of lines) {
+    const id = parseInt(line.id);
+    const amount = Math.round(Number(line.amount) * 100) / 100;
+    if (isNaN(id) || isNaN(amount) || amount < 0) {
+      return { error: `Each line in ${label} needs an id and an amount of 0 or more` };
+    }
+    if (seen.has(id)) {
+      return { error: `${label} lists ${id} more than once` };
+    }
+    seen.add(id);
+    items.push({ id, amount });
+  }
+  return { items };
+};
+
+// @desc    Configured currencies and the countries using each
+// @route   GET /api/currencies
+// @access  Private
+const getCurrencies = async (req, res) => {
+  try {
+    const currencies = await prisma.currency.findMany({
+      orderBy: { code: 'asc' },
+      include: { countries: { select: { id: true, name: true } } }
+    });
+
+    res.json({ success: true, data: currencies });
+  } catch (error) {
+    console.error('Error fetching currencies:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch currencies' });
+  }
+};
+
+// @desc    Add a currency or change how it is shown
+// @route   PUT /api/currencies/:code
+// @access  Private (admin)
+const saveCurrency = async (req, res) => {
+  try {
+    const code = String(req.params.code).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) {
+      return res.status(400).json({ success: false, error: 'code must be a three-letter currency code' });
+    }
+
+    const name = req.body.name ? String(req.body.name).trim().slice(0, 100) : '';
+    const symbol = req.body.symbol ? String(req.body.symbol).trim().slice(0, 10) : '';
+    const decimalPlaces = req.body.decimalPlaces === undefined ? 2 : Number(req.body.decimalPlaces);
+    const position = req.body.position ? String(req.body.position).toLowerCase() : 'before';
+
+    if (!name || !symbol) {
+      return res.status(400).json({ success: false, error: 'name and symbol are required' });
+    }
+    if (!Number.isInteger(decimalPlaces) || decimalPlaces < 0 || decimalPlaces > 4) {
+      return res.status(400).json({ success: false, error: 'decimalPlaces must be a whole number from 0 to 4' });
+    }
+    if (!POSITIONS.includes(position)) {
+      return res.status(400).json({ success: false, error: `position must be one of: ${POSITIONS.join(', ')}` });
+    }
+
+    const data = { name, symbol, decimalPlaces, position };
+    const currency = await prisma.currency.upsert({
+      where: { code },
+      create: { code, ...data },
+      update: data
+    });
+    await loadCurrencies();
+
+    console.log(`[Currency] ${code} saved by ${req.user.id}`);
+    res.json({ success: true, data: currency });
+  } catch (error) {
+    console.error('Error saving currency:', error);
+    res.status(500).json({ success: false, error: 'Failed to save currency' });
+  }
+};
+
+// @desc    Set the currency a country prices and invoices in
+// @route   PUT /api/currencies/countries/:countryId
+// @access  Private (admin)
+const setCountryCurrency = async (req, res) => {
+  try {
+    const countryId = parseInt(req.params.countryId);
+    const currencyCode = String(req.body.currencyCode || '').toUpperCase();
+
+    const [country, currency] = await Promise.all([
+      prisma.country.findUnique({ where: { id: countryId } }),
+      prisma.currency.findUnique({ where: { code: currencyCode } })
+    ]);
+    if (!country) {
+      return res.status(404).json({ success: false, error: 'Country not found' });
+    }
+    if (!currency) {
+      return res.status(404).json({ success: false, error: `Currency ${currencyCode} is not configured`, code: 'CURRENCY_NOT_FOUND' });
+    }
+
+    const updated = await prisma.country.update({
+      where: { id: countryId },
+      data: { currencyCode },
+      select: { id: true, name: true, currencyCode: true }
+    });
+    await loadCurrencies();
+
+    console.log(`[Currency] Country ${countryId} set to ${currencyCode} by ${req.user.id}`);
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('Error setting country currency:', error);
+    res.status(500).json({ success: false, error: 'Failed to set country currency' });
+  }
+};
+
+// @desc    Prices of products and price options in one currency
+// @route   GET /api/currencies/:code/prices
+// @access  Private (finance, manager, admin)
+const getPriceList = async (req, res) => {
+  try {
+    const currencyCode = String(req.params.code).toUpperCase();
+    const currency = await prisma.currency.findUnique({ where: { code: currencyCode } });
+    if (!currency) {
+      return res.status(404).json({ success: false, error: `Currency ${currencyCode} is not configured`, code: 'CURRENCY_NOT_FOUND' });
+    }
+
+    const prices = await prisma.price.findMany({
+      where: { currencyCode },
+      include: {
+        product: { select: { id: true, name: true } },
+        priceOption: { select: { id: true, option: true, categoryId: true } }
+      },
+      orderBy: { id: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        currency,
+        products: prices
+          .filter(price => price.productId)
+          .map(price => ({ id: price.productId, name: price.product.name, amount: price.amount, updatedAt: price.updatedAt })),
+        priceOptions: prices
+          .filter(price => price.priceOptionId)
+          .map(price => ({
+            id: price.priceOptionId,
+            option: price.priceOption.option,
+            categoryId: price.priceOption.categoryId,
+            amount: price.amount,
+            updatedAt: price.updatedAt
+          }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching price list:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch price list' });
+  }
+};
+
+// @desc    Set prices of products and price options in one currency
+// @route   PUT /api/currencies/:code/prices
+// @access  Private (manager, admin)
+const updatePriceList = async (req, res) => {
+  try {
+    const products = parsePriceLines(req.body.products, 'products');
+    const priceOptions = parsePriceLines(req.body.priceOptions, 'priceOptions');
+    const error = products.error || priceOptions.error;
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (products.items.length === 0 && priceOptions.items.length === 0) {
+      return res.status(400).json({ success: false, error: 'Send products or priceOptions to price' });
+    }
+
+    const result = await setPriceList(String(req.params.code).toUpperCase(), {
+      products: products.items,
+      priceOptions: priceOptions.items
+    }, req.user);
+
+    console.log(`[Currency] ${result.products} product and ${result.priceOptions} price option prices set in ${result.currencyCode} by ${req.user.id}`);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error updating price list:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update price list',
+      ...(error.code && { code: error.code })
+    });
+  }
+};
+
+module.exports = {
+  getCurrencies,
+  saveCurrency,
+  setCountryCurrency,
+  getPriceList,
+  updatePriceList
+};
@@ -0,0 +1,157 @@
+const prisma = require('../lib/prisma');
+const { statusName } = require('../lib/orderStatus');
+const { PAYMENT_STATUS } = require('../lib/paymentVerification');
+const {
+  renderInvoice,
+  renderDeliveryNote,
+  renderReceipt,
+  storeDocument
+} = require('../lib/documentService');
+
+const MANAGER_ROLES = ['MANAGER', 'ADMIN'];
+const isManagerRole = (user) => MANAGER_ROLES.includes(String(user?.role || '').toUpperCase());
+
+// Statuses in which goods are on their way or delivered
+const DELIVERY_STATUSES = ['approved', 'dispatched', 'delivered'];
+
+// Reps see their own orders; managers see all
+const findOrderForDocument = (req, includeAllocations = false) =>
+  prisma.myOrder.findFirst({
+    where: {
+      id: parseInt(req.params.id),
+      ...(!isManagerRole(req.user) && { userId: req.user.id })
+    },
+    include: {
+      client: true,
+      user: { select: { id: true, name: true } },
+      orderItems: {
+        include: {
+          product: true,
+          priceOption: true,
+          ...(includeAllocations && {
+            allocations: { include: { store: { select: { id: true, name: true } } } }
+          })
+        }
+      }
+    }
+  });
+
+/**
+ * Send a PDF inline. With ?store=true it is uploaded first and `saveUrl` is
+ * called with the URL, which is also returned in the X-Document-Url header.
+ */
+const sendPdf = async (req, res, { buffer, filename, saveUrl }) => {
+  if (req.query.store === 'true') {
+    const url = await storeDocument(buffer, filename);
+    await saveUrl(url);
+    res.set('X-Document-Url', url);
+  }
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
+
+// @desc    Invoice PDF for an approved order
+// @route   GET /api/orders/:id/invoice.pdf?store=true
+// @access  Private
+const getInvoicePdf = async (req, res) => {
+  try {
+    const order = await findOrderForDocument(req);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    if (!order.invoiceNumber) {
+      return res.status(409).json({
+        success: false,
+        error: `Order is ${statusName(order.status)} and has not been invoiced yet`
+      });
+    }
+
+    const buffer = await renderInvoice(order);
+    await sendPdf(req, res, {
+      buffer,
+      filename: `${order.invoiceNumber}.pdf`,
+      saveUrl: (invoiceUrl) => prisma.myOrder.update({ where: { id: order.id }, data: { invoiceUrl } })
+    });
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate invoice' });
+  }
+};
+
+// @desc    Delivery note PDF for an approved, dispatched or delivered order
+// @route   GET /api/orders/:id/delivery-note.pdf?store=true
+// @access  Private
+const getDeliveryNotePdf = async (req, res) => {
+  try {
+    const order = await findOrderForDocument(req, true);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    const currentStatus = statusName(order.status);
+    if (!DELIVERY_STATUSES.includes(currentStatus)) {
+      return res.status(409).json({
+        success: false,
+        error: `No delivery note for an order that is ${currentStatus}`
+      });
+    }
+
+    const buffer = await renderDeliveryNote(order);
+    await sendPdf(req, res, {
+      buffer,
+      filename: `delivery-note-${order.id}.pdf`,
+      saveUrl: (deliveryNoteUrl) => prisma.myOrder.update({ where: { id: order.id }, data: { deliveryNoteUrl } })
+    });
+  } catch (error) {
+    console.error('Error generating delivery note:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate delivery note' });
+  }
+};
+
+// @desc    Receipt PDF for a client payment
+// @route   GET /api/outlets/:id/payments/:paymentId/receipt.pdf?store=true
+// @access  Private
+const getPaymentReceiptPdf = async (req, res) => {
+  try {
+    const payment = await prisma.clientPayment.findFirst({
+      where: {
+        id: parseInt(req.params.paymentId),
+        clientId: parseInt(req.params.id)
+      },
+      include: {
+        client: true,
+        user: { select: { id: true, name: true } }
+      }
+    });
+
+    if (!payment) {
+      return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+
+    if (payment.status === PAYMENT_STATUS.REJECTED) {
+      return res.status(409).json({ success: false, error: 'No receipt for a rejected payment' });
+    }
+
+    const buffer = await renderReceipt(payment);
+    await sendPdf(req, res, {
+      buffer,
+      filename: `receipt-${payment.id}.pdf`,
+      saveUrl: (receiptUrl) => prisma.clientPayment.update({ where: { id: payment.id }, data: { receiptUrl } })
+    });
+  } catch (error) {
+    console.error('Error generating receipt:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate receipt' });
+  }
+};
+
+module.exports = {
+  getInvoicePdf,
+  getDeliveryNotePdf,
+  getPaymentReceiptPdf
+};
@@ -0,0 +1,253 @@
+const prisma = require('../lib/prisma');
+const { Prisma } = require('@prisma/client');
+const { ORDER_STATUS, statusName, transitionOrder } = require('../lib/orderStatus');
+const { assignedManagerFilter, approvalStamp } = require('../lib/orderApproval');
+const { cancelOrderTx } = require('./orderController');
+
+// Find a submitted order the caller is an assigned manager for
+const findPendingOrder = (orderId, userId) =>
+  prisma.myOrder.findFirst({
+    where: {
+      id: orderId,
+      status: ORDER_STATUS.submitted,
+      ...assignedManagerFilter(userId)
+    }
+  });
+
+// @desc    Orders waiting for the caller's approval
+// @route   GET /api/orders/approvals
+// @access  Private (assigned managers)
+const getApprovalQueue = async (req, res) => {
+  const managerId = req.user.id;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const where = {
+    status: ORDER_STATUS.submitted,
+    ...assignedManagerFilter(managerId)
+  };
+
+  try {
+    const [total, orders] = await Promise.all([
+      prisma.myOrder.count({ where }),
+      prisma.myOrder.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'asc' }, // Oldest first so nothing waits forever
+        include: {
+          orderItems: {
+            include: {
+              product: true,
+              priceOption: true
+            }
+          },
+          client: true,
+          user: {
+            select: {
+              id: true,
+              name: true,
+              phoneNumber: true
+            }
+          }
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: orders.map(order => ({
+        ...order,
+        statusName: statusName(order.status),
+        managerRoles: [
+          order.retail_manager === managerId && 'retail',
+          order.key_channel_manager === managerId && 'key_channel',
+          order.distribution_manager === managerId && 'distribution'
+        ].filter(Boolean)
+      })),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching approval queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch approval queue'
+    });
+  }
+};
+
+// @desc    Approve an order
+// @route   POST /api/orders/approvals/:id/approve
+// @access  Private (assigned managers)
+const approveOrder = async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    if (isNaN(orderId)) {
+      return res.status(400).json({ success: false, error: 'Invalid order ID format' });
+    }
+
+    const order = await findPendingOrder(orderId, req.user.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found in your approval queue'
+      });
+    }
+
+    const approved = await prisma.$transaction(
+      (tx) => transitionOrder(tx, order, 'approved', req.user, {
+        note: req.body.note || null,
+        data: approvalStamp(req.user)
+      }),
+      { maxWait: 5000, timeout: 10000 }
+    );
+
+    console.log(`[Approval] Order ${orderId} approved by ${req.user.id}`);
+    res.json({
+      success: true,
+      data: { ...approved, statusName: statusName(approved.status) }
+    });
+  } catch (error) {
+    console.error('Error approving order:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to approve order'
+    });
+  }
+};
+
+// @desc    Reject an order; it is cancelled and its stock released
+// @route   POST /api/orders/approvals/:id/reject
+// @access  Private (assigned managers)
+const rejectOrder = async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ success: false, error: 'Invalid order ID format' });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, error: 'A rejection reason is required' });
+    }
+
+    const order = await findPendingOrder(orderId, req.user.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found in your approval queue'
+      });
+    }
+
+    const result = await prisma.$transaction(
+      (tx) => cancelOrderTx(tx, order, req.user, `Rejected: ${String(reason).trim()}`, {
+        ...approvalStamp(req.user),
+        approvedTime: new Date().toISOString()
+      }),
+      { maxWait: 5000, timeout: 10000 }
+    );
+
+    console.log(`[Approval] Order ${orderId} rejected by ${req.user.id}`);
+    res.json({
+      success: true,
+      data: { ...result.order, statusName: statusName(result.order.status) },
+      restoredStock: result.restoredStock,
+      clientCredit: result.clientCredit
+    });
+  } catch (error) {
+    console.error('Error rejecting order:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to reject order'
+    });
+  }
+};
+
+// @desc    List auto-approval rules
+// @route   GET /api/orders/approvals/rules
+// @access  Private (admin)
+const getApprovalRules = async (req, res) => {
+  try {
+    const rules = await prisma.orderApprovalRule.findMany({
+      orderBy: [{ countryId: 'asc' }, { id: 'asc' }]
+    });
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error fetching approval rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch approval rules' });
+  }
+};
+
+// @desc    Create or replace the auto-approval rule for a country (or all countries)
+// @route   POST /api/orders/approvals/rules
+// @access  Private (admin)
+const saveApprovalRule = async (req, res) => {
+  try {
+    const { countryId, maxAmount, active = true } = req.body;
+    const amount = parseFloat(maxAmount);
+
+    if (isNaN(amount) || amount < 0) {
+      return res.status(400).json({ success: false, error: 'maxAmount must be a non-negative number' });
+    }
+
+    const scope = countryId ? parseInt(countryId) : null;
+
+    // One rule per scope: deactivate whatever was there before
+    const rule = await prisma.$transaction(async (tx) => {
+      await tx.orderApprovalRule.updateMany({
+        where: { countryId: scope, active: true },
+        data: { active: false }
+      });
+
+      return tx.orderApprovalRule.create({
+        data: {
+          countryId: scope,
+          maxAmount: new Prisma.Decimal(amount.toFixed(2)),
+          active: Boolean(active),
+          createdBy: req.user.id
+        }
+      });
+    });
+
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    console.error('Error saving approval rule:', error);
+    res.status(500).json({ success: false, error: 'Failed to save approval rule' });
+  }
+};
+
+// @desc    Switch off an auto-approval rule
+// @route   DELETE /api/orders/approvals/rules/:ruleId
+// @access  Private (admin)
+const disableApprovalRule = async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.ruleId);
+    const { count } = await prisma.orderApprovalRule.updateMany({
+      where: { id: ruleId },
+      data: { active: false }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ success: false, error: 'Approval rule not found' });
+    }
+
+    res.json({ success: true, message: 'Approval rule disabled' });
+  } catch (error) {
+    console.error('Error disabling approval rule:', error);
+    res.status(500).json({ success: false, error: 'Failed to disable approval rule' });
+  }
+};
+
+module.exports = {
+  getApprovalQueue,
+  approveOrder,
+  rejectOrder,
+  getApprovalRules,
+  saveApprovalRule,
+  disableApprovalRule
+};
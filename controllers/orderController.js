@@ -5,6 +5,40 @@ const path = require('path');
 const { uploadFile } = require('../lib/uploadService');
 const { Prisma } = require('@prisma/client');
 const { hasOldBalance } = require('./balanceController');
+const { orderReference, restoreOrderStock } = require('../lib/inventoryService');
+const {
+  getAllocationPolicy,
+  reserveAllocations,
+  allocateOrderItems
+} = require('../lib/fulfilmentAllocator');
+const { ISSUE, issue, quoteOrder, firstBlockingIssue, unitPrice } = require('../lib/orderQuote');
+const { findActivePromotions, orderVolumes, priceLine } = require('../lib/promotionEngine');
+const { findTaxRules, taxLine } = require('../lib/taxService');
+const { postClientEntry, netCharged, reverseCharges } = require('../lib/clientLedger');
+const { applyClientCredit, releaseOrderAllocations } = require('../lib/paymentAllocation');
+const {
+  ORDER_STATUS,
+  EDITABLE_STATUSES,
+  statusName,
+  parseStatusFilter,
+  transitionOrder
+} = require('../lib/orderStatus');
+const { checkCredit, applyCreditControl, HOLD_STATUS } = require('../lib/creditControl');
+const { assignedManagerFilter, approvalStamp } = require('../lib/orderApproval');
+const { findVanStore } = require('../lib/vanStock');
+
+// Roles allowed to approve, dispatch and deliver orders
+const MANAGER_ROLES = ['MANAGER', 'ADMIN'];
+const isManagerRole = (user) => MANAGER_ROLES.includes(String(user?.role || '').toUpperCase());
+
+const isDirectSale = (body) => body.directSale === true || body.directSale === 'true';
+
+// Direct sales are sold from the rep's van (see lib/vanStock.js)
+const directSaleError = () => ({
+  success: false,
+  error: 'You have no van stock to sell from. Ask the warehouse to load your van.',
+  code: 'VAN_NOT_FOUND'
+});
 
 // Configure multer for memory storage
 const upload = multer({
@@ -22,32 +56,6 @@ const upload = multer({
   }
 }).single('image');
 
-// Add the balance check function
-const checkClientBalance = async (clientId) => {
-  try {
-    const latestBalance = await prisma.clientHistory.findFirst({
-      where: { client_id: parseInt(clientId) },
-      orderBy: { createdAt: 'desc' }
-    });
-
-    if (!latestBalance) return { hasOldBalance: false };
-
-    const balanceDate = new Date(latestBalance.createdAt);
-    const today = new Date();
-    const balanceAge = Math.floor((today - balanceDate) / (1000 * 60 * 60 * 24));
-
-    const OLD_BALANCE_THRESHOLD = 30;
-    return {
-      hasOldBalance: balanceAge > OLD_BALANCE_THRESHOLD,
-      balanceAge,
-      lastUpdated: latestBalance.createdAt
-    };
-  } catch (error) {
-    console.error('[Balance Check] Error:', error);
-    return { hasOldBalance: false };
-  }
-};
-
 const createOrder = asyncHandler(async (req, res) => {
   upload(req, res, async function(err) {
     if (err) {
@@ -175,615 +183,201 @@ const createOrder = asyncHandler(async (req, res) => {
         finalCountryId: userCountryId
       });
 
-      const createdItems = [];
+      const directSale = isDirectSale(req.body);
+      const van = directSale ? await findVanStore(prisma, userId) : null;
+      if (directSale && !van) {
+        return res.status(400).json(directSaleError());
+      }
 
-      // Set region to country if regionId is null
-      const regionToUse = userRegionId || userCountryId;
-      console.log('[Order Debug] Using region:', {
-        providedRegionId: regionId,
-        providedCountryId: countryId,
-        regionToUse,
-        userRegionId: req.user?.region_id,
-        userCountryId: req.user?.countryId
+      // Validate, price and allocate the lines exactly as POST /api/orders/quote does
+      const quote = await quoteOrder(prisma, {
+        items: orderItemsToUse,
+        regionId: userRegionId,
+        countryId: userCountryId,
+        clientId,
+        vanStoreId: van ? van.id : null
       });
 
-      for (const item of orderItemsToUse) {
-        console.log('--- [Order Debug] Processing item:', {
-          productId: item.productId,
-          requestedQuantity: item.quantity,
-          priceOptionId: item.priceOptionId
-        });
-        console.log('[Order Debug] Starting validation for item:', {
-          productId: item.productId,
-          quantity: item.quantity,
-          priceOptionId: item.priceOptionId,
-          userRegion: userRegionId,
-          userCountry: userCountryId
-        });
-
-        // First get the price option to validate it exists
-        const priceOption = await prisma.priceOption.findUnique({
-          where: { id: item.priceOptionId },
-          include: { category: true }
-        });
-
-        if (!priceOption) {
-          const error = `Price option ${item.priceOptionId} not found`;
-          console.log('[Order Debug] Validation failed:', error);
-          return res.status(400).json({ success: false, error });
-        }
-
-        console.log('[Order Debug] Found price option:', {
-          id: priceOption.id,
-          option: priceOption.option,
-          value: priceOption.value,
-          category: priceOption.category.name
-        });
-
-        // Get product with store quantities and store details
-        const product = await prisma.product.findUnique({
-          where: { id: item.productId },
-          include: {
-            storeQuantities: {
-              include: {
-                store: true
-              }
-            }
-          }
-        });
-
-        if (!product) {
-          const error = `Product ${item.productId} not found`;
-          console.log('[Order Debug] Validation failed:', error);
-          return res.status(400).json({ success: false, error });
-        }
-
-        console.log('[Order Debug] Found product:', {
-          id: product.id,
-          name: product.name,
-          category_id: product.category_id,
-          category: product.category,
-          totalStores: product.storeQuantities.length
-        });
-
-        // Validate that the price option's category matches the product's category
-        if (priceOption.categoryId !== product.category_id) {
-          const error = `Price option ${item.priceOptionId} (category ${priceOption.category.name}) is not valid for product ${product.name} (category ${product.category})`;
-          console.log('[Order Debug] Validation failed:', error);
-          return res.status(400).json({ success: false, error });
-        }
-
-        if (!product) {
-          return res.status(404).json({
-            success: false,
-            error: `Product with ID ${item.productId} not found`
-          });
-        }
-
-        console.log('[Order Debug] Checking store quantities for product:', {
-          productId: product.id,
-          productName: product.name,
-          totalStores: product.storeQuantities.length,
-          stores: product.storeQuantities.map(sq => ({
-            storeId: sq.store.id,
-            storeRegionId: sq.store.regionId,
-            storeCountryId: sq.store.countryId,
-            quantity: sq.quantity
-          }))
-        });
-
-        console.log('[Order Debug] Raw product data:', {
-          productId: product.id,
-          name: product.name,
-          allStores: product.storeQuantities.map(sq => ({
-            storeId: sq.store.id,
-            quantity: sq.quantity,
-            regionId: sq.store.regionId,
-            region_id: sq.store.region_id,
-            countryId: sq.store.countryId
-          }))
-        });
-
-        console.log('[Order Debug] User region/country:', {
-          userRegionId,
-          userCountryId
-        });
-
-        // First filter: Get all active stores
-        const activeStores = product.storeQuantities.filter(sq => {
-          const store = sq.store;
-          
-          // Store must be active
-          if (store.status !== 0) {
-            console.log(`[Order Debug] Store ${store.id} (${store.name}) skipped: inactive (status ${store.status})`);
-            return false;
-          }
-          
-          return true;
-        });
-        
-        console.log('[Order Debug] Active stores:', {
-          total: activeStores.length,
-          stores: activeStores.map(sq => ({
-            id: sq.store.id,
-            name: sq.store.name,
-            regionId: sq.store.regionId || sq.store.region_id,
-            countryId: sq.store.countryId,
-            quantity: sq.quantity
-          }))
-        });
-
-        // 🎯 COUNTRY-SPECIFIC STOCK VALIDATION OVERRIDE
-        // This implements different stock validation rules based on user's country
-        let availableStoreQuantities = [];
-        
-        if (userCountryId === 2) {
-          // 🇹🇿 COUNTRY 2 OVERRIDE (Tanzania): Restrict to user's country only
-          // This prevents country 2 users from accessing stock from other countries
-          // This is a business rule to ensure country-specific stock management
-          console.log('[Order Debug] 🎯 Country 2 override activated - restricting to user country only');
-          
-          availableStoreQuantities = activeStores.filter(sq => {
-            const store = sq.store;
-            const matches = store.countryId === userCountryId;
-            
-            if (matches) {
-              console.log(`[Order Debug] Country 2 override: Store ${store.id} (${store.name}) matched user country:`, {
-                storeCountryId: store.countryId,
-                userCountryId: userCountryId
-              });
-            }
-            
-            return matches;
-          });
-          
-          console.log('[Order Debug] Country 2 override results:', {
-            totalActiveStores: activeStores.length,
-            countryMatchingStores: availableStoreQuantities.length,
-            userCountry: userCountryId
-          });
-          
-        } else {
-          // 🌍 NORMAL LOGIC: For other countries (1, 3, etc.)
-          // Uses region-first, then country fallback approach
-          // This allows flexible stock access for non-restricted countries
-          console.log('[Order Debug] Using normal stock validation logic for country:', userCountryId);
-          
-          // Second filter: Get region-matching stores (primary preference)
-          // Users prefer to get stock from their own region first
-          const regionMatchingStores = activeStores.filter(sq => {
-            const store = sq.store;
-            const storeRegionId = store.regionId || store.region_id;
-            
-            // Store matches if its region matches user's region
-            const matches = storeRegionId === userRegionId;
-            
-            if (matches) {
-              console.log(`[Order Debug] Store ${store.id} (${store.name}) matched region:`, {
-                storeRegionId,
-                userRegionId
-              });
-            }
-            
-            return matches;
-          });
-          
-          // Third filter: Get country-level stores (fallback)
-          // If no region stores, fall back to country-level stores
-          const countryMatchingStores = activeStores.filter(sq => {
-            const store = sq.store;
-            const storeRegionId = store.regionId || store.region_id;
-            const storeCountryId = store.countryId;
-            
-            // Store matches if it has no region (country-level store) and matches country
-            const matches = !storeRegionId && storeCountryId === userCountryId;
-            
-            if (matches) {
-              console.log(`[Order Debug] Store ${store.id} (${store.name}) matched country:`, {
-                storeCountryId,
-                userCountryId,
-                reason: 'country-level store'
-              });
-            }
-            
-            return matches;
-          });
-          
-          console.log('[Order Debug] Region and country matching stores:', {
-            regionMatches: regionMatchingStores.length,
-            countryMatches: countryMatchingStores.length,
-            regionStock: regionMatchingStores.reduce((sum, sq) => sum + Number(sq.quantity || 0), 0),
-            countryStock: countryMatchingStores.reduce((sum, sq) => sum + Number(sq.quantity || 0), 0)
-          });
-          
-          // Combine both region and country stores for maximum availability
-          availableStoreQuantities = [...regionMatchingStores, ...countryMatchingStores];
-        }
-        
-        console.log('[Order Debug] Available stores after filtering:', {
-          total: product.storeQuantities.length,
-          matching: availableStoreQuantities.length,
-          userCountry: userCountryId,
-          overrideApplied: userCountryId === 2,
-          stores: availableStoreQuantities.map(sq => ({
-            id: sq.store.id,
-            name: sq.store.name,
-            quantity: sq.quantity,
-            regionId: sq.store.regionId,
-            region_id: sq.store.region_id,
-            countryId: sq.store.countryId
-          }))
-        });
-
-        // Log raw quantities for debugging
-        console.log('[Order Debug] Raw quantities before calculation:', {
-          allStores: product.storeQuantities.map(sq => ({
-            storeId: sq.store.id,
-            name: sq.store.name,
-            quantity: sq.quantity,
-            quantityType: typeof sq.quantity,
-            regionId: sq.store.regionId,
-            region_id: sq.store.region_id,
-            countryId: sq.store.countryId,
-            status: sq.store.status
-          }))
-        });
-        
-        // Calculate total available quantity from matching stores
-        const totalAvailableQuantity = availableStoreQuantities.reduce((sum, sq) => {
-          // Ensure quantity is a number
-          const quantity = sq.quantity !== null && sq.quantity !== undefined ? Number(sq.quantity) : 0;
-          
-          console.log(`[Order Debug] Adding quantity from store ${sq.store.id} (${sq.store.name}):`, {
-            originalQuantity: sq.quantity,
-            originalType: typeof sq.quantity,
-            convertedQuantity: quantity,
-            convertedType: typeof quantity,
-            currentSum: sum
-          });
-          
-          return sum + quantity;
-        }, 0);
-        
-        console.log('[Order Debug] Final stock calculation:', {
-          productId: product.id,
-          productName: product.name,
-          totalStores: availableStoreQuantities.length,
-          totalAvailable: totalAvailableQuantity,
-          requestedQuantity: item.quantity,
-          matchingStores: availableStoreQuantities.map(sq => ({
-            storeId: sq.store.id,
-            name: sq.store.name,
-            regionId: sq.store.regionId,
-            region_id: sq.store.region_id,
-            countryId: sq.store.countryId,
-            quantity: sq.quantity,
-            status: sq.store.status
-          }))
-        });
-
-        // Check if we have any active stores at all for this product
-        if (activeStores.length === 0) {
-          const error = `No active stores found with stock for product ${product.name}.`;
-          console.log('[Order Debug] No active stores found:', {
-            productId: product.id,
-            productName: product.name,
-            totalStores: product.storeQuantities.length
-          });
-          return res.status(400).json({ success: false, error });
-        }
-        
-        // Check if we have any region or country matching stores
-        if (availableStoreQuantities.length === 0) {
-          // Get stock information for debugging
-          const totalActiveStock = activeStores.reduce((sum, sq) => sum + Number(sq.quantity || 0), 0);
-          
-          let error = '';
-          if (userCountryId === 2) {
-            // Country 2 specific error message
-            error = `No stock available for product ${product.name} in your country (${userCountryId}). Country 2 users can only access stock from their own country.`;
-          } else {
-            // Normal error message for other countries
-            error = `No stock available for product ${product.name} in your region (${userRegionId}) or country (${userCountryId}). Please contact support.`;
-          }
-          
-          console.log('[Order Debug] No matching stores found:', {
-            productId: product.id,
-            productName: product.name,
-            userRegion: userRegionId,
-            userCountry: userCountryId,
-            totalStores: product.storeQuantities.length,
-            activeStores: activeStores.length,
-            totalActiveStock,
-            overrideApplied: userCountryId === 2
-          });
-          return res.status(400).json({ success: false, error });
-        }
-        
-        // Ensure item.quantity is a number
-        const requestedQuantity = Number(item.quantity);
-        
-        console.log('[Order Debug] Stock availability:', {
-          productName: product.name,
-          requestedQuantity,
-          selectedStock: totalAvailableQuantity,
-          userCountry: userCountryId,
-          overrideApplied: userCountryId === 2
-        });
-        
-        // Check if we have sufficient stock
-        if (isNaN(totalAvailableQuantity) || totalAvailableQuantity === 0 || totalAvailableQuantity < requestedQuantity) {
-          let errorMsg = '';
-          if (userCountryId === 2) {
-            // Country 2 specific error message
-            errorMsg = `Insufficient stock for product ${product.name}. You requested ${requestedQuantity} units but only ${totalAvailableQuantity} units are available in your country. Country 2 users can only access stock from their own country.`;
-          } else {
-            // Normal error message for other countries
-            errorMsg = `Insufficient stock for product ${product.name}. You requested ${requestedQuantity} units but only ${totalAvailableQuantity} units are available.`;
-          }
-          
-          console.log('[Order Debug] Insufficient stock:', {
-            productId: product.id,
-            productName: product.name,
-            requested: requestedQuantity,
-            available: totalAvailableQuantity,
-            userCountry: userCountryId,
-            overrideApplied: userCountryId === 2
-          });
-          
-          return res.status(400).json({ success: false, error: errorMsg });
-        }
-        
-        console.log('[Order Debug] ✅ Stock validation passed:', {
-          product: product.name,
-          requested: item.quantity,
-          available: totalAvailableQuantity,
-          stores: availableStoreQuantities.map(sq => ({
-            store: sq.store.name,
-            quantity: sq.quantity,
-            regionId: sq.store.regionId,
-            region_id: sq.store.region_id,
-            countryId: sq.store.countryId
-          }))
-        });
-
-        console.log('[Order Debug] Available store quantities:', availableStoreQuantities);
-        
-        // Find the store with the highest quantity for fulfillment
-        const maxQuantityStore = availableStoreQuantities.reduce((max, sq) =>
-          sq.quantity > (max?.quantity || 0) ? sq : max,
-          null
-        );
-
-        console.log('[Order Debug] Availability summary:', {
-          totalStores: availableStoreQuantities.length,
-          totalQuantityAvailable: totalAvailableQuantity,
-          requestedQuantity: item.quantity,
-          bestStoreId: maxQuantityStore?.store?.id,
-          bestStoreQuantity: maxQuantityStore?.quantity
-        });
-
-        console.log('[Order Debug] Max available quantity for product', product.name, 'in selected store:', {
-          store: maxQuantityStore ? maxQuantityStore.storeId : null,
-          maxQuantity: totalAvailableQuantity,
-          requestedQuantity: item.quantity
-        });
-        console.log('[Order Debug] Stock availability result:', {
-          productId: product.id,
-          productName: product.name,
-          requestedQuantity: item.quantity
-        });
+      console.log('[Order Debug] Quote:', {
+        totalAmount: quote.totalAmount,
+        canOrder: quote.canOrder,
+        policy: getAllocationPolicy(userCountryId),
+        lines: quote.lines.map(line => ({
+          productId: line.productId,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          available: line.available,
+          allocations: line.allocations,
+          issues: line.issues.map(i => i.code)
+        }))
+      });
 
-        // Store the item information for later use
-        createdItems.push({
-          productId: item.productId,
-          quantity: item.quantity,
-          priceOptionId: item.priceOptionId,
-          storeId: maxQuantityStore.store.id,
-          store: maxQuantityStore.store,
-          originalQuantity: maxQuantityStore.quantity
+      const blockingIssue = firstBlockingIssue(quote);
+      if (blockingIssue) {
+        return res.status(400).json({
+          success: false,
+          error: blockingIssue.message,
+          code: blockingIssue.code
         });
       }
 
       try {
-        console.log('[Order Debug] Processing order items for batch operations');
-        
-        // Gather all productIds and priceOptionIds for batch operations
-        const productIds = orderItemsToUse.map(item => item.productId);
-        const priceOptionIds = orderItemsToUse.map(item => item.priceOptionId).filter(Boolean);
-        
-        console.log('[Order Debug] Batch fetching data:', {
-          productIds,
-          priceOptionIds
-        });
-        
-        // Batch fetch products
-        const products = await prisma.product.findMany({
-          where: { id: { in: productIds } }
-        });
-        const productsById = Object.fromEntries(products.map(p => [p.id, p]));
-        
-        // Batch fetch categories with price options
-        const categoryIds = [...new Set(products.map(p => p.category_id).filter(Boolean))];
-        const categories = await prisma.category.findMany({
-          where: { id: { in: categoryIds } },
-          include: { priceOptions: true }
-        });
-        const categoriesById = Object.fromEntries(categories.map(c => [c.id, c]));
-        
-        console.log('[Order Debug] Batch fetched data:', {
-          products: products.length,
-          categories: categories.length
-        });
-        
-        // Calculate total amount and prepare order items data
-        let totalAmount = 0;
-        const orderItemsData = [];
-        const validItems = [];
-        
-        for (const item of orderItemsToUse) {
-          const product = productsById[item.productId];
-          if (!product) {
-            console.log(`[Order Debug] Product ${item.productId} not found in batch results, skipping`);
-            continue;
-          }
-          
-          const category = categoriesById[product.category_id];
-          if (!category) {
-            console.log(`[Order Debug] Category for product ${product.id} not found, skipping`);
-            continue;
-          }
-          
-          let itemPrice = 0;
-          let priceOptionId = null;
-          
-          if (item.priceOptionId) {
-            const priceOption = category.priceOptions.find(po => po.id === item.priceOptionId);
-            if (priceOption) {
-              itemPrice = priceOption.value || 0;
-              priceOptionId = priceOption.id;
-            } else {
-              console.log(`[Order Debug] Price option ${item.priceOptionId} not found for product ${product.id}, using default price`);
-            }
-          }
-          
-          // Use the store information from createdItems if available
-          const createdItem = createdItems.find(ci => ci.productId === item.productId);
-          const storeId = createdItem ? createdItem.storeId : null;
-          
-          if (!storeId) {
-            console.log(`[Order Debug] No store found for product ${product.id}, skipping`);
-            continue;
-          }
-          
-          totalAmount += itemPrice * item.quantity;
-          
-          orderItemsData.push({
-            quantity: item.quantity,
-            productId: item.productId,
-            priceOptionId: priceOptionId,
-            storeId: storeId
-          });
-          
-          validItems.push({
-            ...item,
-            storeId,
-            itemPrice
-          });
-        }
-        
-        if (orderItemsData.length === 0) {
-          return res.status(400).json({
-            success: false,
-            error: 'No valid order items to process'
-          });
-        }
-        
+        const validItems = quote.lines;
+        const totalAmount = quote.totalAmount;
+
         console.log('[Order Debug] Prepared order data:', {
           totalAmount,
-          validItems: orderItemsData.length
+          validItems: validItems.length
         });
         
-        // Get the store ID from the first item
-        const storeId = orderItemsToUse[0]?.storeId;
+        // The order's store is the main shipping store of its first line, or
+        // the van for a direct sale; split lines are tracked per item in
+        // OrderItemAllocation
+        const storeId = van
+          ? van.id
+          : orderItemsToUse[0]?.storeId || validItems[0].allocations[0].storeId;
         
         console.log('[Order Debug] Using store ID:', storeId);
+
+        // Orders start submitted unless the rep saves them as a draft
+        const initialStatus = (req.body.draft === true || req.body.draft === 'true')
+          ? ORDER_STATUS.draft
+          : ORDER_STATUS.submitted;
         
-        // Create the order first (outside transaction)
         console.log('[Order Debug] Creating order with image URL:', {
           imageUrl,
           bodyImageUrl: req.body.imageUrl,
           finalImageUrl: imageUrl || req.body.imageUrl || null
         });
 
-        const newOrder = await prisma.myOrder.create({
-          data: {
-            user: {
-              connect: {
-                id: userId
+        // Create the order, its items and the stock deductions atomically so a
+        // failed reservation never leaves an order without stock behind it
+        const newOrder = await prisma.$transaction(
+          async (tx) => {
+            const order = await tx.myOrder.create({
+              data: {
+                user: {
+                  connect: {
+                    id: userId
+                  }
+                },
+                totalAmount: parseFloat((totalAmount || 0).toFixed(2)),
+                totalCost: new Prisma.Decimal("0.00"),
+                netAmount: new Prisma.Decimal(quote.netAmount.toFixed(2)),
+                taxAmount: new Prisma.Decimal(quote.taxAmount.toFixed(2)),
+                comment: req.body.comment || '',
+                customerType: req.body.customerType || 'RETAIL',
+                customerId: req.body.customerId || '',
+                customerName: req.body.customerName || 'Customer',
+                amountPaid: new Prisma.Decimal("0.00"),
+                balance: new Prisma.Decimal(totalAmount.toString()),
+                approved_by: req.body.approved_by || "Unapproved",
+                approved_by_name: req.body.approved_by_name || "Pending",
+                status: initialStatus,
+                storeId: storeId,
+                directSale,
+                imageUrl: imageUrl || req.body.imageUrl || null,
+                client: {
+                  connect: {
+                    id: clientId
+                  }
+                },
+                countryId: userCountryId,
+                regionId: userRegionId,
+                // Managers who can approve this order, copied from the rep
+                retail_manager: parseInt(req.user?.retail_manager) || 0,
+                key_channel_manager: parseInt(req.user?.key_channel_manager) || 0,
+                distribution_manager: parseInt(req.user?.distribution_manager) || 0
               }
-            },
-            totalAmount: parseFloat((totalAmount || 0).toFixed(2)),
-            totalCost: new Prisma.Decimal("0.00"),
-            comment: req.body.comment || '',
-            customerType: req.body.customerType || 'RETAIL',
-            customerId: req.body.customerId || '',
-            customerName: req.body.customerName || 'Customer',
-            amountPaid: new Prisma.Decimal("0.00"),
-            balance: new Prisma.Decimal(totalAmount.toString()),
-            approved_by: req.body.approved_by || "Unapproved",
-            approved_by_name: req.body.approved_by_name || "Pending",
-            storeId: storeId,
-            imageUrl: imageUrl || req.body.imageUrl || null,
-            client: {
-              connect: {
-                id: clientId
+            });
+
+            console.log('[Order Debug] Order created:', {
+              orderId: order.id,
+              imageUrl: order.imageUrl
+            });
+
+            await tx.orderStatusHistory.create({
+              data: {
+                orderId: order.id,
+                fromStatus: null,
+                toStatus: initialStatus,
+                changedBy: userId,
+                changedByName: req.user?.name || 'Unknown',
+                note: 'Order created'
               }
-            },
-            countryId: userCountryId,
-            regionId: userRegionId,
-            retail_manager: 0, // default value
-            key_channel_manager: 0, // default value
-            distribution_manager: 0 // default value
-          }
-        });
+            });
 
-        console.log('[Order Debug] Order created successfully:', {
-          orderId: newOrder.id,
-          imageUrl: newOrder.imageUrl
-        });
-        
-        // Create order items in a transaction with a longer timeout
-        await prisma.$transaction(
-          async (tx) => {
-            // Create order items and update store quantities
             for (const item of validItems) {
-              // Update store quantity
-              const createdItem = createdItems.find(ci => ci.productId === item.productId);
-              
-              if (createdItem) {
-                // Find the store quantity record first
-                const storeQuantity = await tx.storeQuantity.findFirst({
-                  where: {
-                    storeId: item.storeId,
-                    productId: item.productId
-                  }
-                });
-                
-                if (storeQuantity) {
-                  await tx.storeQuantity.update({
-                    where: { id: storeQuantity.id },
-                    data: {
-                      quantity: { decrement: item.quantity }
-                    }
-                  });
-                  
-                  console.log('[Order Debug] Updated store quantity:', {
-                    storeId: item.storeId,
-                    productId: item.productId,
-                    decremented: item.quantity
-                  });
-                }
-              }
-              
-              // Create order item
+              // Create order item with its price and any promotion applied
               const orderItemData = {
                 quantity: item.quantity,
-                orderId: newOrder.id,
-                productId: item.productId
+                orderId: order.id,
+                productId: item.productId,
+                unitPrice: new Prisma.Decimal(item.unitPrice.toFixed(2)),
+                discountAmount: new Prisma.Decimal(item.discountAmount.toFixed(2)),
+                netAmount: new Prisma.Decimal(item.netAmount.toFixed(2)),
+                taxRate: new Prisma.Decimal(item.taxRate.toFixed(2)),
+                taxAmount: new Prisma.Decimal(item.taxAmount.toFixed(2)),
+                lineTotal: new Prisma.Decimal(item.lineTotal.toFixed(2)),
+                promotionId: item.promotion ? item.promotion.id : null
               };
-              
+
               // Only include priceOptionId if it exists
               if (item.priceOptionId) {
                 orderItemData.priceOptionId = item.priceOptionId;
               }
-              
-              await tx.orderItem.create({
+
+              const orderItem = await tx.orderItem.create({
                 data: orderItemData
               });
+
+              // Drafts hold no stock until they are submitted
+              if (initialStatus === ORDER_STATUS.draft) continue;
+
+              // Reserve the stock from each allocated store; throws if another
+              // order took the units after validation
+              const reserved = await reserveAllocations(tx, {
+                orderItemId: orderItem.id,
+                productId: item.productId,
+                productName: item.productName,
+                allocations: item.allocations,
+                reference: orderReference(order.id),
+                staff: userId,
+                staffName: req.user?.name || 'Unknown'
+              });
+
+              console.log('[Order Debug] Reserved store quantities:', {
+                orderItemId: orderItem.id,
+                productId: item.productId,
+                allocations: reserved.map(r => ({
+                  storeId: r.storeId,
+                  decremented: r.quantity,
+                  newBalance: r.newBalance
+                }))
+              });
             }
+
+            // Drafts are not charged until they are submitted (see chargeOrder)
+            if (initialStatus === ORDER_STATUS.draft) return order;
+
+            // Charge the order to the client's account
+            await postClientEntry(tx, {
+              clientId: order.clientId,
+              orderId: order.id,
+              reference: orderReference(order.id),
+              amountOut: order.totalAmount,
+              staff: userId
+            });
+
+            // Settle from any credit the client holds from earlier payments
+            await applyClientCredit(tx, order.clientId);
+
+            // Orders over the client's credit limit are held; small orders
+            // within it may not need a manager at all
+            return applyCreditControl(tx, order, req.user);
           },
           {
+            maxWait: 5000,
             timeout: 10000 // Increase timeout to 10 seconds
           }
         );
@@ -795,7 +389,13 @@ const createOrder = asyncHandler(async (req, res) => {
             orderItems: {
               include: {
                 product: true,
-                priceOption: true
+                priceOption: true,
+                promotion: { select: { id: true, name: true, type: true } },
+                allocations: {
+                  include: {
+                    store: { select: { id: true, name: true } }
+                  }
+                }
               }
             },
             client: true,
@@ -805,18 +405,39 @@ const createOrder = asyncHandler(async (req, res) => {
                 name: true,
                 phoneNumber: true
               }
+            },
+            creditHolds: {
+              where: { status: HOLD_STATUS.HELD }
             }
           }
         });
 
         console.log('[Order Debug] Transaction completed successfully');
-        
+
+        // Held orders are placed but wait for a manager to release them
+        const creditHold = result.creditHolds[0];
         res.status(201).json({
           success: true,
-          data: result
+          data: result,
+          ...(creditHold && {
+            creditHold: {
+              excessAmount: Number(creditHold.excessAmount),
+              message: `${creditHold.reason}. The order is on credit hold until a manager releases it.`
+            }
+          })
         });
       } catch (error) {
         console.error('[Order Debug] Error creating order:', error);
+
+        if (error.code === 'INSUFFICIENT_STOCK' || error.code === 'STOCK_TAKE_IN_PROGRESS') {
+          return res.status(409).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            stock: error.details
+          });
+        }
+
         res.status(500).json({
           success: false,
           error: 'Failed to create order',
@@ -834,6 +455,67 @@ const createOrder = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Price and validate an order without placing it
+// @route   POST /api/orders/quote
+// @access  Private
+const getOrderQuote = async (req, res) => {
+  try {
+    const { items = [], orderItems = [], regionId, countryId, clientId } = req.body;
+    const orderItemsToUse = items.length > 0 ? items : orderItems;
+
+    // Same region and country resolution as createOrder
+    const userRegionId = parseInt(regionId) || parseInt(req.user?.region_id);
+    const userCountryId = parseInt(countryId) || parseInt(req.user?.countryId);
+
+    const van = isDirectSale(req.body) ? await findVanStore(prisma, req.user.id) : null;
+    if (isDirectSale(req.body) && !van) {
+      return res.status(400).json(directSaleError());
+    }
+
+    const quote = await quoteOrder(prisma, {
+      items: orderItemsToUse,
+      regionId: userRegionId,
+      countryId: userCountryId,
+      clientId,
+      vanStoreId: van ? van.id : null
+    });
+
+    // createOrder refuses clients with old unpaid balances
+    if (clientId) {
+      const balanceCheck = await hasOldBalance(clientId);
+      if (balanceCheck.hasOldBalance) {
+        quote.issues.push({
+          ...issue(
+            ISSUE.OUTSTANDING_BALANCE,
+            `This client has an outstanding balance of ${balanceCheck.balance} from ${balanceCheck.balanceAge} days ago. Please ensure the previous balance is settled before creating a new order.`
+          ),
+          details: {
+            age: balanceCheck.balanceAge,
+            balance: balanceCheck.balance,
+            oldestOrder: balanceCheck.oldestOrder
+          }
+        });
+        quote.canOrder = false;
+      }
+
+      // Orders over the credit limit can still be placed, but go on hold
+      quote.credit = await checkCredit(prisma, parseInt(clientId), quote.totalAmount, { useCredit: true });
+    }
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Error quoting order:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to quote order',
+      details: error.message
+    });
+  }
+};
+
 // Get orders with pagination
 const getOrders = async (req, res) => {
   const salesRepId = req.user.id;
@@ -841,15 +523,29 @@ const getOrders = async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
+  const where = { userId: salesRepId };
+
+  // Optional filter by named state, e.g. ?status=approved,dispatched
+  if (req.query.status) {
+    const statuses = parseStatusFilter(req.query.status);
+    if (!statuses) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status filter. Use one or more of: ${Object.keys(ORDER_STATUS).join(', ')}`,
+      });
+    }
+    where.status = { in: statuses };
+  }
+
   try {
     // Get total count for pagination
     const total = await prisma.myOrder.count({
-      where: { userId: salesRepId },
+      where,
     });
 
     // Get orders with pagination and order items
     const orders = await prisma.myOrder.findMany({
-      where: { userId: salesRepId },
+      where,
       skip,
       take: limit,
       orderBy: {
@@ -859,6 +555,11 @@ const getOrders = async (req, res) => {
         orderItems: {
           include: {
             product: true,
+            allocations: {
+              include: {
+                store: { select: { id: true, name: true } },
+              },
+            },
           },
         },
         client: true,
@@ -876,12 +577,13 @@ const getOrders = async (req, res) => {
     const formattedOrders = orders.map(order => ({
       ...order,
       balance: String(order.balance ?? '0'),  // Ensure balance is always a string
+      statusName: statusName(order.status),
     }));
     const totalPages = Math.ceil(total / limit);
 
     res.json({
       success: true,
-      data: orders,
+      data: formattedOrders,
       page,
       limit,
       total,
@@ -924,6 +626,13 @@ const updateOrder = async (req, res) => {
       });
     }
 
+    if (!EDITABLE_STATUSES.includes(statusName(existingOrder.status))) {
+      return res.status(409).json({
+        success: false,
+        error: `Order cannot be edited once it is ${statusName(existingOrder.status)}`,
+      });
+    }
+
     console.log('[Update Order Debug] Found existing order:', {
       id: existingOrder.id,
       totalAmount: existingOrder.totalAmount,
@@ -940,6 +649,8 @@ const updateOrder = async (req, res) => {
     
     // First, calculate the new total amount
     let totalAmount = 0;
+    let netAmount = 0;
+    let taxAmount = 0;
     
     // Transaction to handle all updates atomically
     await prisma.$transaction(async (tx) => {
@@ -949,6 +660,39 @@ const updateOrder = async (req, res) => {
       });
       
       console.log('[Update Order Debug] Existing items:', existingItems.length);
+
+      // Release the current reservation; the edited lines are allocated afresh below
+      await restoreOrderStock(tx, existingOrder.id, {
+        staff: salesRepId,
+        staffName: req.user.name || 'Unknown',
+        reason: 'edited'
+      });
+      await tx.orderItemAllocation.deleteMany({
+        where: { orderItem: { orderId: existingOrder.id } }
+      });
+
+      // Promotions running now, as they would apply to a new order
+      const orderClient = await tx.clients.findUnique({
+        where: { id: existingOrder.clientId },
+        select: { client_type: true }
+      });
+      const promotions = await findActivePromotions(tx, {
+        countryId: existingOrder.countryId,
+        regionId: existingOrder.regionId,
+        clientType: orderClient?.client_type ?? null
+      });
+      const taxRules = await findTaxRules(tx, existingOrder.countryId);
+
+      // Volume tiers count every line of the promoted product or category
+      const orderProducts = await tx.product.findMany({
+        where: { id: { in: orderItems.map(item => parseInt(item.productId)).filter(id => !isNaN(id)) } },
+        select: { id: true, category_id: true }
+      });
+      const volumes = orderVolumes(orderItems.map(item => ({
+        productId: parseInt(item.productId),
+        categoryId: orderProducts.find(product => product.id === parseInt(item.productId))?.category_id,
+        quantity: item.quantity
+      })));
       
       // Process each order item
       for (const item of orderItems) {
@@ -969,16 +713,42 @@ const updateOrder = async (req, res) => {
         let itemPrice = 0;
         if (item.priceOptionId) {
           const priceOption = await tx.priceOption.findUnique({
-            where: { id: item.priceOptionId }
+            where: { id: item.priceOptionId },
+            include: { prices: true }
           });
           
           if (priceOption) {
-            itemPrice = priceOption.value || 0;
+            // Priced in the order's currency, as on creation
+            itemPrice = unitPrice(priceOption, existingOrder.countryId) || 0;
           }
         }
         
+        const priced = priceLine(promotions, {
+          productId: product.id,
+          categoryId: product.category_id,
+          unitPrice: itemPrice,
+          quantity: Number(item.quantity),
+          volumes
+        });
+        const taxed = taxLine(taxRules, {
+          productId: product.id,
+          categoryId: product.category_id,
+          amount: priced.lineTotal
+        });
+        const pricing = {
+          unitPrice: new Prisma.Decimal(itemPrice.toFixed(2)),
+          discountAmount: new Prisma.Decimal(priced.discountAmount.toFixed(2)),
+          netAmount: new Prisma.Decimal(taxed.netAmount.toFixed(2)),
+          taxRate: new Prisma.Decimal(taxed.taxRate.toFixed(2)),
+          taxAmount: new Prisma.Decimal(taxed.taxAmount.toFixed(2)),
+          lineTotal: new Prisma.Decimal(taxed.lineTotal.toFixed(2)),
+          promotionId: priced.promotion ? priced.promotion.id : null
+        };
+
         // Add to total amount
-        totalAmount += itemPrice * item.quantity;
+        totalAmount += taxed.lineTotal;
+        netAmount += taxed.netAmount;
+        taxAmount += taxed.taxAmount;
         
         // Check if the order already has an item for this product
         const existingOrderItem = existingItems.find(
@@ -993,7 +763,8 @@ const updateOrder = async (req, res) => {
             where: { id: existingOrderItem.id },
             data: { 
               quantity: item.quantity,
-              priceOptionId: item.priceOptionId || null
+              priceOptionId: item.priceOptionId || null,
+              ...pricing
             }
           });
         } else {
@@ -1004,7 +775,8 @@ const updateOrder = async (req, res) => {
               orderId: existingOrder.id,
               productId: item.productId,
               quantity: item.quantity,
-              priceOptionId: item.priceOptionId || null
+              priceOptionId: item.priceOptionId || null,
+              ...pricing
             }
           });
         }
@@ -1021,13 +793,56 @@ const updateOrder = async (req, res) => {
         });
       }
       
-      // Update the order with the new total amount
+      // Reserve stock for the order as it now stands; drafts hold none
+      const isDraft = existingOrder.status === ORDER_STATUS.draft;
+      if (!isDraft) {
+        const currentItems = await tx.orderItem.findMany({
+          where: { orderId: existingOrder.id }
+        });
+        await allocateOrderItems(tx, existingOrder, currentItems, {
+          reference: orderReference(existingOrder.id),
+          staff: salesRepId,
+          staffName: req.user.name || 'Unknown'
+        });
+      }
+
+      // Charge or credit the client for the change in total. Drafts are
+      // charged in full when they are submitted.
+      const change = Math.round((totalAmount - Number(existingOrder.totalAmount)) * 100) / 100;
+      if (change !== 0 && !isDraft) {
+        await postClientEntry(tx, {
+          clientId: existingOrder.clientId,
+          orderId: existingOrder.id,
+          reference: `${orderReference(existingOrder.id)} edited`,
+          amountOut: change > 0 ? change : 0,
+          amountIn: change < 0 ? -change : 0,
+          staff: salesRepId
+        });
+      }
+
+      // Update the order with the new totals
       await tx.myOrder.update({
         where: { id: existingOrder.id },
         data: {
-          totalAmount: parseFloat(totalAmount.toFixed(2))
+          totalAmount: parseFloat(totalAmount.toFixed(2)),
+          netAmount: new Prisma.Decimal(netAmount.toFixed(2)),
+          taxAmount: new Prisma.Decimal(taxAmount.toFixed(2)),
+          balance: new Prisma.Decimal((totalAmount - Number(existingOrder.amountPaid)).toFixed(2))
         }
       });
+
+      // Paid more than the new total: return the payments to credit and
+      // settle again, this order included
+      if (Number(existingOrder.amountPaid) > totalAmount) {
+        await releaseOrderAllocations(tx, existingOrder.id);
+      }
+      await applyClientCredit(tx, existingOrder.clientId);
+
+      // The edit may take a submitted order over the client's credit limit:
+      // check it again as on submission. An order already held stays held.
+      if (!existingOrder.creditHold) {
+        await applyCreditControl(tx, existingOrder, req.user);
+      }
     }, { timeout: 10000 }); // 10 second timeout for the transaction
     
     console.log('[Update Order Debug] Updated total amount:', totalAmount);
@@ -1039,7 +854,13 @@ const updateOrder = async (req, res) => {
         orderItems: {
           include: {
             product: true,
-            priceOption: true
+            priceOption: true,
+            promotion: { select: { id: true, name: true, type: true } },
+            allocations: {
+              include: {
+                store: { select: { id: true, name: true } }
+              }
+            }
           }
         },
         client: true,
@@ -1049,18 +870,38 @@ const updateOrder = async (req, res) => {
             name: true,
             phoneNumber: true
           }
+        },
+        creditHolds: {
+          where: { status: HOLD_STATUS.HELD }
         }
       }
     });
 
     console.log('[Update Order Debug] Order updated successfully');
     
+    const creditHold = updatedOrder.creditHolds[0];
     res.json({
       success: true,
-      data: updatedOrder
+      data: updatedOrder,
+      ...(creditHold && {
+        creditHold: {
+          excessAmount: Number(creditHold.excessAmount),
+          message: `${creditHold.reason}. The order is on credit hold until a manager releases it.`
+        }
+      })
     });
   } catch (error) {
     console.error('[Update Order Debug] Error updating order:', error);
+
+    if (error.code === 'INSUFFICIENT_STOCK' || error.code === 'STOCK_TAKE_IN_PROGRESS') {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        stock: error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to update order',
@@ -1069,6 +910,305 @@ const updateOrder = async (req, res) => {
   }
 };
 
+// Reserve a draft's stock and charge it to the client once it is submitted,
+// then settle it from any client credit. Stock or charges a draft already
+// holds (drafts saved before they stopped being charged) are not taken again.
+const chargeOrder = async (tx, order, user) => {
+  const reference = orderReference(order.id);
+
+  const allocated = await tx.orderItemAllocation.count({
+    where: { orderItem: { orderId: order.id } }
+  });
+  if (allocated === 0) {
+    const items = await tx.orderItem.findMany({ where: { orderId: order.id } });
+    await allocateOrderItems(tx, order, items, {
+      reference,
+      staff: user.id,
+      staffName: user.name || 'Unknown'
+    });
+  }
+
+  const due = Math.round((Number(order.totalAmount) - await netCharged(tx, {
+    clientId: order.clientId,
+    reference
+  })) * 100) / 100;
+  if (due !== 0) {
+    await postClientEntry(tx, {
+      clientId: order.clientId,
+      orderId: order.id,
+      reference,
+      amountOut: due > 0 ? due : 0,
+      amountIn: due < 0 ? -due : 0,
+      staff: user.id
+    });
+  }
+
+  await applyClientCredit(tx, order.clientId);
+};
+
+// Return an order's stock to its stores and credit back what it charged the
+// client. Safe to run more than once for the same order.
+const voidOrder = async (tx, order, user, reason) => {
+  const restoredStock = await restoreOrderStock(tx, order.id, {
+    staff: user.id,
+    staffName: user.name || 'Unknown',
+    reason
+  });
+
+  const clientCredit = await reverseCharges(tx, {
+    clientId: order.clientId,
+    orderId: order.id,
+    reference: orderReference(order.id),
+    reason,
+    staff: user.id
+  });
+
+  // Payments made against the order become credit for the client's other orders
+  const releasedPayments = await releaseOrderAllocations(tx, order.id);
+  if (releasedPayments > 0) {
+    await applyClientCredit(tx, order.clientId, { excludeOrderIds: [order.id] });
+  }
+
+  return { restoredStock, clientCredit, releasedPayments };
+};
+
+// Cancel an order inside a transaction: release its stock and charges, record
+// the reason and move it to the cancelled state
+const cancelOrderTx = async (tx, order, user, reason, data = {}) => {
+  const reversal = await voidOrder(tx, order, user, 'cancelled');
+
+  const updated = await transitionOrder(tx, order, 'cancelled', user, {
+    note: reason,
+    data: {
+      ...data,
+      cancel_reason: reason,
+      balance: new Prisma.Decimal("0.00")
+    }
+  });
+
+  return { order: updated, ...reversal };
+};
+
+// Cancel order
+const cancelOrder = async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const salesRepId = req.user.id;
+    const { reason } = req.body;
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID format'
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A cancellation reason is required'
+      });
+    }
+
+    const existingOrder = await prisma.myOrder.findFirst({
+      where: {
+        id: orderId,
+        ...(!isManagerRole(req.user) && { userId: salesRepId }),
+      }
+    });
+
+    if (!existingOrder) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const result = await prisma.$transaction(
+      (tx) => cancelOrderTx(tx, existingOrder, req.user, String(reason).trim()),
+      {
+        maxWait: 5000,
+        timeout: 10000
+      }
+    );
+
+    console.log(`[SUCCESS] Order ${orderId} cancelled:`, {
+      restoredStock: result.restoredStock.length,
+      clientCredit: result.clientCredit?.amount_in ?? 0
+    });
+
+    res.json({
+      success: true,
+      data: { ...result.order, statusName: statusName(result.order.status) },
+      restoredStock: result.restoredStock,
+      clientCredit: result.clientCredit
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to cancel order:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to cancel order',
+      ...(error.code && { code: error.code }),
+      ...(!error.status && { details: error.message })
+    });
+  }
+};
+
+// Move an order to another lifecycle state
+const updateOrderStatus = async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { status, note } = req.body;
+    const target = String(status || '').toLowerCase();
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID format'
+      });
+    }
+
+    if (!(target in ORDER_STATUS)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Use one of: ${Object.keys(ORDER_STATUS).join(', ')}`
+      });
+    }
+
+    // Reps manage their own drafts and cancellations; everything past
+    // submission is a manager decision
+    const managerOnly = !['submitted', 'cancelled'].includes(target);
+    if (managerOnly && !isManagerRole(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: `Only managers can mark orders as ${target}`
+      });
+    }
+
+    const existingOrder = await prisma.myOrder.findFirst({
+      where: {
+        id: orderId,
+        ...(!isManagerRole(req.user) && { userId: req.user.id }),
+      }
+    });
+
+    if (!existingOrder) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    // Approval belongs to the order's assigned managers, as in the approval
+    // queue; admins may approve any order
+    const isAdmin = String(req.user.role || '').toUpperCase() === 'ADMIN';
+    if (target === 'approved' && !isAdmin) {
+      const assigned = await prisma.myOrder.count({
+        where: { id: orderId, ...assignedManagerFilter(req.user.id) }
+      });
+      if (assigned === 0) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only a manager assigned to this order can approve it',
+          code: 'NOT_ASSIGNED_MANAGER'
+        });
+      }
+    }
+
+    if (target === 'cancelled' && (!note || !String(note).trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'A note with the cancellation reason is required'
+      });
+    }
+
+    const order = await prisma.$transaction(async (tx) => {
+      if (target === 'cancelled') {
+        const result = await cancelOrderTx(tx, existingOrder, req.user, String(note).trim());
+        return result.order;
+      }
+      const data = target === 'approved' ? approvalStamp(req.user) : {};
+      const updated = await transitionOrder(tx, existingOrder, target, req.user, { note: note || null, data });
+      if (target !== 'submitted') return updated;
+
+      // A submitted draft now takes its stock and is charged and credit-checked
+      await chargeOrder(tx, updated, req.user);
+      return applyCreditControl(tx, updated, req.user);
+    }, {
+      maxWait: 5000,
+      timeout: 10000
+    });
+
+    res.json({
+      success: true,
+      data: { ...order, statusName: statusName(order.status) }
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to update order status:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update order status',
+      ...(error.code && { code: error.code }),
+      // A draft that can no longer be covered when submitted
+      ...(error.code === 'INSUFFICIENT_STOCK' && { stock: error.details }),
+      ...(!error.status && { details: error.message })
+    });
+  }
+};
+
+// Get the status change history of an order
+const getOrderStatusHistory = async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID format'
+      });
+    }
+
+    const order = await prisma.myOrder.findFirst({
+      where: {
+        id: orderId,
+        ...(!isManagerRole(req.user) && { userId: req.user.id }),
+      },
+      select: { id: true, status: true }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const history = await prisma.orderStatusHistory.findMany({
+      where: { orderId },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        orderId,
+        status: statusName(order.status),
+        history: history.map(entry => ({
+          ...entry,
+          from: entry.fromStatus === null ? null : statusName(entry.fromStatus),
+          to: statusName(entry.toStatus)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch order status history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch order status history'
+    });
+  }
+};
+
 // Delete order
 const deleteOrder = async (req, res) => {
   try {
@@ -1104,17 +1244,31 @@ const deleteOrder = async (req, res) => {
       });
     }
 
-    // Delete order in a transaction to ensure consistency
-    await prisma.$transaction(async (tx) => {
-      // Delete order items first by disconnecting them
+    // Orders that have left the store must be returned, not deleted
+    const currentStatus = statusName(existingOrder.status);
+    if (!EDITABLE_STATUSES.includes(currentStatus) && currentStatus !== 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        error: `Order cannot be deleted once it is ${currentStatus}`
+      });
+    }
+
+    // Invoice numbers must stay gapless, so invoiced orders are cancelled instead
+    if (existingOrder.invoiceNumber) {
+      return res.status(409).json({
+        success: false,
+        error: `Order has been invoiced as ${existingOrder.invoiceNumber} and cannot be deleted`
+      });
+    }
+
+    // Reverse stock and client charges, then delete, in one transaction
+    const reversal = await prisma.$transaction(async (tx) => {
+      const result = await voidOrder(tx, existingOrder, req.user, 'deleted');
+
+      // Order items cannot exist without their order, so remove them first
       if (existingOrder.orderItems.length > 0) {
-        await tx.myOrder.update({
-          where: { id: orderId },
-          data: {
-            orderItems: {
-              disconnect: existingOrder.orderItems.map(item => ({ id: item.id }))
-            }
-          }
+        await tx.orderItem.deleteMany({
+          where: { orderId }
         });
       }
 
@@ -1122,19 +1276,27 @@ const deleteOrder = async (req, res) => {
       await tx.myOrder.delete({
         where: { id: orderId }
       });
+
+      return result;
+    }, {
+      maxWait: 5000,
+      timeout: 10000
     });
 
     console.log(`[SUCCESS] Order ${orderId} deleted successfully`);
     return res.status(200).json({
       success: true,
-      message: 'Order deleted successfully'
+      message: 'Order deleted successfully',
+      restoredStock: reversal.restoredStock,
+      clientCredit: reversal.clientCredit
     });
 
   } catch (error) {
     console.error('[ERROR] Failed to delete order:', error);
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to delete order'
+      error: error.status ? error.message : 'Failed to delete order',
+      ...(error.code && { code: error.code })
     });
   }
 };
@@ -1195,8 +1357,13 @@ const getUserSalesSummary = async (req, res) => {
 
 module.exports = { 
   createOrder, 
+  getOrderQuote,
   getOrders, 
   updateOrder, 
   deleteOrder, 
+  cancelOrder,
+  cancelOrderTx,
+  updateOrderStatus,
+  getOrderStatusHistory,
   getUserSalesSummary
 };
\ No newline at end of file
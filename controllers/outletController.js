@@ -3,6 +3,9 @@ const multer = require('multer');
 const path = require('path');
 const ImageKit = require('imagekit');
 const { uploadFile } = require('../lib/uploadService');
+const { PAYMENT_STATUS } = require('../lib/paymentVerification');
+const { ORDER_STATUS } = require('../lib/orderStatus');
+const { clientAccountNumber } = require('../lib/clientAccount');
 
 // Configure ImageKit
 const imagekit = new ImageKit({
@@ -135,6 +138,7 @@ const getOutlets = async (req, res) => {
     const outletsWithDefaultBalance = result.outlets.map(outlet => ({
       ...outlet,
       balance: String(outlet.balance ?? "0"),
+      accountNumber: clientAccountNumber(outlet.id),
       created_at: outlet.created_at?.toISOString() ?? null,
     }));
 
@@ -382,7 +386,24 @@ const getOutletLocation = async (req, res) => {
   }
 };
 
-// Add client payment
+// Orders a payment is meant for, sent as a JSON array or a comma-separated
+// list (multipart forms only carry strings). null means oldest first.
+const parseOrderIds = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  let ids = value;
+  if (typeof value === 'string') {
+    try {
+      ids = JSON.parse(value);
+    } catch (error) {
+      ids = value.split(',');
+    }
+  }
+  ids = (Array.isArray(ids) ? ids : [ids]).map(id => parseInt(id));
+  return ids.some(isNaN) ? undefined : ids;
+};
+
+// Add client payment. It waits for finance verification before it is applied
+// to the client's orders (see /api/payments)
 const addClientPayment = async (req, res) => {
   upload(req, res, async (err) => {
     if (err) {
@@ -396,36 +417,62 @@ const addClientPayment = async (req, res) => {
         return res.status(400).json({ error: 'Missing required fields' });
       }
 
+      if (!(parseFloat(amount) > 0)) {
+        return res.status(400).json({ error: 'Amount must be greater than zero' });
+      }
+
+      const orderIds = parseOrderIds(req.body.orderIds);
+      if (orderIds === undefined) {
+        return res.status(400).json({ error: 'orderIds must be a list of order IDs' });
+      }
+
+      if (orderIds) {
+        const unpaid = await prisma.myOrder.findMany({
+          where: {
+            id: { in: orderIds },
+            clientId: parseInt(clientId),
+            balance: { gt: 0 },
+            status: { notIn: [ORDER_STATUS.draft, ORDER_STATUS.cancelled] }
+          },
+          select: { id: true }
+        });
+        const missing = orderIds.filter(id => !unpaid.some(order => order.id === id));
+        if (missing.length > 0) {
+          return res.status(400).json({
+            error: `Orders ${missing.join(', ')} are not unpaid orders of this client`,
+            code: 'INVALID_ALLOCATION_TARGET'
+          });
+        }
+      }
+
       // Create payment atomically with image upload
       const payment = await prisma.$transaction(async (tx) => {
         let imageUrl = null;
-        let thumbnailUrl = null;
 
         // Handle image upload first
         if (req.file) {
           try {
             const result = await uploadFile(req.file, {
               folder: 'whoosh/payments',
-              type: 'document',
-              generateThumbnail: true
+              type: 'document'
             });
             imageUrl = result.main.url;
-            thumbnailUrl = result.thumbnail?.url;
           } catch (error) {
             throw new Error('Failed to upload payment document');
           }
         }
 
-        // Create the payment record
+        // Create the payment record; orderIds are kept for verification
         return await tx.clientPayment.create({
           data: {
             clientId: parseInt(clientId),
             amount: parseFloat(amount),
-            paymentDate: new Date(paymentDate),
-            paymentType,
-            documentUrl: imageUrl,
-            thumbnailUrl: thumbnailUrl,
-            addedBy: req.user.id
+            date: new Date(paymentDate),
+            method: paymentType,
+            imageUrl: imageUrl,
+            status: PAYMENT_STATUS.PENDING,
+            allocationTargets: orderIds || undefined,
+            userId: req.user.id
           }
         });
       }, {
@@ -441,12 +488,22 @@ const addClientPayment = async (req, res) => {
   });
 };
 
-// Get client payments
+// Get client payments with their verification status.
+// ?status=PENDING|VERIFIED|REJECTED, ?mine=true for those the rep collected
 const getClientPayments = async (req, res) => {
   const clientId = parseInt(req.params.id);
   try {
+    const where = { clientId };
+    if (req.query.status) {
+      where.status = String(req.query.status).toUpperCase();
+    }
+    if (req.query.mine === 'true') {
+      where.userId = req.user.id;
+    }
+
     const payments = await prisma.clientPayment.findMany({
-      where: { clientId },
+      where,
+      include: { allocations: true },
       orderBy: { date: 'desc' }
     });
     res.json(payments);
@@ -0,0 +1,221 @@
+const prisma = require('../lib/prisma');
+const { PAYMENT_STATUS, verifyPayment, rejectPayment } = require('../lib/paymentVerification');
+const { getProvider } = require('../lib/paymentProviders');
+const { TRANSACTION_STATUS, ingestTransaction, assignTransaction } = require('../lib/paymentIngestion');
+
+const PAYMENT_INCLUDE = {
+  client: { select: { id: true, name: true, countryId: true, region: true, balance: true } },
+  user: { select: { id: true, name: true } },
+  allocations: true
+};
+
+const sendError = (res, error, fallback) => {
+  if (error.status && error.code) {
+    return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+// @desc    Payments waiting for finance, oldest first
+// @route   GET /api/payments/verification-queue?status=&countryId=&method=&userId=
+// @access  Private (finance/admin)
+const getVerificationQueue = async (req, res) => {
+  try {
+    const status = String(req.query.status || PAYMENT_STATUS.PENDING).toUpperCase();
+    if (!Object.values(PAYMENT_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${Object.values(PAYMENT_STATUS).join(', ')}`
+      });
+    }
+
+    const where = { status };
+    if (req.query.countryId) {
+      where.client = { countryId: parseInt(req.query.countryId) };
+    }
+    if (req.query.method) {
+      where.method = req.query.method;
+    }
+    if (req.query.userId) {
+      where.userId = parseInt(req.query.userId);
+    }
+
+    const payments = await prisma.clientPayment.findMany({
+      where,
+      include: PAYMENT_INCLUDE,
+      orderBy: [{ date: 'asc' }, { id: 'asc' }]
+    });
+
+    const total = payments.reduce((sum, payment) => sum + Number(payment.amount), 0);
+    res.json({
+      success: true,
+      data: payments,
+      summary: { count: payments.length, total: Math.round(total * 100) / 100 }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch verification queue');
+  }
+};
+
+// @desc    Verify a payment and apply it to the client's orders
+// @route   POST /api/payments/:id/verify
+// @access  Private (finance/admin)
+const verifyClientPayment = async (req, res) => {
+  try {
+    const paymentId = parseInt(req.params.id);
+    const { orderIds } = req.body;
+
+    if (orderIds !== undefined && (!Array.isArray(orderIds) || orderIds.some(id => isNaN(parseInt(id))))) {
+      return res.status(400).json({ success: false, error: 'orderIds must be an array of order IDs' });
+    }
+
+    const payment = await prisma.clientPayment.findUnique({ where: { id: paymentId } });
+    if (!payment) {
+      return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+
+    // The payment comes back with its allocations and any unallocatedAmount held as credit
+    const verified = await prisma.$transaction(async (tx) => {
+      await verifyPayment(tx, payment, req.user, {
+        orderIds: orderIds ? orderIds.map(id => parseInt(id)) : null
+      });
+      return tx.clientPayment.findUnique({
+        where: { id: paymentId },
+        include: PAYMENT_INCLUDE
+      });
+    }, {
+      maxWait: 5000,
+      timeout: 10000
+    });
+
+    res.json({ success: true, data: verified });
+  } catch (error) {
+    sendError(res, error, 'Failed to verify payment');
+  }
+};
+
+// @desc    Reject a payment with a reason; the client's balance is unchanged
+// @route   POST /api/payments/:id/reject
+// @access  Private (finance/admin)
+const rejectClientPayment = async (req, res) => {
+  try {
+    const paymentId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, error: 'A reason is required to reject a payment' });
+    }
+
+    const payment = await prisma.clientPayment.findUnique({ where: { id: paymentId } });
+    if (!payment) {
+      return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+
+    const rejected = await prisma.$transaction(async (tx) => {
+      await rejectPayment(tx, payment, req.user, String(reason).trim().slice(0, 255));
+      return tx.clientPayment.findUnique({
+        where: { id: paymentId },
+        include: PAYMENT_INCLUDE
+      });
+    });
+
+    res.json({ success: true, data: rejected });
+  } catch (error) {
+    sendError(res, error, 'Failed to reject payment');
+  }
+};
+
+// @desc    Payment notification from a mobile money provider
+// @route   POST /api/payments/callbacks/:provider
+// @access  Public (checked by the provider adapter)
+const receivePaymentCallback = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ success: false, error: 'Unknown payment provider' });
+  }
+
+  if (!provider.authenticate(req)) {
+    console.warn(`[Payments] Rejected ${provider.name} callback from ${req.ip}: bad credentials`);
+    return res.status(401).json(provider.acknowledge(false));
+  }
+
+  try {
+    const transaction = provider.parseCallback(req.body);
+    if (!transaction) {
+      // Not a completed payment, e.g. a cancelled STK push
+      return res.json(provider.acknowledge(true));
+    }
+
+    const { transaction: stored, duplicate } = await ingestTransaction(provider, transaction, req.body);
+    console.log(`[Payments] ${provider.name} ${stored.transactionId}: ${duplicate ? 'duplicate' : stored.status}`);
+    res.json(provider.acknowledge(true));
+  } catch (error) {
+    if (error.code === 'INVALID_CALLBACK') {
+      console.warn(`[Payments] Invalid ${provider.name} callback: ${error.message}`);
+      return res.status(400).json(provider.acknowledge(false));
+    }
+    // Any other failure is retried by the provider
+    console.error(`[Payments] Error processing ${provider.name} callback:`, error);
+    res.status(500).json(provider.acknowledge(false));
+  }
+};
+
+// @desc    Mobile money transactions, unmatched by default
+// @route   GET /api/payments/mobile-money?status=UNMATCHED|MATCHED&provider=
+// @access  Private (finance/admin)
+const getMobileMoneyTransactions = async (req, res) => {
+  try {
+    const status = String(req.query.status || TRANSACTION_STATUS.UNMATCHED).toUpperCase();
+    if (!Object.values(TRANSACTION_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${Object.values(TRANSACTION_STATUS).join(', ')}`
+      });
+    }
+
+    const transactions = await prisma.mobileMoneyTransaction.findMany({
+      where: {
+        status,
+        ...(req.query.provider && { provider: req.query.provider })
+      },
+      include: { client: { select: { id: true, name: true, contact: true } } },
+      orderBy: [{ paidAt: 'asc' }, { id: 'asc' }]
+    });
+
+    res.json({ success: true, data: transactions });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch mobile money transactions');
+  }
+};
+
+// @desc    Match an unmatched mobile money transaction to a client
+// @route   POST /api/payments/mobile-money/:id/assign
+// @access  Private (finance/admin)
+const assignMobileMoneyTransaction = async (req, res) => {
+  try {
+    const clientId = parseInt(req.body.clientId);
+    if (isNaN(clientId)) {
+      return res.status(400).json({ success: false, error: 'clientId is required' });
+    }
+
+    const client = await prisma.clients.findUnique({ where: { id: clientId }, select: { id: true } });
+    if (!client) {
+      return res.status(404).json({ success: false, error: 'Client not found' });
+    }
+
+    const transaction = await assignTransaction(parseInt(req.params.id), clientId, req.user);
+    res.json({ success: true, data: transaction });
+  } catch (error) {
+    sendError(res, error, 'Failed to assign transaction');
+  }
+};
+
+module.exports = {
+  getVerificationQueue,
+  verifyClientPayment,
+  rejectClientPayment,
+  receivePaymentCallback,
+  getMobileMoneyTransactions,
+  assignMobileMoneyTransaction
+};
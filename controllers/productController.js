@@ -2,7 +2,8 @@ const prisma = require('../lib/prisma');
 const multer = require('multer');
 const ImageKit = require('imagekit');
 const path = require('path');
-const { getCurrencyValue } = require('../lib/currencyUtils');
+const { getCurrencyValue, getCurrencyInfo, getCurrencyByCode } = require('../lib/currencyUtils');
+const { savePrices, legacyProductPrices } = require('../lib/priceList');
 
 // Initialize ImageKit
 const imagekit = new ImageKit({
@@ -38,6 +39,47 @@ const getUserId = (req) => {
   return req.user.id;
 };
 
+/**
+ * Prices by currency code from the body, e.g. { "UGX": 1500 }. Multipart
+ * forms send it as a JSON string.
+ * @returns {{ prices?: Object[], error?: string }}
+ */
+const parsePrices = (value) => {
+  if (value === undefined || value === null || value === '') return { prices: [] };
+
+  let map = value;
+  if (typeof value === 'string') {
+    try {
+      map = JSON.parse(value);
+    } catch (error) {
+      return { error: 'prices must be an object of currency code to amount' };
+    }
+  }
+  if (typeof map !== 'object' || Array.isArray(map)) {
+    return { error: 'prices must be an object of currency code to amount' };
+  }
+
+  const prices = [];
+  for (const [code, raw] of Object.entries(map)) {
+    const currency = getCurrencyByCode(code);
+    const amount = Number(raw);
+    if (!currency) {
+      return { error: `Currency ${code} is not configured` };
+    }
+    if (isNaN(amount) || amount < 0) {
+      return { error: `Price in ${currency.code} must be 0 or more` };
+    }
+    prices.push({ currencyCode: currency.code, amount });
+  }
+  return { prices };
+};
+
+// Body prices override the legacy columns for the same currency
+const mergePrices = (legacy, prices) => [
+  ...legacy.filter(price => !prices.some(other => other.currencyCode === price.currencyCode)),
+  ...prices
+];
+
 /**
  * Get products with stock filtering and country-specific overrides
  * 
@@ -106,7 +148,8 @@ const getProducts = async (req, res) => {
             store: true
           }
         },
-        purchaseHistory: true
+        purchaseHistory: true,
+        prices: true
       },
       orderBy: {
         name: 'asc',
@@ -176,7 +219,9 @@ const getProducts = async (req, res) => {
         categoryWithPriceOptions = await prisma.category.findUnique({
           where: { id: product.category_id },
           include: {
-            priceOptions: true
+            priceOptions: {
+              include: { prices: true }
+            }
           }
         });
 
@@ -226,7 +271,7 @@ const getProducts = async (req, res) => {
       });
 
       // 💰 CURRENCY FILTERING: Apply country-specific currency conversion
-      // This converts product unit costs based on user's country
+      // This picks the product's unit cost in the user's currency from its prices
       const originalUnitCost = product.unit_cost;
       const filteredUnitCost = getCurrencyValue(product, user.countryId, 'product');
       
@@ -252,18 +297,21 @@ const getProducts = async (req, res) => {
           currencyType: 'priceOption'
         });
 
+        const { prices, ...priceOptionFields } = priceOption;
         return {
-          ...priceOption,
+          ...priceOptionFields,
           // Filter price option value based on country
           value: filteredValue
         };
       }) || [];
 
       // 🎯 FINAL PRODUCT OBJECT: Combine all filtered data
+      const { prices, ...productFields } = product;
       const filteredProduct = {
-        ...product,
-        // Filter product unit cost based on country
-        unit_cost: filteredUnitCost,
+        ...productFields,
+        // Filter product unit cost based on country; sent as a string like
+        // the Decimal column it replaces
+        unit_cost: filteredUnitCost === null ? null : String(filteredUnitCost),
         priceOptions: filteredPriceOptions,
         storeQuantities: filteredStoreQuantities  // Only stores with stock in user's country
       };
@@ -308,6 +356,7 @@ const getProducts = async (req, res) => {
       success: true,
       data: productsWithPriceOptions,
       userCountry: user, // Include user country info for frontend currency logic
+      currency: getCurrencyInfo(user.countryId),
       pagination: {
         total: totalProductsWithStock,
         page: parseInt(page),
@@ -375,6 +424,11 @@ const createProduct = async (req, res) => {
         return res.status(400).json({ error: 'Missing required field: name' });
       }
 
+      const { prices, error: pricesError } = parsePrices(req.body.prices);
+      if (pricesError) {
+        return res.status(400).json({ error: pricesError });
+      }
+
       if (!clientId) {
         return res.status(400).json({ error: 'Missing required field: clientId' });
       }
@@ -401,7 +455,7 @@ const createProduct = async (req, res) => {
         }
 
         // Create the product
-        return await tx.product.create({
+        const created = await tx.product.create({
           data: {
             name,
             description,
@@ -414,12 +468,24 @@ const createProduct = async (req, res) => {
             unit_cost_tzs: parseFloat(unit_cost_tzs) || 0,
             unit_cost_ngn: parseFloat(unit_cost_ngn) || 0,
           },
+        });
+
+        // Record the prices in every currency, including the legacy columns
+        await savePrices(tx, {
+          productId: created.id,
+          prices: mergePrices(legacyProductPrices(created), prices),
+          updatedBy: userId
+        });
+
+        return tx.product.findUnique({
+          where: { id: created.id },
           include: {
             client: true,
             orderItems: true,
             storeQuantities: true,
             purchase: true,
-            purchaseHistory: true
+            purchaseHistory: true,
+            prices: true
           },
         });
       }, {
@@ -469,6 +535,11 @@ const updateProduct = async (req, res) => {
       } = req.body;
       const userId = getUserId(req);
 
+      const { prices, error: pricesError } = parsePrices(req.body.prices);
+      if (pricesError) {
+        return res.status(400).json({ error: pricesError });
+      }
+
       // Check if product exists
       const existingProduct = await prisma.product.findUnique({
         where: { id: parseInt(id) },
@@ -486,28 +557,48 @@ const updateProduct = async (req, res) => {
         return res.status(500).json({ error: 'Image upload failed' });
       }
 
-      // Update the product
-      const product = await prisma.product.update({
-        where: { id: parseInt(id) },
-        data: {
-          name: name || existingProduct.name,
-          description: description || existingProduct.description,
-          category_id: category_id ? parseInt(category_id) : existingProduct.category_id,
-          category: category || existingProduct.category,
-          currentStock: currentStock ? parseInt(currentStock) : existingProduct.currentStock,
-          clientId: clientId ? parseInt(clientId) : existingProduct.clientId,
-          image: imageUrl || existingProduct.image,
-          unit_cost: unit_cost ? parseFloat(unit_cost) : existingProduct.unit_cost,
-          unit_cost_tzs: unit_cost_tzs ? parseFloat(unit_cost_tzs) : existingProduct.unit_cost_tzs,
-          unit_cost_ngn: unit_cost_ngn ? parseFloat(unit_cost_ngn) : existingProduct.unit_cost_ngn,
-        },
-        include: {
-          client: true,
-          orderItems: true,
-          storeQuantities: true,
-          purchase: true,
-          purchaseHistory: true
-        },
+      // Legacy price fields that were sent, then any prices by currency code
+      const legacyPrices = legacyProductPrices({ unit_cost, unit_cost_tzs, unit_cost_ngn })
+        .filter(price => price.amount);
+
+      // Update the product and its prices together
+      const product = await prisma.$transaction(async (tx) => {
+        await tx.product.update({
+          where: { id: parseInt(id) },
+          data: {
+            name: name || existingProduct.name,
+            description: description || existingProduct.description,
+            category_id: category_id ? parseInt(category_id) : existingProduct.category_id,
+            category: category || existingProduct.category,
+            currentStock: currentStock ? parseInt(currentStock) : existingProduct.currentStock,
+            clientId: clientId ? parseInt(clientId) : existingProduct.clientId,
+            image: imageUrl || existingProduct.image,
+            unit_cost: unit_cost ? parseFloat(unit_cost) : existingProduct.unit_cost,
+            unit_cost_tzs: unit_cost_tzs ? parseFloat(unit_cost_tzs) : existingProduct.unit_cost_tzs,
+            unit_cost_ngn: unit_cost_ngn ? parseFloat(unit_cost_ngn) : existingProduct.unit_cost_ngn,
+          },
+        });
+
+        await savePrices(tx, {
+          productId: existingProduct.id,
+          prices: mergePrices(legacyPrices, prices),
+          updatedBy: userId
+        });
+
+        return tx.product.findUnique({
+          where: { id: existingProduct.id },
+          include: {
+            client: true,
+            orderItems: true,
+            storeQuantities: true,
+            purchase: true,
+            purchaseHistory: true,
+            prices: true
+          },
+        });
+      }, {
+        maxWait: 5000,
+        timeout: 10000
       });
 
       console.log('Product updated successfully:', product);
@@ -1,4 +1,5 @@
 const prisma = require('../lib/prisma');
+const { receiveProductReturn } = require('../lib/productReturns');
 
 const createProductReturn = async (req, res) => {
   const { clientId, userId, journeyPlanId, details } = req.body;
@@ -36,6 +37,7 @@ const createProductReturn = async (req, res) => {
             quantity: item.quantity || 0,
             reason: item.reason || '',
             imageUrl: item.imageUrl || '',
+            batchNumber: item.batchNumber ? String(item.batchNumber).trim().slice(0, 50) : null,
           },
         })
       ));
@@ -61,4 +63,57 @@ const updateProductReturn = async (req, res) => {
   }
 };
 
-module.exports = { createProductReturn, updateProductReturn };
+// @desc    Book the sellable units of a return back into a store
+// @route   POST /api/product-returns/:id/receive
+// @access  Private (warehouse, manager, admin)
+const receiveReturn = async (req, res) => {
+  try {
+    const storeId = parseInt(req.body.storeId);
+    if (isNaN(storeId)) {
+      return res.status(400).json({ success: false, error: 'storeId is required' });
+    }
+
+    // Repeated product and batch lines are combined
+    const raw = Array.isArray(req.body.items) ? req.body.items : [];
+    const lines = new Map();
+    for (const item of raw) {
+      const productId = parseInt(item.productId);
+      const quantity = Number(item.quantity);
+      const batchNumber = item.batchNumber ? String(item.batchNumber).trim().slice(0, 50) : null;
+      const expiryDate = item.expiryDate ? new Date(`${item.expiryDate}T00:00:00.000Z`) : null;
+      if (isNaN(productId) || !Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ success: false, error: 'Each line needs a productId and a positive whole quantity' });
+      }
+      if (expiryDate && (isNaN(expiryDate) || !batchNumber)) {
+        return res.status(400).json({ success: false, error: 'expiryDate must be a YYYY-MM-DD date and needs a batchNumber' });
+      }
+
+      const key = `${productId}:${batchNumber}`;
+      const line = lines.get(key) || { productId, batchNumber, expiryDate, quantity: 0 };
+      line.quantity += quantity;
+      lines.set(key, line);
+    }
+    if (lines.size === 0) {
+      return res.status(400).json({ success: false, error: 'items must list the products to put back into stock' });
+    }
+
+    const result = await receiveProductReturn(parseInt(req.params.id), {
+      storeId,
+      items: [...lines.values()],
+      user: req.user
+    });
+
+    console.log(`[Returns] Return #${req.params.id} received into store ${storeId} by ${req.user.id}`);
+    res.json({ success: true, data: result.productReturn, movements: result.movements });
+  } catch (error) {
+    console.error('Error receiving product return:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to receive product return',
+      ...(error.code && { code: error.code }),
+      ...(error.details && { details: error.details })
+    });
+  }
+};
+
+module.exports = { createProductReturn, updateProductReturn, receiveReturn };
@@ -0,0 +1,234 @@
+const prisma = require('../lib/prisma');
+const { Prisma } = require('@prisma/client');
+const { PROMOTION_TYPES, findActivePromotions } = require('../lib/promotionEngine');
+
+const optionalInt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+// A date-only end date ("2026-10-31") runs to the end of that day (UTC)
+const parseEndDate = (value) => {
+  const date = new Date(value);
+  if (!isNaN(date) && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Validate a promotion payload and build the Prisma data for it
+const buildPromotionData = (body) => {
+  const type = String(body.type || '').toUpperCase();
+  if (!PROMOTION_TYPES.includes(type)) {
+    return { error: `type must be one of: ${PROMOTION_TYPES.join(', ')}` };
+  }
+
+  if (!body.name || !String(body.name).trim()) {
+    return { error: 'name is required' };
+  }
+
+  const startDate = new Date(body.startDate);
+  const endDate = parseEndDate(body.endDate);
+  if (isNaN(startDate) || isNaN(endDate) || endDate < startDate) {
+    return { error: 'startDate and endDate are required and endDate must not be before startDate' };
+  }
+
+  const data = {
+    name: String(body.name).trim(),
+    description: body.description || null,
+    type,
+    value: null,
+    buyQuantity: null,
+    freeQuantity: null,
+    minQuantity: optionalInt(body.minQuantity) || 1,
+    productId: optionalInt(body.productId),
+    categoryId: optionalInt(body.categoryId),
+    countryId: optionalInt(body.countryId),
+    regionId: optionalInt(body.regionId),
+    clientType: optionalInt(body.clientType),
+    startDate,
+    endDate,
+    active: body.active === undefined ? true : Boolean(body.active)
+  };
+  let tiers = [];
+
+  if (type === 'PERCENTAGE' || type === 'FIXED') {
+    const value = parseFloat(body.value);
+    if (isNaN(value) || value <= 0 || (type === 'PERCENTAGE' && value > 100)) {
+      return { error: type === 'PERCENTAGE' ? 'value must be a percentage between 0 and 100' : 'value must be a positive amount' };
+    }
+    data.value = new Prisma.Decimal(value.toFixed(2));
+  }
+
+  if (type === 'BUY_X_GET_Y') {
+    data.buyQuantity = optionalInt(body.buyQuantity);
+    data.freeQuantity = optionalInt(body.freeQuantity);
+    if (!(data.buyQuantity > 0) || !(data.freeQuantity > 0)) {
+      return { error: 'buyQuantity and freeQuantity must be positive whole numbers' };
+    }
+  }
+
+  if (type === 'VOLUME_TIER') {
+    if (!data.categoryId && !data.productId) {
+      return { error: 'Volume tiers need a categoryId or productId' };
+    }
+    if (!Array.isArray(body.tiers) || body.tiers.length === 0) {
+      return { error: 'tiers must list at least one { minQuantity, discountPercent }' };
+    }
+    for (const tier of body.tiers) {
+      const minQuantity = optionalInt(tier.minQuantity);
+      const discountPercent = parseFloat(tier.discountPercent);
+      if (!(minQuantity > 0) || isNaN(discountPercent) || discountPercent <= 0 || discountPercent > 100) {
+        return { error: 'Each tier needs a positive minQuantity and a discountPercent between 0 and 100' };
+      }
+      tiers.push({ minQuantity, discountPercent: new Prisma.Decimal(discountPercent.toFixed(2)) });
+    }
+  }
+
+  return { data, tiers };
+};
+
+// @desc    List promotions
+// @route   GET /api/promotions?active=true
+// @access  Private (manager/admin)
+const getPromotions = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.active !== undefined) {
+      where.active = req.query.active === 'true';
+    }
+    if (req.query.countryId) {
+      where.countryId = parseInt(req.query.countryId);
+    }
+
+    const promotions = await prisma.promotion.findMany({
+      where,
+      include: { tiers: { orderBy: { minQuantity: 'asc' } } },
+      orderBy: [{ startDate: 'desc' }, { id: 'desc' }]
+    });
+
+    res.json({ success: true, data: promotions });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch promotions' });
+  }
+};
+
+// @desc    Promotions running now for the signed-in rep
+// @route   GET /api/promotions/current?clientId=
+// @access  Private
+const getCurrentPromotions = async (req, res) => {
+  try {
+    let clientType = null;
+    if (req.query.clientId) {
+      const client = await prisma.clients.findUnique({
+        where: { id: parseInt(req.query.clientId) },
+        select: { client_type: true }
+      });
+      clientType = client?.client_type ?? null;
+    }
+
+    const promotions = await findActivePromotions(prisma, {
+      countryId: parseInt(req.user.countryId) || null,
+      regionId: parseInt(req.user.region_id) || null,
+      clientType
+    });
+
+    res.json({ success: true, data: promotions });
+  } catch (error) {
+    console.error('Error fetching current promotions:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch current promotions' });
+  }
+};
+
+// @desc    Create a promotion
+// @route   POST /api/promotions
+// @access  Private (manager/admin)
+const createPromotion = async (req, res) => {
+  try {
+    const { data, tiers, error } = buildPromotionData(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const promotion = await prisma.promotion.create({
+      data: {
+        ...data,
+        createdBy: req.user.id,
+        tiers: { create: tiers }
+      },
+      include: { tiers: true }
+    });
+
+    res.status(201).json({ success: true, data: promotion });
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    res.status(500).json({ success: false, error: 'Failed to create promotion' });
+  }
+};
+
+// @desc    Replace a promotion's settings
+// @route   PUT /api/promotions/:id
+// @access  Private (manager/admin)
+const updatePromotion = async (req, res) => {
+  try {
+    const promotionId = parseInt(req.params.id);
+    const existing = await prisma.promotion.findUnique({ where: { id: promotionId } });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Promotion not found' });
+    }
+
+    const { data, tiers, error } = buildPromotionData(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // Lines already priced keep their discount; changes apply to new pricing only
+    const promotion = await prisma.$transaction(async (tx) => {
+      await tx.promotionTier.deleteMany({ where: { promotionId } });
+      return tx.promotion.update({
+        where: { id: promotionId },
+        data: {
+          ...data,
+          tiers: { create: tiers }
+        },
+        include: { tiers: true }
+      });
+    });
+
+    res.json({ success: true, data: promotion });
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    res.status(500).json({ success: false, error: 'Failed to update promotion' });
+  }
+};
+
+// @desc    End a promotion; order lines that used it keep the reference
+// @route   DELETE /api/promotions/:id
+// @access  Private (manager/admin)
+const deactivatePromotion = async (req, res) => {
+  try {
+    const { count } = await prisma.promotion.updateMany({
+      where: { id: parseInt(req.params.id) },
+      data: { active: false }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ success: false, error: 'Promotion not found' });
+    }
+
+    res.json({ success: true, message: 'Promotion deactivated' });
+  } catch (error) {
+    console.error('Error deactivating promotion:', error);
+    res.status(500).json({ success: false, error: 'Failed to deactivate promotion' });
+  }
+};
+
+module.exports = {
+  getPromotions,
+  getCurrentPromotions,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion
+};
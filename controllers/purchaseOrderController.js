@@ -0,0 +1,252 @@
+const prisma = require('../lib/prisma');
+const {
+  PO_STATUS,
+  createPurchaseOrder,
+  receiveGoods,
+  closePurchaseOrder
+} = require('../lib/purchasing');
+
+const sendError = (res, error, fallback) => {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallback,
+    ...(error.code && { code: error.code }),
+    ...(error.details && { details: error.details })
+  });
+};
+
+const optionalNote = (value) => (value ? String(value).trim().slice(0, 255) : null);
+
+const parseDay = (value) => {
+  if (!value) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date) ? undefined : date;
+};
+
+/**
+ * Order lines from the body ([{ productId, quantity, unitCost }]). Repeated
+ * products are refused rather than combined, since they may carry different costs.
+ */
+const parseOrderItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'items must be a list of { productId, quantity, unitCost }' };
+  }
+
+  const seen = new Set();
+  const parsed = [];
+  for (const item of items) {
+    const productId = parseInt(item.productId);
+    const quantity = Number(item.quantity);
+    const unitCost = item.unitCost === undefined || item.unitCost === null ? null : Number(item.unitCost);
+
+    if (isNaN(productId) || !Number.isInteger(quantity) || quantity <= 0) {
+      return { error: 'Each line needs a productId and a positive whole quantity' };
+    }
+    if (unitCost !== null && (isNaN(unitCost) || unitCost < 0)) {
+      return { error: `unitCost for product ${productId} must be 0 or more` };
+    }
+    if (seen.has(productId)) {
+      return { error: `Product ${productId} appears more than once` };
+    }
+    seen.add(productId);
+    parsed.push({ productId, quantity, ...(unitCost !== null && { unitCost }) });
+  }
+
+  return { items: parsed };
+};
+
+// Ordered, received and outstanding quantities per line
+const withOutstanding = (order) => ({
+  ...order,
+  items: order.items.map(item => ({
+    ...item,
+    outstanding_quantity: Math.max(item.quantity - item.received_quantity, 0)
+  }))
+});
+
+// @desc    Raise a purchase order to a supplier
+// @route   POST /api/purchase-orders
+// @access  Private (manager, admin)
+const createPurchaseOrderHandler = async (req, res) => {
+  try {
+    const supplierId = parseInt(req.body.supplierId);
+    if (isNaN(supplierId)) {
+      return res.status(400).json({ success: false, error: 'supplierId is required' });
+    }
+
+    const { items, error } = parseOrderItems(req.body.items);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const order = await createPurchaseOrder({
+      supplierId,
+      items,
+      notes: req.body.notes ? String(req.body.notes).trim() : null,
+      user: req.user
+    });
+
+    console.log(`[Purchasing] PO #${order.id} raised to supplier ${supplierId} by ${req.user.id}`);
+    res.status(201).json({ success: true, data: withOutstanding(order) });
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    sendError(res, error, 'Failed to create purchase order');
+  }
+};
+
+// @desc    List purchase orders, newest first
+// @route   GET /api/purchase-orders?supplierId=&status=&productId=
+// @access  Private (warehouse, finance, manager, admin)
+const getPurchaseOrders = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  try {
+    const where = {};
+    if (req.query.supplierId) where.vendor_id = parseInt(req.query.supplierId);
+    if (req.query.productId) where.items = { some: { product_id: parseInt(req.query.productId) } };
+    if (req.query.status) {
+      const statuses = String(req.query.status).toUpperCase().split(',');
+      const invalid = statuses.find(status => !Object.values(PO_STATUS).includes(status));
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${Object.values(PO_STATUS).join(', ')}`
+        });
+      }
+      where.status = { in: statuses };
+    }
+
+    const [total, orders] = await Promise.all([
+      prisma.purchaseOrder.count({ where }),
+      prisma.purchaseOrder.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { id: 'desc' },
+        include: {
+          supplier: { select: { id: true, name: true } },
+          items: true
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: orders.map(withOutstanding),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch purchase orders' });
+  }
+};
+
+// @desc    Purchase order with its lines, receipts and payments
+// @route   GET /api/purchase-orders/:id
+// @access  Private (warehouse, finance, manager, admin)
+const getPurchaseOrder = async (req, res) => {
+  try {
+    const order = await prisma.purchaseOrder.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: {
+        supplier: { select: { id: true, name: true, contact: true } },
+        items: { include: { product: { select: { id: true, name: true } } } },
+        receipts: {
+          orderBy: { id: 'asc' },
+          include: {
+            store: { select: { id: true, name: true } },
+            items: true
+          }
+        },
+        payments: { orderBy: { id: 'asc' } }
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Purchase order not found' });
+    }
+
+    res.json({ success: true, data: withOutstanding(order) });
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch purchase order' });
+  }
+};
+
+// @desc    Receive goods against a purchase order into a store
+// @route   POST /api/purchase-orders/:id/receive
+// @access  Private (warehouse, manager, admin)
+const receivePurchaseOrder = async (req, res) => {
+  try {
+    const storeId = parseInt(req.body.storeId);
+    if (isNaN(storeId)) {
+      return res.status(400).json({ success: false, error: 'storeId is required' });
+    }
+
+    const raw = Array.isArray(req.body.items) ? req.body.items : [];
+    const items = raw.map(item => ({
+      productId: parseInt(item.productId),
+      quantity: Number(item.quantity),
+      batchNumber: item.batchNumber ? String(item.batchNumber).trim().slice(0, 50) : null,
+      expiryDate: parseDay(item.expiryDate)
+    }));
+    const invalid = items.find(item =>
+      isNaN(item.productId) || !Number.isInteger(item.quantity) || item.quantity <= 0
+    );
+    if (invalid) {
+      return res.status(400).json({ success: false, error: 'Each line needs a productId and a positive whole quantity' });
+    }
+    if (items.some(item => item.expiryDate === undefined || (item.expiryDate && !item.batchNumber))) {
+      return res.status(400).json({ success: false, error: 'expiryDate must be a YYYY-MM-DD date and needs a batchNumber' });
+    }
+    const lineKeys = items.map(item => `${item.productId}:${item.batchNumber}`);
+    if (new Set(lineKeys).size !== items.length) {
+      return res.status(400).json({ success: false, error: 'Each product and batch can appear only once per receipt' });
+    }
+
+    const result = await receiveGoods(parseInt(req.params.id), {
+      storeId,
+      items,
+      note: optionalNote(req.body.note),
+      user: req.user
+    });
+
+    console.log(`[Purchasing] GRN #${result.purchase.id} received against PO #${req.params.id} into store ${storeId} by ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: {
+        purchase: result.purchase,
+        purchaseOrder: withOutstanding(result.purchaseOrder)
+      }
+    });
+  } catch (error) {
+    console.error('Error receiving goods:', error);
+    sendError(res, error, 'Failed to receive goods');
+  }
+};
+
+// @desc    Cancel a purchase order, or close it short if partly received
+// @route   POST /api/purchase-orders/:id/close
+// @access  Private (manager, admin)
+const closePurchaseOrderHandler = async (req, res) => {
+  try {
+    const order = await closePurchaseOrder(parseInt(req.params.id), req.user, optionalNote(req.body.reason));
+    res.json({ success: true, data: withOutstanding(order) });
+  } catch (error) {
+    console.error('Error closing purchase order:', error);
+    sendError(res, error, 'Failed to close purchase order');
+  }
+};
+
+module.exports = {
+  createPurchaseOrder: createPurchaseOrderHandler,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder: closePurchaseOrderHandler
+};
@@ -0,0 +1,133 @@
+const prisma = require('../lib/prisma');
+const {
+  DEFAULT_AGING_POLICY,
+  GROUP_BY,
+  parseBuckets,
+  getAgingPolicy,
+  buildAgingReport
+} = require('../lib/receivablesAging');
+
+const optionalInt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+// @desc    Receivables aging per client, route, region or rep
+// @route   GET /api/receivables/aging?countryId=&groupBy=client|route|region|rep&clientId=&routeId=&regionId=&userId=
+// @access  Private (manager, finance, admin)
+const getAgingReport = async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'client';
+    if (!GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `groupBy must be one of: ${GROUP_BY.join(', ')}`
+      });
+    }
+
+    const countryId = optionalInt(req.query.countryId) || parseInt(req.user.countryId);
+    if (!countryId) {
+      return res.status(400).json({ success: false, error: 'countryId is required' });
+    }
+
+    const report = await buildAgingReport(prisma, {
+      countryId,
+      groupBy,
+      clientId: optionalInt(req.query.clientId),
+      routeId: optionalInt(req.query.routeId),
+      regionId: optionalInt(req.query.regionId),
+      userId: optionalInt(req.query.userId)
+    });
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error building aging report:', error);
+    res.status(500).json({ success: false, error: 'Failed to build aging report' });
+  }
+};
+
+// @desc    Aging policy for a country (the default when none is stored)
+// @route   GET /api/receivables/aging-policies/:countryId
+// @access  Private (manager, finance, admin)
+const getAgingPolicyForCountry = async (req, res) => {
+  try {
+    const countryId = parseInt(req.params.countryId);
+    if (isNaN(countryId)) {
+      return res.status(400).json({ success: false, error: 'Invalid country ID' });
+    }
+
+    const policy = await getAgingPolicy(prisma, countryId);
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Error fetching aging policy:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch aging policy' });
+  }
+};
+
+// @desc    Set a country's payment terms, aging buckets and order-blocking threshold
+// @route   PUT /api/receivables/aging-policies/:countryId
+// @access  Private (admin)
+const updateAgingPolicy = async (req, res) => {
+  try {
+    const countryId = parseInt(req.params.countryId);
+    if (isNaN(countryId)) {
+      return res.status(400).json({ success: false, error: 'Invalid country ID' });
+    }
+
+    const current = await getAgingPolicy(prisma, countryId);
+    const termsDays = req.body.termsDays === undefined ? current.termsDays : Number(req.body.termsDays);
+    const blockAfterDays = req.body.blockAfterDays === undefined ? current.blockAfterDays : Number(req.body.blockAfterDays);
+    const buckets = req.body.buckets === undefined ? current.buckets : parseBuckets(req.body.buckets);
+
+    if (!Number.isInteger(termsDays) || termsDays < 0) {
+      return res.status(400).json({ success: false, error: 'termsDays must be a whole number of days, 0 or more' });
+    }
+    if (!Number.isInteger(blockAfterDays) || blockAfterDays < 0) {
+      return res.status(400).json({ success: false, error: 'blockAfterDays must be a whole number of days, 0 or more' });
+    }
+    if (!buckets) {
+      return res.status(400).json({
+        success: false,
+        error: 'buckets must be 1 to 6 increasing whole numbers of days, e.g. [30, 60, 90]'
+      });
+    }
+
+    const data = { termsDays, buckets, blockAfterDays, updatedBy: req.user.id };
+    const policy = await prisma.agingPolicy.upsert({
+      where: { countryId },
+      update: data,
+      create: { countryId, ...data }
+    });
+
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Error updating aging policy:', error);
+    res.status(500).json({ success: false, error: 'Failed to update aging policy' });
+  }
+};
+
+// @desc    Remove a country's aging policy so it uses the default again
+// @route   DELETE /api/receivables/aging-policies/:countryId
+// @access  Private (admin)
+const deleteAgingPolicy = async (req, res) => {
+  try {
+    const countryId = parseInt(req.params.countryId);
+    if (isNaN(countryId)) {
+      return res.status(400).json({ success: false, error: 'Invalid country ID' });
+    }
+
+    await prisma.agingPolicy.deleteMany({ where: { countryId } });
+    res.json({ success: true, data: { countryId, ...DEFAULT_AGING_POLICY } });
+  } catch (error) {
+    console.error('Error deleting aging policy:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete aging policy' });
+  }
+};
+
+module.exports = {
+  getAgingReport,
+  getAgingPolicyForCountry,
+  updateAgingPolicy,
+  deleteAgingPolicy
+};
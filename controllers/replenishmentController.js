@@ -0,0 +1,140 @@
+const prisma = require('../lib/prisma');
+const { REPLENISHMENT_STATUS, buildReplenishment } = require('../lib/replenishment');
+
+const LEVEL_FIELDS = ['reorderPoint', 'safetyStock', 'leadTimeDays'];
+
+// @desc    Low-stock list and suggested purchase quantities for a store
+// @route   GET /api/stores/:id/replenishment?days=&status=LOW,OUT_OF_STOCK
+// @access  Private (warehouse, manager, admin)
+const getStoreReplenishment = async (req, res) => {
+  try {
+    const windowDays = req.query.days ? parseInt(req.query.days) : undefined;
+    if (windowDays !== undefined && !(windowDays > 0 && windowDays <= 365)) {
+      return res.status(400).json({ success: false, error: 'days must be between 1 and 365' });
+    }
+
+    let statuses = null;
+    if (req.query.status) {
+      statuses = String(req.query.status).toUpperCase().split(',');
+      if (statuses.some(status => !Object.values(REPLENISHMENT_STATUS).includes(status))) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${Object.values(REPLENISHMENT_STATUS).join(', ')}`
+        });
+      }
+    }
+
+    const replenishment = await buildReplenishment(prisma, parseInt(req.params.id), { windowDays });
+    if (!replenishment) {
+      return res.status(404).json({ success: false, error: 'Store not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...replenishment,
+        lines: statuses
+          ? replenishment.lines.filter(line => statuses.includes(line.status))
+          : replenishment.lines
+      }
+    });
+  } catch (error) {
+    console.error('Error building replenishment list:', error);
+    res.status(500).json({ success: false, error: 'Failed to build replenishment list' });
+  }
+};
+
+// @desc    Set a product's reorder point, safety stock or lead time in a store
+// @route   PUT /api/stores/:id/stock-levels/:productId
+// @access  Private (manager, admin)
+const updateStockLevel = async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id);
+    const productId = parseInt(req.params.productId);
+
+    // null clears a setting so the calculated value is used again
+    const data = {};
+    for (const field of LEVEL_FIELDS) {
+      if (!(field in req.body)) continue;
+      const value = req.body[field] === null ? null : Number(req.body[field]);
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        return res.status(400).json({ success: false, error: `${field} must be a whole number, 0 or more, or null` });
+      }
+      data[field] = value;
+    }
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ success: false, error: `Send at least one of: ${LEVEL_FIELDS.join(', ')}` });
+    }
+
+    const [store, product] = await Promise.all([
+      prisma.stores.findUnique({ where: { id: storeId }, select: { id: true } }),
+      prisma.product.findUnique({ where: { id: productId }, select: { id: true } })
+    ]);
+    if (!store || !product) {
+      return res.status(404).json({ success: false, error: store ? 'Product not found' : 'Store not found' });
+    }
+
+    const level = await prisma.stockLevel.upsert({
+      where: { storeId_productId: { storeId, productId } },
+      create: { storeId, productId, ...data, updatedBy: req.user.id },
+      update: { ...data, updatedBy: req.user.id }
+    });
+
+    res.json({ success: true, data: level });
+  } catch (error) {
+    console.error('Error updating stock level:', error);
+    res.status(500).json({ success: false, error: 'Failed to update stock level' });
+  }
+};
+
+// @desc    Remove a product's settings so calculated levels are used
+// @route   DELETE /api/stores/:id/stock-levels/:productId
+// @access  Private (manager, admin)
+const deleteStockLevel = async (req, res) => {
+  try {
+    const { count } = await prisma.stockLevel.deleteMany({
+      where: { storeId: parseInt(req.params.id), productId: parseInt(req.params.productId) }
+    });
+    if (count === 0) {
+      return res.status(404).json({ success: false, error: 'No stock level set for this product' });
+    }
+
+    res.json({ success: true, message: 'Stock level removed' });
+  } catch (error) {
+    console.error('Error deleting stock level:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete stock level' });
+  }
+};
+
+// @desc    Open low-stock alerts from the daily check, most urgent first
+// @route   GET /api/stores/low-stock?storeId=&countryId=&productId=
+// @access  Private (warehouse, manager, admin)
+const getLowStockAlerts = async (req, res) => {
+  try {
+    const where = { resolvedAt: null };
+    if (req.query.storeId) where.storeId = parseInt(req.query.storeId);
+    if (req.query.productId) where.productId = parseInt(req.query.productId);
+    if (req.query.countryId) where.store = { countryId: parseInt(req.query.countryId) };
+
+    const alerts = await prisma.lowStockAlert.findMany({
+      where,
+      orderBy: [{ status: 'desc' }, { flaggedAt: 'asc' }],
+      include: {
+        store: { select: { id: true, name: true } },
+        product: { select: { id: true, name: true } }
+      }
+    });
+
+    res.json({ success: true, data: alerts });
+  } catch (error) {
+    console.error('Error fetching low-stock alerts:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch low-stock alerts' });
+  }
+};
+
+module.exports = {
+  getStoreReplenishment,
+  updateStockLevel,
+  deleteStockLevel,
+  getLowStockAlerts
+};
@@ -0,0 +1,359 @@
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const path = require('path');
+const prisma = require('../lib/prisma');
+const { uploadFile } = require('../lib/uploadService');
+const { ORDER_STATUS, statusName, parseStatusFilter, transitionOrder } = require('../lib/orderStatus');
+
+// Configure multer for the proof-of-delivery photo
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['.jpg', '.jpeg', '.png'];
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (allowedTypes.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type: ${ext}. Only JPG, JPEG and PNG files are allowed.`));
+    }
+  }
+}).single('image');
+
+const RIDER_TOKEN_TTL = '12h';
+
+// Riders act on orders as themselves; history rows record them in
+// changedByRiderId and name them explicitly
+const riderActor = (rider) => ({ riderId: rider.id, name: `Rider: ${rider.name}` });
+
+// Only the rider's own orders, in the given states
+const findRiderOrder = (orderId, riderId, status) =>
+  prisma.myOrder.findFirst({
+    where: { id: orderId, riderId, status }
+  });
+
+// @desc    Rider login
+// @route   POST /api/riders/login
+// @access  Public
+const riderLogin = async (req, res) => {
+  try {
+    const { contact, password, device_id, device_name } = req.body;
+
+    if (!contact || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact and password are required'
+      });
+    }
+
+    const rider = await prisma.riders.findFirst({
+      where: { contact: String(contact) }
+    });
+
+    if (!rider || !rider.password || !(await bcrypt.compare(password, rider.password))) {
+      return res.status(401).json({ success: false, message: 'Invalid contact or password' });
+    }
+
+    // Same convention as stores and clients: 0 is active
+    if (rider.status !== null && rider.status !== 0) {
+      return res.status(403).json({ success: false, message: 'Rider account is not active' });
+    }
+
+    const accessToken = jwt.sign(
+      { riderId: rider.id, companyId: rider.company_id, type: 'rider' },
+      process.env.JWT_SECRET,
+      { expiresIn: RIDER_TOKEN_TTL }
+    );
+
+    // Storing the token ends any session on a previous device
+    await prisma.riders.update({
+      where: { id: rider.id },
+      data: {
+        token: accessToken,
+        ...(device_id && { device_id: String(device_id) }),
+        ...(device_name && { device_name: String(device_name) }),
+        device_status: 'online'
+      }
+    });
+
+    res.json({
+      success: true,
+      rider: {
+        id: rider.id,
+        name: rider.name,
+        contact: rider.contact,
+        company_id: rider.company_id,
+        company: rider.company
+      },
+      accessToken,
+      expiresIn: 12 * 60 * 60 // 12 hours in seconds
+    });
+  } catch (error) {
+    console.error('Rider login error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// @desc    Rider logout
+// @route   POST /api/riders/logout
+// @access  Private (rider)
+const riderLogout = async (req, res) => {
+  try {
+    await prisma.riders.update({
+      where: { id: req.rider.id },
+      data: { token: null, device_status: 'offline' }
+    });
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Rider logout error:', error);
+    res.status(500).json({ success: false, error: 'Logout failed' });
+  }
+};
+
+// @desc    Orders assigned to the rider
+// @route   GET /api/riders/orders?status=approved,dispatched
+// @access  Private (rider)
+const getAssignedOrders = async (req, res) => {
+  try {
+    // Default to work still to do: waiting for pickup or on the road
+    let statuses = [ORDER_STATUS.approved, ORDER_STATUS.dispatched];
+    if (req.query.status) {
+      statuses = parseStatusFilter(req.query.status);
+      if (!statuses) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status filter. Use one or more of: ${Object.keys(ORDER_STATUS).join(', ')}`
+        });
+      }
+    }
+
+    const orders = await prisma.myOrder.findMany({
+      where: {
+        riderId: req.rider.id,
+        status: { in: statuses }
+      },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              select: { id: true, name: true, image: true }
+            },
+            priceOption: true,
+            // Which store ships each part of the line
+            allocations: {
+              include: {
+                store: { select: { id: true, name: true } }
+              }
+            }
+          }
+        },
+        client: {
+          select: {
+            id: true,
+            name: true,
+            contact: true,
+            address: true,
+            latitude: true,
+            longitude: true
+          }
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: orders.map(order => ({ ...order, statusName: statusName(order.status) }))
+    });
+  } catch (error) {
+    console.error('Error fetching rider orders:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch assigned orders' });
+  }
+};
+
+// @desc    Rider confirms pickup from the store; the order is dispatched
+// @route   POST /api/riders/orders/:id/pickup
+// @access  Private (rider)
+const confirmPickup = async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    if (isNaN(orderId)) {
+      return res.status(400).json({ success: false, error: 'Invalid order ID format' });
+    }
+
+    const order = await findRiderOrder(orderId, req.rider.id, ORDER_STATUS.approved);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'No approved order assigned to you with this ID' });
+    }
+
+    const updated = await prisma.$transaction(
+      (tx) => transitionOrder(tx, order, 'dispatched', riderActor(req.rider), {
+        note: 'Picked up by rider',
+        data: { pickupTime: new Date().toISOString() }
+      }),
+      { maxWait: 5000, timeout: 10000 }
+    );
+
+    res.json({
+      success: true,
+      data: { ...updated, statusName: statusName(updated.status) }
+    });
+  } catch (error) {
+    console.error('Error confirming pickup:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to confirm pickup'
+    });
+  }
+};
+
+// @desc    Rider confirms delivery with photo, GPS point and recipient
+// @route   POST /api/riders/orders/:id/deliver
+// @access  Private (rider)
+const confirmDelivery = async (req, res) => {
+  upload(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    try {
+      const orderId = parseInt(req.params.id);
+      const { latitude, longitude, recipient, address } = req.body;
+
+      if (isNaN(orderId)) {
+        return res.status(400).json({ success: false, error: 'Invalid order ID format' });
+      }
+
+      const lat = parseFloat(latitude);
+      const lng = parseFloat(longitude);
+      if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return res.status(400).json({ success: false, error: 'A valid latitude and longitude are required' });
+      }
+
+      if (!recipient || !String(recipient).trim()) {
+        return res.status(400).json({ success: false, error: 'Recipient name is required' });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'A proof of delivery photo is required' });
+      }
+
+      const order = await findRiderOrder(orderId, req.rider.id, ORDER_STATUS.dispatched);
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'No dispatched order assigned to you with this ID' });
+      }
+
+      let imageUrl;
+      try {
+        const result = await uploadFile(req.file, {
+          folder: 'whoosh/deliveries',
+          type: 'document',
+          useCache: false
+        });
+        imageUrl = result.main.url;
+      } catch (error) {
+        console.error('Proof of delivery upload failed:', error);
+        return res.status(500).json({ success: false, error: 'Failed to upload proof of delivery' });
+      }
+
+      const updated = await prisma.$transaction(
+        (tx) => transitionOrder(tx, order, 'delivered', riderActor(req.rider), {
+          note: `Delivered to ${String(recipient).trim()}`,
+          data: {
+            complete_latitude: String(lat),
+            complete_longitude: String(lng),
+            complete_address: address || null,
+            recepient: String(recipient).trim(),
+            deliveryImageUrl: imageUrl
+          }
+        }),
+        { maxWait: 5000, timeout: 10000 }
+      );
+
+      res.json({
+        success: true,
+        data: { ...updated, statusName: statusName(updated.status) }
+      });
+    } catch (error) {
+      console.error('Error confirming delivery:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to confirm delivery'
+      });
+    }
+  });
+};
+
+// @desc    Dispatcher assigns an approved order to a rider
+// @route   PATCH /api/orders/:id/rider
+// @access  Private (manager/admin)
+const assignRider = async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const riderId = parseInt(req.body.riderId);
+
+    if (isNaN(orderId) || isNaN(riderId)) {
+      return res.status(400).json({ success: false, error: 'Valid order ID and riderId are required' });
+    }
+
+    const [order, rider] = await Promise.all([
+      prisma.myOrder.findUnique({ where: { id: orderId } }),
+      prisma.riders.findUnique({ where: { id: riderId } })
+    ]);
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    if (!rider || (rider.status !== null && rider.status !== 0)) {
+      return res.status(404).json({ success: false, error: 'Active rider not found' });
+    }
+
+    // Riders can be (re)assigned until the goods leave the store
+    if (order.status !== ORDER_STATUS.approved) {
+      return res.status(409).json({
+        success: false,
+        error: `Only approved orders can be assigned to a rider (order is ${statusName(order.status)})`
+      });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.myOrder.update({
+        where: { id: orderId },
+        data: { riderId: rider.id, riderName: rider.name }
+      });
+
+      await tx.orderStatusHistory.create({
+        data: {
+          orderId,
+          fromStatus: order.status,
+          toStatus: order.status,
+          changedBy: req.user.id,
+          changedByName: req.user.name || 'Unknown',
+          note: `Assigned to rider ${rider.name} (#${rider.id})`
+        }
+      });
+
+      return result;
+    });
+
+    res.json({
+      success: true,
+      data: { ...updated, statusName: statusName(updated.status) }
+    });
+  } catch (error) {
+    console.error('Error assigning rider:', error);
+    res.status(500).json({ success: false, error: 'Failed to assign rider' });
+  }
+};
+
+module.exports = {
+  riderLogin,
+  riderLogout,
+  getAssignedOrders,
+  confirmPickup,
+  confirmDelivery,
+  assignRider
+};
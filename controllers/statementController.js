@@ -0,0 +1,94 @@
+const prisma = require('../lib/prisma');
+const {
+  parseStatementPeriod,
+  buildStatement,
+  statementWorkbook
+} = require('../lib/clientStatement');
+const { renderStatement } = require('../lib/documentService');
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const statementFilename = (statement, extension) =>
+  `statement-${statement.client.id}-${statement.from ? formatDay(statement.from) : 'start'}-${formatDay(statement.to)}.${extension}`;
+
+/**
+ * Validate the period and build the statement. Sends the 400/404 response
+ * itself and returns null when there is nothing to render.
+ */
+const loadStatement = async (req, res) => {
+  const period = parseStatementPeriod(req.query);
+  if (period.error) {
+    res.status(400).json({ success: false, error: period.error });
+    return null;
+  }
+
+  const statement = await buildStatement(prisma, parseInt(req.params.id), period);
+  if (!statement) {
+    res.status(404).json({ success: false, error: 'Client not found' });
+    return null;
+  }
+  return statement;
+};
+
+// @desc    Statement of account for a client
+// @route   GET /api/outlets/:id/statement?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private
+const getClientStatement = async (req, res) => {
+  try {
+    const statement = await loadStatement(req, res);
+    if (!statement) return;
+
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    console.error('Error building statement:', error);
+    res.status(500).json({ success: false, error: 'Failed to build statement' });
+  }
+};
+
+// @desc    Statement of account as PDF
+// @route   GET /api/outlets/:id/statement.pdf?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private
+const getClientStatementPdf = async (req, res) => {
+  try {
+    const statement = await loadStatement(req, res);
+    if (!statement) return;
+
+    const buffer = await renderStatement(statement);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${statementFilename(statement, 'pdf')}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error generating statement PDF:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate statement' });
+  }
+};
+
+// @desc    Statement of account as an Excel workbook
+// @route   GET /api/outlets/:id/statement.xlsx?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private
+const getClientStatementXlsx = async (req, res) => {
+  try {
+    const statement = await loadStatement(req, res);
+    if (!statement) return;
+
+    const buffer = statementWorkbook(statement);
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${statementFilename(statement, 'xlsx')}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error generating statement workbook:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate statement' });
+  }
+};
+
+module.exports = {
+  getClientStatement,
+  getClientStatementPdf,
+  getClientStatementXlsx
+};
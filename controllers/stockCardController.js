@@ -0,0 +1,56 @@
+const prisma = require('../lib/prisma');
+const { buildStockCard } = require('../lib/stockCard');
+
+const DEFAULT_PERIOD_DAYS = 30;
+
+const parseDay = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  return isNaN(date) ? undefined : date;
+};
+
+// @desc    Stock card: opening balance, movements and closing balance per store
+// @route   GET /api/products/:id/stock-card?storeId=&from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private (warehouse, finance, manager, admin)
+const getStockCard = async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const storeId = req.query.storeId ? parseInt(req.query.storeId) : null;
+    if (isNaN(productId) || (storeId !== null && isNaN(storeId))) {
+      return res.status(400).json({ success: false, error: 'Product and store ids must be numbers' });
+    }
+
+    // Defaults to the last 30 days up to the end of today
+    let to = parseDay(req.query.to, true);
+    let from = parseDay(req.query.from);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ success: false, error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (!to) {
+      to = new Date();
+      to.setUTCHours(23, 59, 59, 999);
+    }
+    if (!from) {
+      from = new Date(to);
+      from.setUTCDate(from.getUTCDate() - DEFAULT_PERIOD_DAYS + 1);
+      from.setUTCHours(0, 0, 0, 0);
+    }
+    if (from > to) {
+      return res.status(400).json({ success: false, error: 'from must not be after to' });
+    }
+
+    const card = await buildStockCard(prisma, { productId, storeId, from, to });
+    if (!card) {
+      return res.status(404).json({ success: false, error: storeId ? 'Product or store not found' : 'Product not found' });
+    }
+
+    res.json({ success: true, data: card });
+  } catch (error) {
+    console.error('Error building stock card:', error);
+    res.status(500).json({ success: false, error: 'Failed to build stock card' });
+  }
+};
+
+module.exports = {
+  getStockCard
+};
@@ -0,0 +1,246 @@
+const prisma = require('../lib/prisma');
+const {
+  STOCK_TAKE_STATUS,
+  STOCK_TAKE_MODE,
+  openStockTake,
+  recordCounts,
+  getStockTakeReview,
+  approveStockTake,
+  cancelStockTake,
+  parseCountSheet,
+  countSheetWorkbook
+} = require('../lib/stockTake');
+
+const sendError = (res, error, fallback) => {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallback,
+    ...(error.code && { code: error.code }),
+    ...(error.details && { details: error.details })
+  });
+};
+
+const optionalNote = (value) => (value ? String(value).trim().slice(0, 255) : null);
+
+// @desc    Open a stock take for a store and snapshot its quantities
+// @route   POST /api/stock-takes
+// @access  Private (warehouse, manager, admin)
+const createStockTake = async (req, res) => {
+  try {
+    const storeId = parseInt(req.body.storeId);
+    const mode = String(req.body.mode || STOCK_TAKE_MODE.BLOCK).toUpperCase();
+
+    if (isNaN(storeId)) {
+      return res.status(400).json({ success: false, error: 'storeId is required' });
+    }
+    if (!Object.values(STOCK_TAKE_MODE).includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of: ${Object.values(STOCK_TAKE_MODE).join(', ')}`
+      });
+    }
+
+    const session = await openStockTake({ storeId, mode, note: optionalNote(req.body.note), user: req.user });
+
+    console.log(`[Stock Take] #${session.id} opened for store ${storeId} by ${req.user.id}`);
+    res.status(201).json({ success: true, data: session });
+  } catch (error) {
+    console.error('Error opening stock take:', error);
+    sendError(res, error, 'Failed to open stock take');
+  }
+};
+
+// @desc    List stock takes, newest first
+// @route   GET /api/stock-takes?storeId=&status=
+// @access  Private (warehouse, manager, admin)
+const getStockTakes = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  try {
+    const where = {};
+    if (req.query.storeId) where.storeId = parseInt(req.query.storeId);
+    if (req.query.status) {
+      const status = String(req.query.status).toUpperCase();
+      if (!Object.values(STOCK_TAKE_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${Object.values(STOCK_TAKE_STATUS).join(', ')}`
+        });
+      }
+      where.status = status;
+    }
+
+    const [total, sessions] = await Promise.all([
+      prisma.stockTakeSession.count({ where }),
+      prisma.stockTakeSession.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { id: 'desc' },
+        include: {
+          store: { select: { id: true, name: true } },
+          _count: { select: { lines: true } }
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: sessions,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching stock takes:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stock takes' });
+  }
+};
+
+// @desc    Stock take with its lines and variances, for review
+// @route   GET /api/stock-takes/:id
+// @access  Private (warehouse, manager, admin)
+const getStockTake = async (req, res) => {
+  try {
+    const review = await getStockTakeReview(prisma, parseInt(req.params.id));
+    if (!review) {
+      return res.status(404).json({ success: false, error: 'Stock take not found' });
+    }
+
+    res.json({ success: true, data: review });
+  } catch (error) {
+    console.error('Error fetching stock take:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stock take' });
+  }
+};
+
+// @desc    Blank count sheet to fill in and upload
+// @route   GET /api/stock-takes/:id/count-sheet.xlsx
+// @access  Private (warehouse, manager, admin)
+const getCountSheet = async (req, res) => {
+  try {
+    const review = await getStockTakeReview(prisma, parseInt(req.params.id));
+    if (!review) {
+      return res.status(404).json({ success: false, error: 'Stock take not found' });
+    }
+
+    const buffer = countSheetWorkbook(review);
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="stock-take-${review.id}.xlsx"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error generating count sheet:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate count sheet' });
+  }
+};
+
+// @desc    Record counts
+// @route   PUT /api/stock-takes/:id/counts
+// @access  Private (warehouse, manager, admin)
+const submitCounts = async (req, res) => {
+  try {
+    const counts = Array.isArray(req.body.counts) ? req.body.counts : [];
+    const parsed = counts.map(count => ({
+      productId: parseInt(count.productId),
+      countedQuantity: Number(count.countedQuantity)
+    }));
+
+    if (parsed.length === 0) {
+      return res.status(400).json({ success: false, error: 'counts must be a list of { productId, countedQuantity }' });
+    }
+    const invalid = parsed.find(count =>
+      isNaN(count.productId) || !Number.isInteger(count.countedQuantity) || count.countedQuantity < 0
+    );
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each count needs a productId and a countedQuantity that is a whole number, 0 or more'
+      });
+    }
+
+    const result = await recordCounts(parseInt(req.params.id), parsed, req.user);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error recording counts:', error);
+    sendError(res, error, 'Failed to record counts');
+  }
+};
+
+// @desc    Record counts from an uploaded XLSX count sheet
+// @route   POST /api/stock-takes/:id/counts/import
+// @access  Private (warehouse, manager, admin)
+const importCounts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Upload the count sheet as "file"' });
+    }
+
+    let sheet;
+    try {
+      sheet = parseCountSheet(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: 'The file could not be read as a spreadsheet' });
+    }
+
+    if (sheet.errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'The count sheet has invalid rows', rows: sheet.errors });
+    }
+    if (sheet.counts.length === 0) {
+      return res.status(400).json({ success: false, error: 'The count sheet has no counts' });
+    }
+
+    const result = await recordCounts(parseInt(req.params.id), sheet.counts, req.user);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error importing counts:', error);
+    sendError(res, error, 'Failed to import counts');
+  }
+};
+
+// @desc    Approve a stock take and post its variances to the store
+// @route   POST /api/stock-takes/:id/approve
+// @access  Private (manager, admin)
+const approveStockTakeSession = async (req, res) => {
+  try {
+    const result = await approveStockTake(parseInt(req.params.id), req.user, {
+      note: optionalNote(req.body.note),
+      skipUncounted: req.body.skipUncounted === true
+    });
+
+    console.log(`[Stock Take] #${req.params.id} approved by ${req.user.id}: ${result.adjustments.length} adjustments`);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error approving stock take:', error);
+    sendError(res, error, 'Failed to approve stock take');
+  }
+};
+
+// @desc    Cancel a stock take without changing stock
+// @route   POST /api/stock-takes/:id/cancel
+// @access  Private (manager, admin)
+const cancelStockTakeSession = async (req, res) => {
+  try {
+    const session = await cancelStockTake(parseInt(req.params.id), req.user, optionalNote(req.body.note));
+    res.json({ success: true, data: session });
+  } catch (error) {
+    console.error('Error cancelling stock take:', error);
+    sendError(res, error, 'Failed to cancel stock take');
+  }
+};
+
+module.exports = {
+  createStockTake,
+  getStockTakes,
+  getStockTake,
+  getCountSheet,
+  submitCounts,
+  importCounts,
+  approveStockTakeSession,
+  cancelStockTakeSession
+};
@@ -0,0 +1,133 @@
+const prisma = require('../lib/prisma');
+const { transferStock } = require('../lib/stockTransfer');
+
+/**
+ * Transfer lines from the body: either `items` ([{ productId, quantity }]) or
+ * a single productId and quantity. Repeated products are combined.
+ */
+const parseTransferItems = (body) => {
+  const raw = Array.isArray(body.items) && body.items.length > 0
+    ? body.items
+    : [{ productId: body.productId, quantity: body.quantity }];
+
+  const quantities = new Map();
+  for (const item of raw) {
+    const productId = parseInt(item.productId);
+    const quantity = Number(item.quantity);
+    if (isNaN(productId) || !Number.isInteger(quantity) || quantity <= 0) {
+      return { error: 'Each line needs a productId and a positive whole quantity' };
+    }
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  }
+
+  return { items: [...quantities].map(([productId, quantity]) => ({ productId, quantity })) };
+};
+
+const parseDay = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  return isNaN(date) ? undefined : date;
+};
+
+// @desc    Move stock from one store to another
+// @route   POST /api/stores/transfers
+// @access  Private (warehouse, manager, admin)
+const createStockTransfer = async (req, res) => {
+  try {
+    const fromStoreId = parseInt(req.body.fromStoreId);
+    const toStoreId = parseInt(req.body.toStoreId);
+
+    if (isNaN(fromStoreId) || isNaN(toStoreId)) {
+      return res.status(400).json({ success: false, error: 'fromStoreId and toStoreId are required' });
+    }
+
+    const { items, error } = parseTransferItems(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const transfers = await transferStock({
+      fromStoreId,
+      toStoreId,
+      items,
+      note: req.body.note ? String(req.body.note).trim().slice(0, 255) : null,
+      user: req.user
+    });
+
+    console.log(`[Transfer] ${transfers.length} lines moved from store ${fromStoreId} to ${toStoreId} by ${req.user.id}`);
+    res.status(201).json({ success: true, data: transfers });
+  } catch (error) {
+    console.error('Error transferring stock:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to transfer stock',
+      ...(error.code && { code: error.code }),
+      ...(error.details && { stock: error.details })
+    });
+  }
+};
+
+// @desc    List stock transfers, newest first
+// @route   GET /api/stores/transfers?productId=&storeId=&fromStoreId=&toStoreId=&from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private (warehouse, manager, admin)
+const getStockTransfers = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  try {
+    const from = parseDay(req.query.from);
+    const to = parseDay(req.query.to, true);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ success: false, error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    const where = {};
+    if (req.query.productId) where.productId = parseInt(req.query.productId);
+    if (req.query.fromStoreId) where.fromStoreId = parseInt(req.query.fromStoreId);
+    if (req.query.toStoreId) where.toStoreId = parseInt(req.query.toStoreId);
+    // storeId matches transfers in either direction
+    if (req.query.storeId) {
+      const storeId = parseInt(req.query.storeId);
+      where.OR = [{ fromStoreId: storeId }, { toStoreId: storeId }];
+    }
+    if (from || to) {
+      where.transferredAt = {
+        ...(from && { gte: from }),
+        ...(to && { lte: to })
+      };
+    }
+
+    const [total, transfers] = await Promise.all([
+      prisma.transferHistory.count({ where }),
+      prisma.transferHistory.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { id: 'desc' },
+        include: {
+          product: { select: { id: true, name: true } },
+          fromStore: { select: { id: true, name: true } },
+          toStore: { select: { id: true, name: true } }
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: transfers,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching stock transfers:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stock transfers' });
+  }
+};
+
+module.exports = {
+  createStockTransfer,
+  getStockTransfers
+};
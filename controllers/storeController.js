@@ -11,6 +11,7 @@ const getStores = async (req, res) => {
     // Build the where clause based on filters
     const whereClause = {
       status: 0, // Only get active stores
+      salesRepId: null, // Rep vans are listed under /api/van-stock
     };
 
     // Add region filter if provided
@@ -0,0 +1,181 @@
+const prisma = require('../lib/prisma');
+const { PO_STATUS, PAYMENT_METHODS, recordSupplierPayment } = require('../lib/purchasing');
+
+const parseDay = (value) => {
+  if (!value) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date) ? undefined : date;
+};
+
+// @desc    List suppliers with what we owe each
+// @route   GET /api/suppliers?search=
+// @access  Private (warehouse, finance, manager, admin)
+const getSuppliers = async (req, res) => {
+  try {
+    const where = req.query.search ? { name: { contains: String(req.query.search) } } : {};
+    const suppliers = await prisma.suppliers.findMany({
+      where,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ success: true, data: suppliers });
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch suppliers' });
+  }
+};
+
+// @desc    Add a supplier
+// @route   POST /api/suppliers
+// @access  Private (finance, manager, admin)
+const createSupplier = async (req, res) => {
+  try {
+    const name = req.body.name ? String(req.body.name).trim() : '';
+    const contact = req.body.contact ? String(req.body.contact).trim() : '';
+    if (!name || !contact) {
+      return res.status(400).json({ success: false, error: 'name and contact are required' });
+    }
+
+    const supplier = await prisma.suppliers.create({ data: { name, contact } });
+    res.status(201).json({ success: true, data: supplier });
+  } catch (error) {
+    console.error('Error creating supplier:', error);
+    res.status(500).json({ success: false, error: 'Failed to create supplier' });
+  }
+};
+
+// @desc    Supplier with its balance and the purchase orders still in progress
+// @route   GET /api/suppliers/:id
+// @access  Private (warehouse, finance, manager, admin)
+const getSupplier = async (req, res) => {
+  try {
+    const supplier = await prisma.suppliers.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: {
+        purchaseOrders: {
+          where: { status: { in: [PO_STATUS.OPEN, PO_STATUS.PARTIALLY_RECEIVED] } },
+          orderBy: { id: 'desc' }
+        }
+      }
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ success: false, error: 'Supplier not found' });
+    }
+
+    res.json({ success: true, data: supplier });
+  } catch (error) {
+    console.error('Error fetching supplier:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch supplier' });
+  }
+};
+
+// @desc    Supplier account ledger, newest first
+// @route   GET /api/suppliers/:id/history
+// @access  Private (finance, manager, admin)
+const getSupplierHistory = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  try {
+    const where = { supplier_id: parseInt(req.params.id) };
+    const [total, entries] = await Promise.all([
+      prisma.supplierHistory.count({ where }),
+      prisma.supplierHistory.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { id: 'desc' }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching supplier history:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch supplier history' });
+  }
+};
+
+// @desc    Payments made to a supplier, newest first
+// @route   GET /api/suppliers/:id/payments
+// @access  Private (finance, manager, admin)
+const getSupplierPayments = async (req, res) => {
+  try {
+    const payments = await prisma.payments.findMany({
+      where: { vendor_id: parseInt(req.params.id) },
+      orderBy: { id: 'desc' }
+    });
+
+    res.json({ success: true, data: payments });
+  } catch (error) {
+    console.error('Error fetching supplier payments:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch supplier payments' });
+  }
+};
+
+// @desc    Record a payment to a supplier
+// @route   POST /api/suppliers/:id/payments
+// @access  Private (finance, admin)
+const createSupplierPayment = async (req, res) => {
+  try {
+    const amount = Math.round(Number(req.body.amount) * 100) / 100;
+    const paymentMethod = String(req.body.paymentMethod || '').toUpperCase();
+    const poId = req.body.purchaseOrderId ? parseInt(req.body.purchaseOrderId) : null;
+    const paymentDate = req.body.paymentDate ? parseDay(req.body.paymentDate) : new Date();
+
+    if (!(amount > 0)) {
+      return res.status(400).json({ success: false, error: 'amount must be greater than 0' });
+    }
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: `paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
+    if (poId !== null && isNaN(poId)) {
+      return res.status(400).json({ success: false, error: 'purchaseOrderId must be a number' });
+    }
+    if (!paymentDate) {
+      return res.status(400).json({ success: false, error: 'paymentDate must be a date in YYYY-MM-DD format' });
+    }
+
+    const result = await recordSupplierPayment({
+      supplierId: parseInt(req.params.id),
+      poId,
+      amount,
+      paymentMethod,
+      reference: req.body.reference ? String(req.body.reference).trim().slice(0, 100) : null,
+      paymentDate,
+      notes: req.body.notes ? String(req.body.notes).trim() : null,
+      user: req.user
+    });
+
+    console.log(`[Purchasing] Payment #${result.payment.id} of ${amount} to supplier ${req.params.id} by ${req.user.id}`);
+    res.status(201).json({ success: true, data: result.payment, balance: result.balance });
+  } catch (error) {
+    console.error('Error recording supplier payment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to record supplier payment',
+      ...(error.code && { code: error.code }),
+      ...(error.details && { details: error.details })
+    });
+  }
+};
+
+module.exports = {
+  getSuppliers,
+  createSupplier,
+  getSupplier,
+  getSupplierHistory,
+  getSupplierPayments,
+  createSupplierPayment
+};
@@ -0,0 +1,147 @@
+const prisma = require('../lib/prisma');
+const { Prisma } = require('@prisma/client');
+
+const optionalInt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+// @desc    List tax rules
+// @route   GET /api/tax/rules?countryId=&active=true
+// @access  Private (admin)
+const getTaxRules = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.countryId) {
+      where.countryId = parseInt(req.query.countryId);
+    }
+    if (req.query.active !== undefined) {
+      where.active = req.query.active === 'true';
+    }
+
+    const rules = await prisma.taxRule.findMany({
+      where,
+      orderBy: [{ countryId: 'asc' }, { id: 'asc' }]
+    });
+
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error fetching tax rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch tax rules' });
+  }
+};
+
+// @desc    Add a tax rule for a country, category or product
+// @route   POST /api/tax/rules
+// @access  Private (admin)
+const createTaxRule = async (req, res) => {
+  try {
+    const countryId = optionalInt(req.body.countryId);
+    const rate = parseFloat(req.body.rate);
+
+    if (!countryId) {
+      return res.status(400).json({ success: false, error: 'countryId is required' });
+    }
+    if (!req.body.name || !String(req.body.name).trim()) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+      return res.status(400).json({ success: false, error: 'rate must be a percentage between 0 and 100' });
+    }
+
+    const rule = await prisma.taxRule.create({
+      data: {
+        countryId,
+        categoryId: optionalInt(req.body.categoryId),
+        productId: optionalInt(req.body.productId),
+        name: String(req.body.name).trim(),
+        rate: new Prisma.Decimal(rate.toFixed(2)),
+        // Form and spreadsheet clients send "true"/"false" as strings
+        inclusive: req.body.inclusive === undefined
+          ? true
+          : req.body.inclusive === true || req.body.inclusive === 'true',
+        createdBy: req.user.id
+      }
+    });
+
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    console.error('Error creating tax rule:', error);
+    res.status(500).json({ success: false, error: 'Failed to create tax rule' });
+  }
+};
+
+// @desc    Retire a tax rule; orders already taxed keep their amounts
+// @route   DELETE /api/tax/rules/:id
+// @access  Private (admin)
+const deactivateTaxRule = async (req, res) => {
+  try {
+    const { count } = await prisma.taxRule.updateMany({
+      where: { id: parseInt(req.params.id) },
+      data: { active: false }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ success: false, error: 'Tax rule not found' });
+    }
+
+    res.json({ success: true, message: 'Tax rule deactivated' });
+  } catch (error) {
+    console.error('Error deactivating tax rule:', error);
+    res.status(500).json({ success: false, error: 'Failed to deactivate tax rule' });
+  }
+};
+
+// @desc    Invoice number sequences per country
+// @route   GET /api/tax/invoice-sequences
+// @access  Private (admin)
+const getInvoiceSequences = async (req, res) => {
+  try {
+    const sequences = await prisma.invoiceSequence.findMany({
+      orderBy: { countryId: 'asc' }
+    });
+
+    res.json({ success: true, data: sequences });
+  } catch (error) {
+    console.error('Error fetching invoice sequences:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch invoice sequences' });
+  }
+};
+
+// @desc    Set a country's invoice prefix. The running number is never
+//          changed here so numbering stays gapless.
+// @route   PUT /api/tax/invoice-sequences/:countryId
+// @access  Private (admin)
+const updateInvoiceSequence = async (req, res) => {
+  try {
+    const countryId = parseInt(req.params.countryId);
+    const prefix = String(req.body.prefix || '').trim();
+
+    if (isNaN(countryId)) {
+      return res.status(400).json({ success: false, error: 'Invalid country ID' });
+    }
+    if (!prefix || prefix.length > 20) {
+      return res.status(400).json({ success: false, error: 'prefix is required and must be at most 20 characters' });
+    }
+
+    const sequence = await prisma.invoiceSequence.upsert({
+      where: { countryId },
+      update: { prefix },
+      create: { countryId, prefix }
+    });
+
+    res.json({ success: true, data: sequence });
+  } catch (error) {
+    console.error('Error updating invoice sequence:', error);
+    res.status(500).json({ success: false, error: 'Failed to update invoice sequence' });
+  }
+};
+
+module.exports = {
+  getTaxRules,
+  createTaxRule,
+  deactivateTaxRule,
+  getInvoiceSequences,
+  updateInvoiceSequence
+};
@@ -0,0 +1,310 @@
+const prisma = require('../lib/prisma');
+const {
+  VAN_RECONCILIATION_STATUS,
+  loadVan,
+  unloadVan,
+  getVanStock,
+  getVanDaySummary,
+  submitVanReconciliation,
+  approveVanReconciliation
+} = require('../lib/vanStock');
+
+const sendError = (res, error, fallback) => {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallback,
+    ...(error.code && { code: error.code }),
+    ...(error.details && { details: error.details })
+  });
+};
+
+const optionalNote = (value) => (value ? String(value).trim().slice(0, 255) : null);
+
+/**
+ * Load or unload lines from the body ([{ productId, quantity }]). Repeated
+ * products are combined.
+ */
+const parseVanItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'items must be a list of { productId, quantity }' };
+  }
+
+  const quantities = new Map();
+  for (const item of items) {
+    const productId = parseInt(item.productId);
+    const quantity = Number(item.quantity);
+    if (isNaN(productId) || !Number.isInteger(quantity) || quantity <= 0) {
+      return { error: 'Each line needs a productId and a positive whole quantity' };
+    }
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  }
+
+  return { items: [...quantities].map(([productId, quantity]) => ({ productId, quantity })) };
+};
+
+// Business day as midnight UTC; defaults to today
+const parseBusinessDate = (value) => {
+  if (!value) {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    return today;
+  }
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date) ? null : date;
+};
+
+const sendVanStock = async (res, salesRepId) => {
+  const stock = await getVanStock(prisma, salesRepId);
+  if (!stock) {
+    return res.json({ success: true, data: { van: null, items: [], totalUnits: 0 } });
+  }
+  res.json({ success: true, data: stock });
+};
+
+const sendVanDay = async (req, res, salesRepId) => {
+  const date = parseBusinessDate(req.query.date);
+  if (!date) {
+    return res.status(400).json({ success: false, error: 'date must be in YYYY-MM-DD format' });
+  }
+
+  const summary = await getVanDaySummary(prisma, salesRepId, date);
+  if (!summary) {
+    return res.status(404).json({ success: false, error: 'No van stock for this rep', code: 'VAN_NOT_FOUND' });
+  }
+  res.json({ success: true, data: summary });
+};
+
+// @desc    The signed-in rep's van stock
+// @route   GET /api/van-stock/me
+// @access  Private
+const getMyVanStock = async (req, res) => {
+  try {
+    await sendVanStock(res, req.user.id);
+  } catch (error) {
+    console.error('Error fetching van stock:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch van stock' });
+  }
+};
+
+// @desc    A rep's van stock
+// @route   GET /api/van-stock/:salesRepId
+// @access  Private (warehouse, manager, admin)
+const getRepVanStock = async (req, res) => {
+  try {
+    await sendVanStock(res, parseInt(req.params.salesRepId));
+  } catch (error) {
+    console.error('Error fetching van stock:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch van stock' });
+  }
+};
+
+// @desc    Load stock from a store into a rep's van
+// @route   POST /api/van-stock/:salesRepId/load
+// @access  Private (warehouse, manager, admin)
+const loadVanHandler = async (req, res) => {
+  try {
+    const fromStoreId = parseInt(req.body.fromStoreId);
+    if (isNaN(fromStoreId)) {
+      return res.status(400).json({ success: false, error: 'fromStoreId is required' });
+    }
+
+    const { items, error } = parseVanItems(req.body.items);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const result = await loadVan({
+      salesRepId: parseInt(req.params.salesRepId),
+      fromStoreId,
+      items,
+      note: optionalNote(req.body.note),
+      user: req.user
+    });
+
+    console.log(`[Van Stock] ${items.length} lines loaded from store ${fromStoreId} into van ${result.van.id} by ${req.user.id}`);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error loading van:', error);
+    sendError(res, error, 'Failed to load van');
+  }
+};
+
+// @desc    Return stock from a rep's van to a store
+// @route   POST /api/van-stock/:salesRepId/unload
+// @access  Private (warehouse, manager, admin)
+const unloadVanHandler = async (req, res) => {
+  try {
+    const toStoreId = parseInt(req.body.toStoreId);
+    if (isNaN(toStoreId)) {
+      return res.status(400).json({ success: false, error: 'toStoreId is required' });
+    }
+
+    const { items, error } = parseVanItems(req.body.items);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const result = await unloadVan({
+      salesRepId: parseInt(req.params.salesRepId),
+      toStoreId,
+      items,
+      note: optionalNote(req.body.note),
+      user: req.user
+    });
+
+    console.log(`[Van Stock] ${items.length} lines unloaded from van ${result.van.id} into store ${toStoreId} by ${req.user.id}`);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error unloading van:', error);
+    sendError(res, error, 'Failed to unload van');
+  }
+};
+
+// @desc    The signed-in rep's day: opening, loaded, sold, returned and expected per product
+// @route   GET /api/van-stock/me/day?date=YYYY-MM-DD
+// @access  Private
+const getMyVanDay = async (req, res) => {
+  try {
+    await sendVanDay(req, res, req.user.id);
+  } catch (error) {
+    console.error('Error building van day summary:', error);
+    res.status(500).json({ success: false, error: 'Failed to build van day summary' });
+  }
+};
+
+// @desc    A rep's van day summary
+// @route   GET /api/van-stock/:salesRepId/day?date=YYYY-MM-DD
+// @access  Private (warehouse, manager, admin)
+const getRepVanDay = async (req, res) => {
+  try {
+    await sendVanDay(req, res, parseInt(req.params.salesRepId));
+  } catch (error) {
+    console.error('Error building van day summary:', error);
+    res.status(500).json({ success: false, error: 'Failed to build van day summary' });
+  }
+};
+
+// @desc    Submit the signed-in rep's end-of-day van count
+// @route   POST /api/van-stock/me/reconciliation
+// @access  Private
+const submitMyReconciliation = async (req, res) => {
+  try {
+    const date = parseBusinessDate(req.body.date);
+    if (!date) {
+      return res.status(400).json({ success: false, error: 'date must be in YYYY-MM-DD format' });
+    }
+    if (date > new Date()) {
+      return res.status(400).json({ success: false, error: 'A van cannot be counted for a future date' });
+    }
+
+    const raw = Array.isArray(req.body.counts) ? req.body.counts : [];
+    const counts = raw.map(count => ({
+      productId: parseInt(count.productId),
+      counted: Number(count.counted)
+    }));
+    if (counts.some(count => isNaN(count.productId) || !Number.isInteger(count.counted) || count.counted < 0)) {
+      return res.status(400).json({ success: false, error: 'Each count needs a productId and a whole counted quantity, 0 or more' });
+    }
+    if (new Set(counts.map(count => count.productId)).size !== counts.length) {
+      return res.status(400).json({ success: false, error: 'Each product can be counted only once' });
+    }
+
+    const reconciliation = await submitVanReconciliation({
+      salesRepId: req.user.id,
+      date,
+      counts,
+      note: optionalNote(req.body.note)
+    });
+
+    const short = reconciliation.items.filter(item => item.variance < 0).length;
+    console.log(`[Van Stock] Rep ${req.user.id} submitted van count #${reconciliation.id} (${short} lines short)`);
+    res.status(201).json({ success: true, data: reconciliation });
+  } catch (error) {
+    console.error('Error submitting van count:', error);
+    sendError(res, error, 'Failed to submit van count');
+  }
+};
+
+// @desc    List van reconciliations, newest first
+// @route   GET /api/van-stock/reconciliations?status=&salesRepId=&date=YYYY-MM-DD
+// @access  Private (warehouse, manager, admin)
+const getReconciliations = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  try {
+    const where = {};
+    if (req.query.salesRepId) where.salesRepId = parseInt(req.query.salesRepId);
+    if (req.query.date) {
+      const date = parseBusinessDate(req.query.date);
+      if (!date) {
+        return res.status(400).json({ success: false, error: 'date must be in YYYY-MM-DD format' });
+      }
+      where.businessDate = date;
+    }
+    if (req.query.status) {
+      const status = String(req.query.status).toUpperCase();
+      if (!Object.values(VAN_RECONCILIATION_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${Object.values(VAN_RECONCILIATION_STATUS).join(', ')}`
+        });
+      }
+      where.status = status;
+    }
+
+    const [total, reconciliations] = await Promise.all([
+      prisma.vanReconciliation.count({ where }),
+      prisma.vanReconciliation.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { id: 'desc' },
+        include: {
+          salesRep: { select: { id: true, name: true } },
+          items: { include: { product: { select: { id: true, name: true } } } }
+        }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: reconciliations,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching van reconciliations:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch van reconciliations' });
+  }
+};
+
+// @desc    Approve a van count and post its variances
+// @route   POST /api/van-stock/reconciliations/:id/approve
+// @access  Private (manager, admin)
+const approveReconciliation = async (req, res) => {
+  try {
+    const result = await approveVanReconciliation(parseInt(req.params.id), req.user);
+
+    console.log(`[Van Stock] Van count #${req.params.id} approved by ${req.user.id} (${result.adjustments.length} adjustments)`);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error approving van count:', error);
+    sendError(res, error, 'Failed to approve van count');
+  }
+};
+
+module.exports = {
+  getMyVanStock,
+  getRepVanStock,
+  loadVan: loadVanHandler,
+  unloadVan: unloadVanHandler,
+  getMyVanDay,
+  getRepVanDay,
+  submitMyReconciliation,
+  getReconciliations,
+  approveReconciliation
+};
@@ -20,6 +20,7 @@ const {
   rateLimitMiddleware 
 } = require('./middleware/resilienceMiddleware');
 const { checkDatabaseHealth } = require('./lib/connectionManager');
+const { loadCurrencies } = require('./lib/currencyUtils');
 
 // Debug cron package
 console.log('📦 Cron package loaded:', cron ? 'Yes' : 'No');
@@ -46,6 +47,16 @@ const taskRoutes = require('./routes/taskRoutes');
 const storeRoutes = require('./routes/storeRoutes');
 const targetRoutes = require('./routes/targetRoutes');
 const routeRoutes = require('./routes/routeRoutes');
+const riderRoutes = require('./routes/riderRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const taxRoutes = require('./routes/taxRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const receivablesRoutes = require('./routes/receivablesRoutes');
+const stockTakeRoutes = require('./routes/stockTakeRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const vanStockRoutes = require('./routes/vanStockRoutes');
+const currencyRoutes = require('./routes/currencyRoutes');
 
 const app = express();
 app.use(express.json());
@@ -126,11 +137,51 @@ const tokenCleanupJob = cron.schedule('0 2 * * *', async () => {
   timezone: 'Africa/Nairobi'
 });
 
+// Idempotency key cleanup at 3 AM Africa/Nairobi time
+const idempotencyCleanupJob = cron.schedule('0 3 * * *', async () => {
+  try {
+    const { cleanupExpiredKeys } = require('./middleware/idempotency');
+    const deletedCount = await cleanupExpiredKeys();
+    console.log(`✅ Idempotency cleanup completed: ${deletedCount} expired keys removed`);
+  } catch (error) {
+    console.error('❌ Idempotency cleanup error:', error);
+  }
+}, {
+  timezone: 'Africa/Nairobi'
+});
+
+// Receivables aging summary at 4 AM Africa/Nairobi time
+const agedBalanceJob = cron.schedule('0 4 * * *', async () => {
+  try {
+    const { checkAgedBalances } = require('./jobs/checkAgedBalances');
+    await checkAgedBalances();
+  } catch (error) {
+    console.error('❌ Aged balance check error:', error);
+  }
+}, {
+  timezone: 'Africa/Nairobi'
+});
+
+// Low-stock check and replenishment alerts at 5 AM Africa/Nairobi time
+const lowStockJob = cron.schedule('0 5 * * *', async () => {
+  try {
+    const { checkLowStock } = require('./jobs/checkLowStock');
+    await checkLowStock();
+  } catch (error) {
+    console.error('❌ Low stock check error:', error);
+  }
+}, {
+  timezone: 'Africa/Nairobi'
+});
+
 // Debug job status
 console.log('✅ Auto-logout cron job has been set up');
 console.log('✅ Token cleanup cron job has been set up');
 console.log('📋 Logout job is running:', logoutJob.running);
 console.log('📋 Cleanup job is running:', tokenCleanupJob.running);
+console.log('📋 Idempotency cleanup job is running:', idempotencyCleanupJob.running);
+console.log('📋 Aged balance job is running:', agedBalanceJob.running);
+console.log('📋 Low stock job is running:', lowStockJob.running);
 
 // Serve static files from uploads directory
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
@@ -250,6 +301,16 @@ app.use('/api/tasks', taskRoutes);
 app.use('/api/stores', storeRoutes);
 app.use('/api/targets', targetRoutes);
 app.use('/api/routes', routeRoutes);
+app.use('/api/riders', riderRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/receivables', receivablesRoutes);
+app.use('/api/stock-takes', stockTakeRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/van-stock', vanStockRoutes);
+app.use('/api/currencies', currencyRoutes);
 
 // Handle 404 Errors
 app.use((req, res, next) => {
@@ -266,6 +327,11 @@ app.use((error, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, '0.0.0.0', () => console.log(`🚀 Server running on port ${PORT}`));
 
+// Currency registry cache; the seeded currencies are used until it loads
+loadCurrencies()
+  .then(({ byCode }) => console.log(`💱 Loaded ${byCode.size} currencies`))
+  .catch(error => console.error('❌ Failed to load currencies:', error.message));
+
 // Graceful Shutdown
 const gracefulShutdown = async () => {
   console.log('Shutting down server...');
@@ -1,64 +1,28 @@
-const cron = require('node-cron');
-const prisma = require('../config/prisma');
+const prisma = require('../lib/prisma');
+const { buildAgingReport } = require('../lib/receivablesAging');
 
-// Threshold for considering a balance as old (in days)
-const OLD_BALANCE_THRESHOLD = 30;
+// Daily receivables aging summary per country. Buckets and the order-blocking
+// threshold come from each country's aging policy; the full report is
+// available at GET /api/receivables/aging. Scheduled from index.js.
 
 const checkAgedBalances = async () => {
   try {
     console.log('[Aged Balance Check] Starting daily check...');
 
-    // Get all clients with unpaid orders
-    const clientsWithUnpaidOrders = await prisma.myOrder.groupBy({
-      by: ['clientId'],
-      where: {
-        balance: { gt: 0 }  // Only orders with remaining balance
-      }
-    });
-
-    console.log(`[Aged Balance Check] Found ${clientsWithUnpaidOrders.length} clients with unpaid orders`);
-
-    for (const client of clientsWithUnpaidOrders) {
-      const oldestUnpaidOrder = await prisma.myOrder.findFirst({
-        where: {
-          clientId: client.clientId,
-          balance: { gt: 0 }
-        },
-        orderBy: { createdAt: 'asc' }
-      });
+    const countries = await prisma.country.findMany({ select: { id: true, name: true } });
 
-      if (oldestUnpaidOrder) {
-        const daysOld = Math.floor((new Date() - new Date(oldestUnpaidOrder.createdAt)) / (1000 * 60 * 60 * 24));
-        
-        if (daysOld > OLD_BALANCE_THRESHOLD) {
-          // Get total outstanding balance
-          const totalBalance = await prisma.myOrder.aggregate({
-            where: {
-              clientId: client.clientId,
-              balance: { gt: 0 }
-            },
-            _sum: {
-              balance: true
-            }
-          });
+    for (const country of countries) {
+      const report = await buildAgingReport(prisma, { countryId: country.id, groupBy: 'client' });
+      if (report.totals.orderCount === 0) continue;
 
-          // Record in client history
-          await prisma.clientHistory.create({
-            data: {
-              client_id: client.clientId,
-              order_id: oldestUnpaidOrder.id,
-              amount_in: 0,
-              amount_out: 0,
-              balance: totalBalance._sum.balance || 0,
-              my_date: new Date().toISOString(),
-              createdAt: new Date().toISOString(),
-              staff: 0,  // System generated
-              reference: `Aged balance alert: ${daysOld} days old`
-            }
-          });
+      const blocked = report.rows.filter(row => row.oldestDaysOverdue > report.policy.blockAfterDays);
+      const buckets = report.buckets
+        .map(bucket => `${bucket}: ${report.totals.amounts[bucket]}`)
+        .join(', ');
 
-          console.log(`[Aged Balance Alert] Client ${client.clientId} has an aged balance of ${daysOld} days`);
-        }
+      console.log(`[Aged Balance Check] ${country.name}: ${report.totals.total} owed by ${report.rows.length} clients (${buckets})`);
+      if (blocked.length > 0) {
+        console.log(`[Aged Balance Alert] ${country.name}: ${blocked.length} clients are more than ${report.policy.blockAfterDays} days overdue and cannot place orders: ${blocked.map(row => row.id).join(', ')}`);
       }
     }
 
@@ -68,14 +32,6 @@ const checkAgedBalances = async () => {
   }
 };
 
-// Schedule the job to run daily at midnight
-cron.schedule('0 0 * * *', () => {
-  console.log('[Aged Balance Check] Running scheduled check...');
-  checkAgedBalances();
-});
-
-// Export for testing purposes
 module.exports = {
-  checkAgedBalances,
-  OLD_BALANCE_THRESHOLD
-}; 
\ No newline at end of file
+  checkAgedBalances
+};
@@ -0,0 +1,39 @@
+const prisma = require('../lib/prisma');
+const { buildReplenishment, recordLowStockAlerts } = require('../lib/replenishment');
+
+// Daily low-stock check for every active store. Products at or below their
+// reorder point are recorded as open low-stock alerts (GET
+// /api/stores/low-stock); the full list with suggested quantities is at
+// GET /api/stores/:id/replenishment. Scheduled from index.js.
+
+const checkLowStock = async () => {
+  try {
+    console.log('[Low Stock Check] Starting daily check...');
+
+    const stores = await prisma.stores.findMany({
+      // Rep vans are loaded by hand, not reordered
+      where: { status: 0, salesRepId: null },
+      select: { id: true, name: true }
+    });
+
+    for (const store of stores) {
+      const replenishment = await buildReplenishment(prisma, store.id);
+      const { flagged, open, resolved } = await recordLowStockAlerts(prisma, replenishment);
+      if (open === 0 && resolved === 0) continue;
+
+      console.log(`[Low Stock Check] ${store.name}: ${replenishment.summary.outOfStock} out of stock, ${replenishment.summary.low} low (${flagged.length} new, ${resolved} recovered)`);
+      if (flagged.length > 0) {
+        const newLines = flagged.map(line => `${line.productName} (${line.onHand} on hand, order ${line.suggestedQuantity})`);
+        console.log(`[Low Stock Alert] ${store.name}: ${newLines.join(', ')}`);
+      }
+    }
+
+    console.log('[Low Stock Check] Completed successfully');
+  } catch (error) {
+    console.error('[Low Stock Check] Error:', error);
+  }
+};
+
+module.exports = {
+  checkLowStock
+};
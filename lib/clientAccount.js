@@ -0,0 +1,56 @@
+// Account numbers clients quote when paying by mobile money: "C", the client
+// ID and a Luhn check digit, so client 42 pays to C422. A mistyped or swapped
+// digit fails the check instead of landing on another client's account.
+
+const ACCOUNT_NUMBER_PATTERN = /^C(\d{2,12})$/i;
+
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  // Double every second digit, starting with the rightmost
+  [...digits].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Account number for a client ID, e.g. 42 -> "C422"
+ * @returns {string}
+ */
+const clientAccountNumber = (clientId) => {
+  const digits = String(clientId);
+  return `C${digits}${luhnCheckDigit(digits)}`;
+};
+
+/**
+ * Client ID from an account number, or null when the reference is not an
+ * account number or its check digit is wrong
+ * @returns {number|null}
+ */
+const parseAccountNumber = (reference) => {
+  const match = String(reference || '').trim().match(ACCOUNT_NUMBER_PATTERN);
+  if (!match) return null;
+
+  const digits = match[1].slice(0, -1);
+  const checkDigit = Number(match[1].slice(-1));
+  if (luhnCheckDigit(digits) !== checkDigit) return null;
+
+  const clientId = parseInt(digits, 10);
+  return clientId > 0 ? clientId : null;
+};
+
+/**
+ * Whether a reference is written as an account number, valid or not
+ */
+const looksLikeAccountNumber = (reference) => ACCOUNT_NUMBER_PATTERN.test(String(reference || '').trim());
+
+module.exports = {
+  clientAccountNumber,
+  parseAccountNumber,
+  looksLikeAccountNumber
+};
@@ -0,0 +1,89 @@
+// Client account ledger helpers. Clients.balance holds what the client owes;
+// every change to it is mirrored by a clientHistory row with the running balance.
+
+/**
+ * Post a debit (amountOut) or credit (amountIn) to a client's account.
+ * Must be called with a transaction client.
+ */
+const postClientEntry = async (tx, {
+  clientId,
+  orderId = 0,
+  reference,
+  amountIn = 0,
+  amountOut = 0,
+  staff = 0
+}) => {
+  const change = Number(amountOut) - Number(amountIn);
+
+  // NULL + n stays NULL in MySQL, so start empty balances from zero
+  await tx.clients.updateMany({
+    where: { id: clientId, balance: null },
+    data: { balance: 0 }
+  });
+
+  // Increment in the database rather than read-modify-write so concurrent
+  // postings for the same client cannot overwrite each other
+  const client = await tx.clients.update({
+    where: { id: clientId },
+    data: { balance: { increment: change } },
+    select: { balance: true }
+  });
+
+  const now = new Date().toISOString();
+  return tx.clientHistory.create({
+    data: {
+      client_id: clientId,
+      order_id: orderId,
+      reference,
+      amount_in: Number(amountIn),
+      amount_out: Number(amountOut),
+      balance: Number(client.balance ?? 0),
+      my_date: now,
+      createdAt: now,
+      staff
+    }
+  });
+};
+
+/**
+ * Net amount charged to the client under a document reference (e.g.
+ * "Order #12"), counting its follow-up rows ("<reference> edited", ...)
+ */
+const netCharged = async (tx, { clientId, reference }) => {
+  const rows = await tx.clientHistory.findMany({
+    where: {
+      client_id: clientId,
+      OR: [
+        { reference },
+        { reference: { startsWith: `${reference} ` } }
+      ]
+    }
+  });
+
+  const net = rows.reduce((sum, row) => sum + Number(row.amount_out) - Number(row.amount_in), 0);
+  return Math.round(net * 100) / 100;
+};
+
+/**
+ * Credit back whatever was charged to the client under a document reference
+ * (e.g. "Order #12") that has not already been reversed. Reversal rows use
+ * "<reference> <reason>", so a second call posts nothing.
+ */
+const reverseCharges = async (tx, { clientId, orderId = 0, reference, reason = 'reversal', staff = 0 }) => {
+  const amount = await netCharged(tx, { clientId, reference });
+  if (amount <= 0) return null;
+
+  return postClientEntry(tx, {
+    clientId,
+    orderId,
+    reference: `${reference} ${reason}`,
+    amountIn: amount,
+    staff
+  });
+};
+
+module.exports = {
+  postClientEntry,
+  netCharged,
+  reverseCharges
+};
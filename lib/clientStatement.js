@@ -0,0 +1,202 @@
+const XLSX = require('xlsx');
+const { PAYMENT_STATUS } = require('./paymentVerification');
+const { clientAccountNumber } = require('./clientAccount');
+
+// Statement of account for a client, built from the clientHistory ledger.
+// Each ledger row is linked back to its order or payment through the
+// reference written by lib/clientLedger.js ("Order #12", "Order #12 edited",
+// "Payment #5", "Payment #5 credit"). Running balances are recomputed from
+// the amounts, so rows that move no money (e.g. old aged-balance alerts) are
+// left out. Payments still waiting for verification are listed separately
+// because they are not on the account yet.
+
+const ORDER_REFERENCE = /^Order #(\d+)(?: (.+))?$/;
+const PAYMENT_REFERENCE = /^Payment #(\d+)(?: (.+))?$/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse ?from and ?to (YYYY-MM-DD). `to` covers the whole day.
+ * @returns {{ from: Date|null, to: Date, error?: string }}
+ */
+const parseStatementPeriod = ({ from, to }) => {
+  const start = from ? new Date(`${from}T00:00:00.000Z`) : null;
+  const end = to ? new Date(`${to}T23:59:59.999Z`) : new Date();
+
+  if ((start && isNaN(start)) || isNaN(end)) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (start && start > end) {
+    return { error: 'from must not be after to' };
+  }
+  return { from: start, to: end };
+};
+
+const describe = (row, orders, payments) => {
+  const orderMatch = row.reference.match(ORDER_REFERENCE);
+  if (orderMatch) {
+    const order = orders.get(parseInt(orderMatch[1]));
+    const invoice = order?.invoiceNumber ? ` (invoice ${order.invoiceNumber})` : '';
+    return {
+      type: orderMatch[2] ? 'ORDER_ADJUSTMENT' : 'ORDER',
+      description: orderMatch[2]
+        ? `Order #${orderMatch[1]} ${orderMatch[2]}`
+        : `Order #${orderMatch[1]}${invoice}`,
+      orderId: parseInt(orderMatch[1]),
+      invoiceNumber: order?.invoiceNumber || null,
+      paymentId: null
+    };
+  }
+
+  const paymentMatch = row.reference.match(PAYMENT_REFERENCE);
+  if (paymentMatch) {
+    const payment = payments.get(parseInt(paymentMatch[1]));
+    const method = payment?.method ? ` - ${payment.method}` : '';
+    return {
+      type: paymentMatch[2] === 'credit' ? 'CREDIT' : 'PAYMENT',
+      description: paymentMatch[2] === 'credit'
+        ? `Payment #${paymentMatch[1]}${method} held as credit`
+        : `Payment #${paymentMatch[1]}${method}${row.order_id ? ` against order #${row.order_id}` : ''}`,
+      orderId: row.order_id || null,
+      invoiceNumber: null,
+      paymentId: parseInt(paymentMatch[1])
+    };
+  }
+
+  return {
+    type: 'OTHER',
+    description: row.reference,
+    orderId: row.order_id || null,
+    invoiceNumber: null,
+    paymentId: null
+  };
+};
+
+/**
+ * Build a client's statement for a period. `client` is the Prisma client.
+ * @returns {Promise<Object|null>} null when the client does not exist
+ */
+const buildStatement = async (client, clientId, { from, to }) => {
+  const account = await client.clients.findUnique({
+    where: { id: clientId },
+    select: { id: true, name: true, address: true, contact: true, email: true, tax_pin: true, countryId: true, balance: true }
+  });
+  if (!account) return null;
+
+  const rows = (await client.clientHistory.findMany({
+    where: { client_id: clientId },
+    orderBy: { id: 'asc' }
+  }))
+    .map(row => ({ ...row, date: new Date(row.my_date || row.createdAt) }))
+    .filter(row => !isNaN(row.date) && (Number(row.amount_in) !== 0 || Number(row.amount_out) !== 0));
+
+  const inPeriod = rows.filter(row => (!from || row.date >= from) && row.date <= to);
+  const before = from ? rows.filter(row => row.date < from) : [];
+
+  const orderIds = [...new Set(inPeriod.map(row => row.reference.match(ORDER_REFERENCE)?.[1]).filter(Boolean).map(Number))];
+  const paymentIds = [...new Set(inPeriod.map(row => row.reference.match(PAYMENT_REFERENCE)?.[1]).filter(Boolean).map(Number))];
+
+  const [orders, payments, pendingPayments] = await Promise.all([
+    client.myOrder.findMany({
+      where: { id: { in: orderIds } },
+      select: { id: true, invoiceNumber: true }
+    }),
+    client.clientPayment.findMany({
+      where: { id: { in: paymentIds } },
+      select: { id: true, method: true }
+    }),
+    client.clientPayment.findMany({
+      where: {
+        clientId,
+        status: PAYMENT_STATUS.PENDING,
+        date: { ...(from && { gte: from }), lte: to }
+      },
+      select: { id: true, amount: true, date: true, method: true },
+      orderBy: { date: 'asc' }
+    })
+  ]);
+  const orderMap = new Map(orders.map(order => [order.id, order]));
+  const paymentMap = new Map(payments.map(payment => [payment.id, payment]));
+
+  const openingBalance = round2(before.reduce((sum, row) => sum + Number(row.amount_out) - Number(row.amount_in), 0));
+  let balance = openingBalance;
+  let totalDebits = 0;
+  let totalCredits = 0;
+
+  const lines = inPeriod.map(row => {
+    const debit = Number(row.amount_out);
+    const credit = Number(row.amount_in);
+    balance = round2(balance + debit - credit);
+    totalDebits += debit;
+    totalCredits += credit;
+    return {
+      id: row.id,
+      date: row.date,
+      reference: row.reference,
+      ...describe(row, orderMap, paymentMap),
+      debit,
+      credit,
+      balance
+    };
+  });
+
+  return {
+    client: account,
+    accountNumber: clientAccountNumber(account.id),
+    countryId: account.countryId,
+    from,
+    to,
+    openingBalance,
+    totalDebits: round2(totalDebits),
+    totalCredits: round2(totalCredits),
+    closingBalance: balance,
+    lines,
+    pendingPayments: pendingPayments.map(payment => ({ ...payment, amount: Number(payment.amount) }))
+  };
+};
+
+const formatDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * Statement as an XLSX workbook
+ * @returns {Buffer}
+ */
+const statementWorkbook = (statement) => {
+  const rows = [
+    [`Statement of account: ${statement.client.name}`],
+    ['Account', statement.accountNumber],
+    ['Period', `${statement.from ? formatDay(statement.from) : 'Start'} to ${formatDay(statement.to)}`],
+    [],
+    ['Date', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'],
+    ['', '', 'Opening balance', '', '', statement.openingBalance],
+    ...statement.lines.map(line => [
+      formatDay(line.date),
+      line.reference,
+      line.description,
+      line.debit || '',
+      line.credit || '',
+      line.balance
+    ]),
+    ['', '', 'Closing balance', statement.totalDebits, statement.totalCredits, statement.closingBalance]
+  ];
+
+  if (statement.pendingPayments.length > 0) {
+    rows.push([], ['Payments awaiting verification (not included above)']);
+    statement.pendingPayments.forEach(payment => {
+      rows.push([formatDay(payment.date), `Payment #${payment.id}`, payment.method || '', '', payment.amount, '']);
+    });
+  }
+
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  sheet['!cols'] = [{ wch: 12 }, { wch: 24 }, { wch: 48 }, { wch: 14 }, { wch: 14 }, { wch: 14 }];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Statement');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  parseStatementPeriod,
+  buildStatement,
+  statementWorkbook
+};
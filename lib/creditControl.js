@@ -0,0 +1,185 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('./prisma');
+const { formatCurrency } = require('./currencyUtils');
+const { ORDER_STATUS } = require('./orderStatus');
+const { applyAutoApproval } = require('./orderApproval');
+const { OPEN_ORDER_FILTER } = require('./receivablesAging');
+
+// Credit control for new orders. Clients on CREDIT terms may owe up to their
+// creditLimit (no limit when it is null) across all unpaid orders including
+// the new one. Clients on COD (cash on delivery) terms get no credit: a new
+// order is held while they still owe anything on earlier orders.
+//
+// Orders over the limit are still created, but go on credit hold: they
+// cannot be approved until a manager releases them. Every hold and release
+// is kept in order_credit_holds.
+
+const PAYMENT_TERMS = {
+  CREDIT: 'CREDIT',
+  COD: 'COD'
+};
+
+const HOLD_STATUS = {
+  HELD: 'HELD',
+  RELEASED: 'RELEASED'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const sumBalances = async (client, clientId, excludeOrderId) => {
+  const result = await client.myOrder.aggregate({
+    where: {
+      ...OPEN_ORDER_FILTER,
+      clientId,
+      ...(excludeOrderId && { id: { not: excludeOrderId } })
+    },
+    _sum: { balance: true }
+  });
+  return Number(result._sum.balance || 0);
+};
+
+const sumCredit = async (client, clientId) => {
+  const result = await client.clientPayment.aggregate({
+    where: { clientId, unallocatedAmount: { gt: 0 } },
+    _sum: { unallocatedAmount: true }
+  });
+  return Number(result._sum.unallocatedAmount || 0);
+};
+
+/**
+ * Credit check for an order of `orderAmount` for a client. `excludeOrderId`
+ * leaves an order already saved out of the outstanding balance; with
+ * `useCredit` the client's unallocated payments are taken off the order
+ * first, as they will be when it is placed.
+ * @returns {Promise<Object>} `onHold` is true when the order must be held;
+ * `excessAmount` is how far it goes over
+ */
+const checkCredit = async (client, clientId, orderAmount, { excludeOrderId = null, useCredit = false } = {}) => {
+  const account = await client.clients.findUnique({
+    where: { id: clientId },
+    select: { id: true, countryId: true, creditLimit: true, paymentTerms: true }
+  });
+  if (!account) return { onHold: false };
+
+  const [outstanding, credit] = await Promise.all([
+    sumBalances(client, clientId, excludeOrderId),
+    useCredit ? sumCredit(client, clientId) : 0
+  ]);
+  const amount = round2(Math.max(0, orderAmount - credit));
+  const creditLimit = account.creditLimit === null ? null : Number(account.creditLimit);
+  const money = (value) => formatCurrency(value, account.countryId);
+
+  const check = {
+    clientId,
+    paymentTerms: account.paymentTerms,
+    creditLimit,
+    outstanding: round2(outstanding),
+    orderAmount: amount,
+    exposure: round2(outstanding + amount),
+    available: creditLimit === null ? null : round2(Math.max(0, creditLimit - outstanding)),
+    excessAmount: 0,
+    onHold: false,
+    message: null
+  };
+
+  if (account.paymentTerms === PAYMENT_TERMS.COD) {
+    if (outstanding > 0) {
+      check.excessAmount = check.outstanding;
+      check.onHold = true;
+      check.message = `This client is cash on delivery and still owes ${money(outstanding)} on earlier orders`;
+    }
+    return check;
+  }
+
+  if (creditLimit !== null && check.exposure > creditLimit) {
+    check.excessAmount = round2(check.exposure - creditLimit);
+    check.onHold = true;
+    check.message = `This order exceeds the client's credit limit of ${money(creditLimit)} by ${money(check.excessAmount)}`;
+  }
+  return check;
+};
+
+/**
+ * Credit-check a submitted order once it is saved and any client credit has
+ * been applied. Orders over the limit go on credit hold; the rest go on to
+ * auto-approval. Must be called with a transaction client.
+ */
+const applyCreditControl = async (tx, order, user) => {
+  if (order.status !== ORDER_STATUS.submitted) return order;
+
+  const current = await tx.myOrder.findUnique({ where: { id: order.id } });
+  const check = await checkCredit(tx, current.clientId, Number(current.balance), { excludeOrderId: current.id });
+  if (!check.onHold) {
+    return applyAutoApproval(tx, current, user);
+  }
+
+  await tx.orderCreditHold.create({
+    data: {
+      orderId: current.id,
+      clientId: current.clientId,
+      paymentTerms: check.paymentTerms,
+      creditLimit: check.creditLimit === null ? null : new Prisma.Decimal(check.creditLimit.toFixed(2)),
+      outstanding: new Prisma.Decimal(check.outstanding.toFixed(2)),
+      orderAmount: new Prisma.Decimal(check.orderAmount.toFixed(2)),
+      excessAmount: new Prisma.Decimal(check.excessAmount.toFixed(2)),
+      reason: check.message.slice(0, 255),
+      heldBy: user.id,
+      heldByName: user.name || 'Unknown'
+    }
+  });
+
+  return tx.myOrder.update({
+    where: { id: current.id },
+    data: { creditHold: true }
+  });
+};
+
+/**
+ * Release an order from credit hold. The order then goes through
+ * auto-approval like any other submitted order. Throws 404 for an unknown
+ * order and 409 when it is not on hold.
+ */
+const releaseCreditHold = (orderId, user, reason) =>
+  prisma.$transaction(async (tx) => {
+    const order = await tx.myOrder.findUnique({ where: { id: orderId } });
+    if (!order) {
+      const error = new Error('Order not found');
+      error.status = 404;
+      error.code = 'ORDER_NOT_FOUND';
+      throw error;
+    }
+
+    const { count } = await tx.orderCreditHold.updateMany({
+      where: { orderId, status: HOLD_STATUS.HELD },
+      data: {
+        status: HOLD_STATUS.RELEASED,
+        releasedBy: user.id,
+        releasedByName: user.name || 'Unknown',
+        releasedAt: new Date(),
+        releaseReason: reason.slice(0, 255)
+      }
+    });
+    if (count === 0 || !order.creditHold) {
+      const error = new Error(`Order ${orderId} is not on credit hold`);
+      error.status = 409;
+      error.code = 'NOT_ON_CREDIT_HOLD';
+      throw error;
+    }
+
+    const released = await tx.myOrder.update({
+      where: { id: orderId },
+      data: { creditHold: false }
+    });
+    return applyAutoApproval(tx, released, user);
+  }, {
+    maxWait: 5000,
+    timeout: 10000
+  });
+
+module.exports = {
+  PAYMENT_TERMS,
+  HOLD_STATUS,
+  checkCredit,
+  applyCreditControl,
+  releaseCreditHold
+};
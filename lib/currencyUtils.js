@@ -1,29 +1,90 @@
+const prisma = require('./prisma');
+
 /**
- * Currency utility functions for country-specific price filtering
+ * Currency utility functions for country-specific prices and formatting.
+ *
+ * Each Country points at a Currency (code, symbol, decimal places, symbol
+ * position), and the `prices` table holds the price of a product or price
+ * option in each currency. Adding a country is configuration: create its
+ * currency, link the country and load a price list (see docs/currencies.md).
+ *
+ * The registry is cached in memory, loaded at start-up and reloaded in the
+ * background every few minutes, so the helpers below stay synchronous. Until
+ * the first load finishes, the three seeded currencies are used.
  */
 
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Countries without a currency fall back to Kenyan shillings
+const DEFAULT_CURRENCY = {
+  code: 'KES',
+  symbol: 'KES',
+  position: 'before',
+  decimalPlaces: 2,
+  name: 'Kenyan Shilling'
+};
+
+// The currencies seeded by the currency_registry migration
+const SEEDED_COUNTRIES = {
+  1: DEFAULT_CURRENCY,
+  2: { code: 'TZS', symbol: 'TZS', position: 'after', decimalPlaces: 0, name: 'Tanzania Shilling' },
+  3: { code: 'NGN', symbol: '₦', position: 'before', decimalPlaces: 2, name: 'Nigerian Naira' }
+};
+
+// Price columns that predate the prices table. Rows without a price in the
+// table fall back to these.
+const LEGACY_PRICE_COLUMNS = {
+  KES: { product: 'unit_cost', priceOption: 'value' },
+  TZS: { product: 'unit_cost_tzs', priceOption: 'value_tzs' },
+  NGN: { product: 'unit_cost_ngn', priceOption: 'value_ngn' }
+};
+
+let registry = null;
+let checkedAt = 0;
+let loading = null;
+
+const toCurrencyInfo = (currency) => ({
+  code: currency.code,
+  symbol: currency.symbol,
+  position: currency.position,
+  decimalPlaces: currency.decimalPlaces,
+  name: currency.name
+});
+
 /**
- * Get currency value based on country ID and item type
- * @param {Object} item - Product or PriceOption object
- * @param {number} countryId - User's country ID
- * @param {string} type - 'product' or 'priceOption'
- * @returns {number} The appropriate currency value
+ * Load currencies and the country links into the cache
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Promise<Object>} The registry ({ byCode, byCountry })
  */
-const getCurrencyValue = (item, countryId, type) => {
-  switch (countryId) {
-    case 1:
-      // Country ID 1: Use base value
-      return type === 'product' ? item.unit_cost : item.value;
-    case 2:
-      // Country ID 2: Use TZS value
-      return type === 'product' ? item.unit_cost_tzs : item.value_tzs;
-    case 3:
-      // Country ID 3: Use NGN value
-      return type === 'product' ? item.unit_cost_ngn : item.value_ngn;
-    default:
-      // Fallback to base value
-      return type === 'product' ? item.unit_cost : item.value;
+const loadCurrencies = async (client = prisma) => {
+  checkedAt = Date.now();
+  const [currencies, countries] = await Promise.all([
+    client.currency.findMany(),
+    client.country.findMany({
+      where: { currencyCode: { not: null } },
+      select: { id: true, currencyCode: true }
+    })
+  ]);
+
+  const byCode = new Map(currencies.map(currency => [currency.code, toCurrencyInfo(currency)]));
+  const byCountry = new Map();
+  for (const country of countries) {
+    if (byCode.has(country.currencyCode)) byCountry.set(country.id, byCode.get(country.currencyCode));
   }
+
+  registry = { byCode, byCountry };
+  return registry;
+};
+
+// Reload in the background once the cache is stale; callers keep using the
+// current registry meanwhile
+const refreshIfStale = () => {
+  if (loading || Date.now() - checkedAt < CACHE_TTL_MS) return;
+  loading = loadCurrencies()
+    .catch(error => console.error('[Currency] Failed to load currencies:', error.message))
+    .finally(() => {
+      loading = null;
+    });
 };
 
 /**
@@ -32,36 +93,44 @@ const getCurrencyValue = (item, countryId, type) => {
  * @returns {Object} Currency formatting information
  */
 const getCurrencyInfo = (countryId) => {
-  switch (countryId) {
-    case 1:
-      return {
-        symbol: 'KES',
-        position: 'before',
-        decimalPlaces: 2,
-        name: 'Kenyan Shilling'
-      };
-    case 2:
-      return {
-        symbol: 'TZS',
-        position: 'after',
-        decimalPlaces: 0,
-        name: 'Tanzania Shilling'
-      };
-    case 3:
-      return {
-        symbol: '₦',
-        position: 'before',
-        decimalPlaces: 2,
-        name: 'Nigerian Naira'
-      };
-    default:
-      return {
-        symbol: 'KES',
-        position: 'before',
-        decimalPlaces: 2,
-        name: 'Kenyan Shilling'
-      };
-  }
+  refreshIfStale();
+  const id = parseInt(countryId);
+  const currency = registry ? registry.byCountry.get(id) : SEEDED_COUNTRIES[id];
+  return { ...(currency || DEFAULT_CURRENCY) };
+};
+
+/**
+ * Currency info for a currency code, or null when it is not configured
+ * @param {string} code - ISO currency code
+ * @returns {Object|null}
+ */
+const getCurrencyByCode = (code) => {
+  refreshIfStale();
+  const upper = String(code || '').toUpperCase();
+  if (registry) return registry.byCode.has(upper) ? { ...registry.byCode.get(upper) } : null;
+  const seeded = Object.values(SEEDED_COUNTRIES).find(currency => currency.code === upper);
+  return seeded ? { ...seeded } : null;
+};
+
+/**
+ * Get currency value based on country ID and item type. Reads the item's
+ * `prices` (include them in the query), then the legacy price columns.
+ * @param {Object} item - Product or PriceOption object
+ * @param {number} countryId - User's country ID
+ * @param {string} type - 'product' or 'priceOption'
+ * @returns {number|null} The price in the country's currency, or null when none is set
+ */
+const getCurrencyValue = (item, countryId, type) => {
+  const { code } = getCurrencyInfo(countryId);
+
+  const price = Array.isArray(item.prices)
+    ? item.prices.find(row => row.currencyCode === code)
+    : null;
+  if (price) return Number(price.amount);
+
+  const legacy = LEGACY_PRICE_COLUMNS[code];
+  const value = legacy ? item[legacy[type]] : null;
+  return value === null || value === undefined ? null : Number(value);
 };
 
 /**
@@ -73,7 +142,7 @@ const getCurrencyInfo = (countryId) => {
 const formatCurrency = (amount, countryId) => {
   const currencyInfo = getCurrencyInfo(countryId);
   const formattedAmount = Number(amount).toFixed(currencyInfo.decimalPlaces);
-  
+
   if (currencyInfo.position === 'before') {
     return `${currencyInfo.symbol} ${formattedAmount}`;
   } else {
@@ -82,7 +151,10 @@ const formatCurrency = (amount, countryId) => {
 };
 
 module.exports = {
+  LEGACY_PRICE_COLUMNS,
+  loadCurrencies,
   getCurrencyValue,
   getCurrencyInfo,
+  getCurrencyByCode,
   formatCurrency
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,374 @@
+const PDFDocument = require('pdfkit');
+const { formatCurrency, getCurrencyInfo } = require('./currencyUtils');
+const { unitPrice } = require('./orderQuote');
+const { uploadFile } = require('./uploadService');
+
+// Printable documents for clients: invoices and delivery notes from MyOrder,
+// receipts from ClientPayment. Company details come from COMPANY_NAME,
+// COMPANY_ADDRESS, COMPANY_PHONE, COMPANY_EMAIL and COMPANY_TAX_PIN; each can
+// be set per country with a _<countryId> suffix, e.g. COMPANY_TAX_PIN_2.
+
+const TAX_PIN_LABELS = {
+  1: 'KRA PIN',
+  2: 'TIN',
+  3: 'TIN'
+};
+
+const taxPinLabel = (countryId) => TAX_PIN_LABELS[countryId] || 'Tax PIN';
+
+const companySetting = (name, countryId) =>
+  process.env[`${name}_${countryId}`] || process.env[name] || '';
+
+const companyDetails = (countryId) => ({
+  name: companySetting('COMPANY_NAME', countryId) || 'Woosh',
+  address: companySetting('COMPANY_ADDRESS', countryId),
+  phone: companySetting('COMPANY_PHONE', countryId),
+  email: companySetting('COMPANY_EMAIL', countryId),
+  taxPin: companySetting('COMPANY_TAX_PIN', countryId)
+});
+
+// The built-in PDF fonts only cover Latin-1, so symbols such as the naira
+// sign are printed as the currency code
+const money = (amount, countryId) => {
+  const { symbol, code } = getCurrencyInfo(countryId);
+  const formatted = formatCurrency(Number(amount || 0), countryId);
+  return /[^\x00-\xff]/.test(symbol) ? formatted.replace(symbol, code) : formatted;
+};
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : '';
+
+/**
+ * Amounts for an order line. Lines priced before per-line pricing was stored
+ * fall back to the price option's list price.
+ */
+const lineAmounts = (item, countryId) => {
+  const price = item.unitPrice !== null && item.unitPrice !== undefined
+    ? Number(item.unitPrice)
+    : (item.priceOption ? unitPrice(item.priceOption, countryId) || 0 : 0);
+  const lineTotal = item.lineTotal !== null && item.lineTotal !== undefined
+    ? Number(item.lineTotal)
+    : price * item.quantity;
+
+  return {
+    unitPrice: price,
+    discountAmount: Number(item.discountAmount || 0),
+    taxRate: Number(item.taxRate || 0),
+    lineTotal
+  };
+};
+
+// Render into a buffer; `draw` receives the pdfkit document
+const renderPdf = (info, draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+const drawHeader = (doc, title, countryId, meta) => {
+  const company = companyDetails(countryId);
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(company.name, 50, top);
+  doc.font('Helvetica').fontSize(9);
+  [company.address, company.phone, company.email]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+  if (company.taxPin) {
+    doc.text(`${taxPinLabel(countryId)}: ${company.taxPin}`);
+  }
+  const companyBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(title, 300, top, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  meta.filter(([, value]) => value).forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, 300, doc.y, { width: 245, align: 'right' });
+  });
+
+  doc.y = Math.max(companyBottom, doc.y) + 15;
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+  doc.moveDown();
+};
+
+const drawClient = (doc, heading, client, countryId) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(heading, 50);
+  doc.font('Helvetica').fontSize(9);
+  doc.text(client?.name || 'Unknown client');
+  [client?.address, client?.contact, client?.email]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+  if (client?.tax_pin) {
+    doc.text(`${taxPinLabel(countryId)}: ${client.tax_pin}`);
+  }
+  doc.moveDown();
+};
+
+/**
+ * Draw a table. `columns` are { header, width, align }; `rows` are arrays of
+ * cell strings in column order. Starts a new page when the table runs over.
+ */
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, font) => {
+    if (doc.y > doc.page.height - 100) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    let x = 50;
+    doc.font(font).fontSize(9);
+    const heights = cells.map((cell, i) => {
+      const { width, align = 'left' } = columns[i];
+      doc.text(String(cell ?? ''), x + 2, y, { width: width - 4, align });
+      x += width;
+      return doc.y - y;
+    });
+    doc.y = y + Math.max(...heights) + 4;
+  };
+
+  drawRow(columns.map(c => c.header), 'Helvetica-Bold');
+  doc.moveTo(50, doc.y - 2).lineTo(545, doc.y - 2).stroke();
+  rows.forEach(row => drawRow(row, 'Helvetica'));
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+  doc.moveDown(0.5);
+};
+
+const drawTotals = (doc, totals) => {
+  totals.forEach(([label, value, bold]) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9);
+    const y = doc.y;
+    doc.text(label, 300, y, { width: 140, align: 'right' });
+    doc.text(value, 445, y, { width: 100, align: 'right' });
+  });
+  doc.moveDown();
+};
+
+const drawSignatures = (doc, labels) => {
+  doc.moveDown(3);
+  const y = doc.y;
+  labels.forEach((label, i) => {
+    const x = 50 + i * 250;
+    doc.moveTo(x, y).lineTo(x + 200, y).stroke();
+    doc.font('Helvetica').fontSize(9).text(label, x, y + 5, { width: 200 });
+  });
+};
+
+/**
+ * Invoice for an approved order. `order` needs client and orderItems with
+ * product and priceOption.
+ * @returns {Promise<Buffer>} The PDF
+ */
+const renderInvoice = (order) =>
+  renderPdf({ Title: `Invoice ${order.invoiceNumber}` }, (doc) => {
+    const countryId = order.countryId;
+
+    drawHeader(doc, 'TAX INVOICE', countryId, [
+      ['Invoice No', order.invoiceNumber],
+      ['Invoice Date', formatDate(order.invoiceDate || order.createdAt)],
+      ['Order No', order.id],
+      ['Sales Rep', order.user?.name]
+    ]);
+    drawClient(doc, 'Bill To', order.client, countryId);
+
+    const rows = order.orderItems.map((item, index) => {
+      const amounts = lineAmounts(item, countryId);
+      return [
+        index + 1,
+        item.product?.name || `Product ${item.productId}`,
+        item.priceOption?.option || '',
+        item.quantity,
+        money(amounts.unitPrice, countryId),
+        amounts.discountAmount ? money(amounts.discountAmount, countryId) : '-',
+        `${amounts.taxRate}%`,
+        money(amounts.lineTotal, countryId)
+      ];
+    });
+
+    drawTable(doc, [
+      { header: '#', width: 25 },
+      { header: 'Product', width: 140 },
+      { header: 'Option', width: 60 },
+      { header: 'Qty', width: 35, align: 'right' },
+      { header: 'Unit Price', width: 70, align: 'right' },
+      { header: 'Discount', width: 60, align: 'right' },
+      { header: 'Tax', width: 35, align: 'right' },
+      { header: 'Amount', width: 70, align: 'right' }
+    ], rows);
+
+    const total = Number(order.totalAmount || 0);
+    const taxAmount = Number(order.taxAmount || 0);
+    const netAmount = order.netAmount !== null && order.netAmount !== undefined
+      ? Number(order.netAmount)
+      : total - taxAmount;
+    drawTotals(doc, [
+      ['Net Amount', money(netAmount, countryId)],
+      ['Tax', money(taxAmount, countryId)],
+      ['Total', money(total, countryId), true],
+      ['Paid', money(order.amountPaid, countryId)],
+      ['Balance Due', money(order.balance, countryId), true]
+    ]);
+
+    if (order.comment) {
+      doc.font('Helvetica').fontSize(9).text(`Notes: ${order.comment}`, 50);
+    }
+  });
+
+/**
+ * Delivery note for an order: quantities and picking stores, no prices.
+ * `order` needs client and orderItems with product, priceOption and
+ * allocations with store.
+ * @returns {Promise<Buffer>} The PDF
+ */
+const renderDeliveryNote = (order) =>
+  renderPdf({ Title: `Delivery Note ${order.id}` }, (doc) => {
+    const countryId = order.countryId;
+
+    drawHeader(doc, 'DELIVERY NOTE', countryId, [
+      ['Order No', order.id],
+      ['Invoice No', order.invoiceNumber],
+      ['Date', formatDate(order.dispatchTime || order.approvedTime || order.createdAt)],
+      ['Rider', order.riderName]
+    ]);
+    drawClient(doc, 'Deliver To', order.client, countryId);
+    if (order.deliveryLocation) {
+      doc.font('Helvetica').fontSize(9).text(`Delivery location: ${order.deliveryLocation}`, 50);
+      doc.moveDown();
+    }
+
+    const rows = order.orderItems.map((item, index) => [
+      index + 1,
+      item.product?.name || `Product ${item.productId}`,
+      item.priceOption?.option || '',
+      (item.allocations || []).map(a => `${a.store?.name || `Store ${a.storeId}`} (${a.quantity})`).join(', '),
+      item.quantity
+    ]);
+
+    drawTable(doc, [
+      { header: '#', width: 25 },
+      { header: 'Product', width: 170 },
+      { header: 'Option', width: 70 },
+      { header: 'From Store', width: 170 },
+      { header: 'Qty', width: 60, align: 'right' }
+    ], rows);
+
+    const totalQuantity = order.orderItems.reduce((sum, item) => sum + item.quantity, 0);
+    drawTotals(doc, [['Total Quantity', String(totalQuantity), true]]);
+
+    drawSignatures(doc, ['Delivered by (name & signature)', 'Received by (name, signature & stamp)']);
+  });
+
+/**
+ * Receipt for a client payment. `payment` needs client and user.
+ * @returns {Promise<Buffer>} The PDF
+ */
+const renderReceipt = (payment) =>
+  renderPdf({ Title: `Receipt ${payment.id}` }, (doc) => {
+    const countryId = payment.client?.countryId;
+
+    drawHeader(doc, 'RECEIPT', countryId, [
+      ['Receipt No', payment.id],
+      ['Date', formatDate(payment.date)],
+      ['Received by', payment.user?.name]
+    ]);
+    drawClient(doc, 'Received From', payment.client, countryId);
+
+    drawTable(doc, [
+      { header: 'Description', width: 245 },
+      { header: 'Method', width: 100 },
+      { header: 'Status', width: 50 },
+      { header: 'Amount', width: 100, align: 'right' }
+    ], [[
+      'Payment on account',
+      payment.method || '',
+      payment.status || '',
+      money(payment.amount, countryId)
+    ]]);
+
+    drawTotals(doc, [['Amount Received', money(payment.amount, countryId), true]]);
+  });
+
+/**
+ * Statement of account from lib/clientStatement.js buildStatement
+ * @returns {Promise<Buffer>} The PDF
+ */
+const renderStatement = (statement) =>
+  renderPdf({ Title: `Statement ${statement.client.name}` }, (doc) => {
+    const countryId = statement.countryId;
+
+    drawHeader(doc, 'STATEMENT', countryId, [
+      ['From', statement.from ? formatDate(statement.from) : 'Start'],
+      ['To', formatDate(statement.to)],
+      ['Account', statement.accountNumber]
+    ]);
+    drawClient(doc, 'Account', statement.client, countryId);
+
+    drawTable(doc, [
+      { header: 'Date', width: 65 },
+      { header: 'Description', width: 190 },
+      { header: 'Debit', width: 80, align: 'right' },
+      { header: 'Credit', width: 80, align: 'right' },
+      { header: 'Balance', width: 80, align: 'right' }
+    ], [
+      ['', 'Opening balance', '', '', money(statement.openingBalance, countryId)],
+      ...statement.lines.map(line => [
+        formatDate(line.date),
+        line.description,
+        line.debit ? money(line.debit, countryId) : '',
+        line.credit ? money(line.credit, countryId) : '',
+        money(line.balance, countryId)
+      ])
+    ]);
+
+    drawTotals(doc, [
+      ['Total Debits', money(statement.totalDebits, countryId)],
+      ['Total Credits', money(statement.totalCredits, countryId)],
+      [statement.closingBalance < 0 ? 'Credit Balance' : 'Balance Due', money(Math.abs(statement.closingBalance), countryId), true]
+    ]);
+
+    if (statement.pendingPayments.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(10).text('Payments awaiting verification (not included above)', 50);
+      doc.moveDown(0.5);
+      drawTable(doc, [
+        { header: 'Date', width: 65 },
+        { header: 'Payment', width: 190 },
+        { header: 'Method', width: 160 },
+        { header: 'Amount', width: 80, align: 'right' }
+      ], statement.pendingPayments.map(payment => [
+        formatDate(payment.date),
+        `Payment #${payment.id}`,
+        payment.method || '',
+        money(payment.amount, countryId)
+      ]));
+    }
+  });
+
+/**
+ * Upload a rendered document so it can be sent again later
+ * @returns {Promise<string>} URL of the stored PDF
+ */
+const storeDocument = async (buffer, filename) => {
+  // PDFs share their first bytes, so the upload cache would mix them up
+  const result = await uploadFile(
+    { buffer, mimetype: 'application/pdf', originalname: filename },
+    { folder: 'whoosh/documents', type: 'document', useCache: false }
+  );
+  return result.main.url;
+};
+
+module.exports = {
+  taxPinLabel,
+  companyDetails,
+  renderInvoice,
+  renderDeliveryNote,
+  renderReceipt,
+  renderStatement,
+  storeDocument
+};
@@ -0,0 +1,225 @@
+const { postMovement, insufficientStockError, withSellableQuantities } = require('./inventoryService');
+
+// Splits an order line across stores. Candidate stores are grouped into
+// tiers and each tier is drained before moving to the next; within a tier the
+// store holding the most stock goes first so lines split as little as possible.
+//
+// Tiers:
+//   region        stores in the rep's region
+//   countryLevel  stores in the rep's country that have no region
+//   country       any other store in the rep's country
+//
+// The default policy is region first, then country-level stores. Override it
+// with FULFILMENT_POLICY (e.g. "region,country"), or per country with
+// FULFILMENT_POLICY_<countryId>.
+//
+// Callers pass StoreQuantity rows through withSellableQuantities
+// (lib/inventoryService.js) first, so units in expired batches are not offered.
+//
+// Van stores (stores owned by a rep, see lib/vanStock.js) are never in a tier.
+// A direct sale passes `vanStoreId` and is allocated from that van alone.
+
+const TIERS = ['region', 'countryLevel', 'country'];
+
+const DEFAULT_POLICY = ['region', 'countryLevel'];
+
+// Country 2 (Tanzania) reps may draw on any store in their own country
+const COUNTRY_POLICIES = {
+  2: ['region', 'country']
+};
+
+const parsePolicy = (value) => {
+  if (!value) return null;
+  const tiers = String(value).split(',').map(tier => tier.trim()).filter(Boolean);
+  return tiers.length > 0 && tiers.every(tier => TIERS.includes(tier)) ? tiers : null;
+};
+
+/**
+ * Resolve the tier order used for a country
+ */
+const getAllocationPolicy = (countryId) =>
+  parsePolicy(process.env[`FULFILMENT_POLICY_${countryId}`])
+  || COUNTRY_POLICIES[countryId]
+  || parsePolicy(process.env.FULFILMENT_POLICY)
+  || DEFAULT_POLICY;
+
+const storeRegion = (store) => store.regionId || store.region_id || null;
+
+const isVanStore = (store) => Boolean(store.salesRepId);
+
+const inTier = (tier, store, { regionId, countryId }) => {
+  if (isVanStore(store)) return false;
+
+  switch (tier) {
+    case 'region':
+      return storeRegion(store) === regionId;
+    case 'countryLevel':
+      return !storeRegion(store) && store.countryId === countryId;
+    case 'country':
+      return store.countryId === countryId;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Order the stores that may ship a product, tier by tier. Expects
+ * StoreQuantity rows with their store included. `reserved` holds units
+ * already allocated to earlier lines of the same order, keyed by store id.
+ * With `vanStoreId` only that van is a candidate.
+ */
+const rankStores = (storeQuantities, { regionId, countryId, policy, vanStoreId = null, reserved = new Map() }) => {
+  const tiers = vanStoreId ? ['van'] : (policy || getAllocationPolicy(countryId));
+  const seen = new Set();
+  const ranked = [];
+
+  for (const tier of tiers) {
+    const candidates = storeQuantities
+      .filter(sq => sq.store && sq.store.status === 0 && !seen.has(sq.storeId))
+      .filter(sq => (vanStoreId ? sq.storeId === vanStoreId : inTier(tier, sq.store, { regionId, countryId })))
+      .map(sq => ({
+        storeId: sq.storeId,
+        store: sq.store,
+        tier,
+        available: Math.max(0, Number(sq.quantity || 0) - (reserved.get(sq.storeId) || 0))
+      }))
+      .sort((a, b) => b.available - a.available || a.storeId - b.storeId);
+
+    for (const candidate of candidates) {
+      seen.add(candidate.storeId);
+      ranked.push(candidate);
+    }
+  }
+
+  return ranked;
+};
+
+/**
+ * Split a requested quantity across the ranked stores. Returns the
+ * allocations, the total available under the policy and any shortfall.
+ */
+const allocateLine = (storeQuantities, requested, options) => {
+  const ranked = rankStores(storeQuantities, options);
+  const available = ranked.reduce((sum, candidate) => sum + candidate.available, 0);
+
+  const allocations = [];
+  let remaining = Number(requested);
+  for (const candidate of ranked) {
+    if (remaining <= 0) break;
+    if (candidate.available <= 0) continue;
+
+    const quantity = Math.min(candidate.available, remaining);
+    allocations.push({
+      storeId: candidate.storeId,
+      storeName: candidate.store.name,
+      tier: candidate.tier,
+      quantity
+    });
+    remaining -= quantity;
+  }
+
+  return {
+    allocations,
+    available,
+    shortfall: Math.max(0, remaining),
+    candidates: ranked.length
+  };
+};
+
+/**
+ * Take an order line's allocated stock out of each store and record which
+ * store ships what. Must be called with a transaction client.
+ */
+const reserveAllocations = async (tx, {
+  orderItemId,
+  productId,
+  productName,
+  allocations,
+  reference,
+  staff = 0,
+  staffName = 'System'
+}) => {
+  const reserved = [];
+
+  for (const allocation of allocations) {
+    const { storeQuantity } = await postMovement(tx, {
+      productId,
+      storeId: allocation.storeId,
+      quantityOut: allocation.quantity,
+      reference,
+      staff,
+      staffName,
+      productName
+    });
+
+    const row = await tx.orderItemAllocation.create({
+      data: {
+        orderItemId,
+        storeId: allocation.storeId,
+        quantity: allocation.quantity
+      }
+    });
+
+    reserved.push({ ...row, newBalance: storeQuantity.quantity });
+  }
+
+  return reserved;
+};
+
+/**
+ * Allocate and reserve stock for existing order items, e.g. after an edit
+ * has released the order's previous reservation. Direct sales are allocated
+ * from the order's van store again. Throws INSUFFICIENT_STOCK when a line can
+ * no longer be covered.
+ */
+const allocateOrderItems = async (tx, order, items, { reference, staff = 0, staffName = 'System' }) => {
+  const results = [];
+
+  // Store levels are re-read inside the transaction for every line, so units
+  // reserved for earlier lines are already out of the counts
+  for (const item of items) {
+    const storeQuantities = await withSellableQuantities(tx, item.productId, await tx.storeQuantity.findMany({
+      where: { productId: item.productId },
+      include: { store: true, product: { select: { name: true } } }
+    }));
+    const productName = storeQuantities[0]?.product?.name;
+
+    const allocation = allocateLine(storeQuantities, item.quantity, {
+      regionId: order.regionId,
+      countryId: order.countryId,
+      vanStoreId: order.directSale ? order.storeId : null
+    });
+
+    if (allocation.shortfall > 0) {
+      throw insufficientStockError({
+        productId: item.productId,
+        productName,
+        storeId: order.directSale ? order.storeId : null,
+        requested: Number(item.quantity),
+        available: allocation.available
+      });
+    }
+
+    results.push(...await reserveAllocations(tx, {
+      orderItemId: item.id,
+      productId: item.productId,
+      productName,
+      allocations: allocation.allocations,
+      reference,
+      staff,
+      staffName
+    }));
+  }
+
+  return results;
+};
+
+module.exports = {
+  TIERS,
+  DEFAULT_POLICY,
+  getAllocationPolicy,
+  rankStores,
+  allocateLine,
+  reserveAllocations,
+  allocateOrderItems
+};
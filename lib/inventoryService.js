@@ -0,0 +1,424 @@
+// Stock movement helpers shared by orders, returns, transfers, purchases and
+// stock takes. Every change to StoreQuantity should go through postMovement so
+// the ProductDetails stock card stays in step with the store levels. The
+// reference on each movement names its source document (see lib/stockCard.js).
+
+/**
+ * Build the ProductDetails reference used for an order's movements
+ */
+const orderReference = (orderId) => `Order #${orderId}`;
+
+/**
+ * Build the ProductDetails reference used when a product return is received
+ */
+const returnReference = (returnId) => `Return #${returnId}`;
+
+/**
+ * Build the ProductDetails reference used when a batch is written off
+ */
+const writeOffReference = (batchId) => `Write-off #${batchId}`;
+
+/**
+ * Build the error returned when a store cannot cover a stock-out
+ */
+const insufficientStockError = ({ productId, productName, storeId, requested, available }) => {
+  const error = new Error(
+    `Insufficient stock for product ${productName || productId}. ` +
+    `You requested ${requested} units but only ${available} units are available` +
+    (storeId ? ` in store ${storeId}.` : '.')
+  );
+  error.status = 409;
+  error.code = 'INSUFFICIENT_STOCK';
+  error.details = { productId, productName, storeId, requested, available };
+  return error;
+};
+
+/**
+ * Build the error returned when a store is frozen by a stock take
+ */
+const stockTakeInProgressError = (storeId, sessionId) => {
+  const error = new Error(
+    `Store ${storeId} is being counted (stock take #${sessionId}). ` +
+    'Stock cannot move in or out until the count is approved or cancelled.'
+  );
+  error.status = 409;
+  error.code = 'STOCK_TAKE_IN_PROGRESS';
+  error.details = { storeId, stockTakeId: sessionId };
+  return error;
+};
+
+const batchError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_BATCH';
+  return error;
+};
+
+// Batches whose expiry date is before today are not picked for sale
+const startOfToday = () => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+};
+
+const isExpired = (batch) => batch.expiryDate !== null && batch.expiryDate < startOfToday();
+
+/**
+ * Put stock into a batch: an existing one by `batchId`, or the store's batch
+ * with `batchNumber`, created if needed. A new batch without an expiry date
+ * takes the expiry already recorded for the same lot in another store.
+ */
+const receiveIntoBatch = async (tx, { storeId, productId, batch, quantity }) => {
+  if (batch.batchId) {
+    const existing = await tx.stockBatch.findUnique({ where: { id: batch.batchId } });
+    if (!existing || existing.storeId !== storeId || existing.productId !== productId) {
+      throw batchError(`Batch ${batch.batchId} does not hold product ${productId} in store ${storeId}`);
+    }
+    return tx.stockBatch.update({
+      where: { id: existing.id },
+      data: { quantity: { increment: quantity } }
+    });
+  }
+
+  const batchNumber = String(batch.batchNumber || '').trim();
+  if (!batchNumber) {
+    throw batchError('A batch needs a batch number');
+  }
+  const expiryDate = batch.expiryDate ? new Date(batch.expiryDate) : null;
+
+  const existing = await tx.stockBatch.findUnique({
+    where: { storeId_productId_batchNumber: { storeId, productId, batchNumber } }
+  });
+  if (existing) {
+    if (expiryDate && existing.expiryDate && existing.expiryDate.getTime() !== expiryDate.getTime()) {
+      throw batchError(`Batch ${batchNumber} is recorded with expiry ${existing.expiryDate.toISOString().slice(0, 10)}`);
+    }
+    return tx.stockBatch.update({
+      where: { id: existing.id },
+      data: {
+        quantity: { increment: quantity },
+        ...(expiryDate && !existing.expiryDate && { expiryDate })
+      }
+    });
+  }
+
+  const sameLot = expiryDate ? null : await tx.stockBatch.findFirst({
+    where: { productId, batchNumber, expiryDate: { not: null } },
+    select: { expiryDate: true }
+  });
+  return tx.stockBatch.create({
+    data: {
+      storeId,
+      productId,
+      batchNumber,
+      expiryDate: expiryDate || sameLot?.expiryDate || null,
+      quantity
+    }
+  });
+};
+
+/**
+ * Take stock out of a store's batches. A given `batchId` is drawn on alone;
+ * otherwise batches are picked first-expiry-first-out (batches without an
+ * expiry date after dated ones), then stock that was never batched.
+ * @returns {Promise<{ portions: Object[], shortfall: number, available: number }>}
+ */
+const takeFromBatches = async (tx, { storeId, productId, quantity, onHand, batchId, allowExpired }) => {
+  if (batchId) {
+    const batch = await tx.stockBatch.findUnique({ where: { id: batchId } });
+    if (!batch || batch.storeId !== storeId || batch.productId !== productId) {
+      throw batchError(`Batch ${batchId} does not hold product ${productId} in store ${storeId}`);
+    }
+    const { count } = await tx.stockBatch.updateMany({
+      where: { id: batchId, quantity: { gte: quantity } },
+      data: { quantity: { decrement: quantity } }
+    });
+    return count === 0
+      ? { portions: [], shortfall: quantity, available: batch.quantity }
+      : { portions: [{ batch, quantity }], shortfall: 0, available: batch.quantity };
+  }
+
+  const batches = await tx.stockBatch.findMany({
+    where: { storeId, productId, quantity: { gt: 0 } }
+  });
+  const batched = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+  const unbatched = Math.max(onHand - batched, 0);
+
+  const picking = batches
+    .filter(batch => allowExpired || !isExpired(batch))
+    .sort((a, b) =>
+      (a.expiryDate === null) - (b.expiryDate === null)
+      || (a.expiryDate && b.expiryDate ? a.expiryDate - b.expiryDate : 0)
+      || a.id - b.id
+    );
+
+  const portions = [];
+  let remaining = quantity;
+  for (const batch of picking) {
+    if (remaining === 0) break;
+    const take = Math.min(batch.quantity, remaining);
+    await tx.stockBatch.update({
+      where: { id: batch.id },
+      data: { quantity: { decrement: take } }
+    });
+    portions.push({ batch, quantity: take });
+    remaining -= take;
+  }
+  if (remaining > 0 && unbatched > 0) {
+    const take = Math.min(unbatched, remaining);
+    portions.push({ batch: null, quantity: take });
+    remaining -= take;
+  }
+
+  const available = picking.reduce((sum, batch) => sum + batch.quantity, 0) + unbatched;
+  return { portions, shortfall: remaining, available };
+};
+
+/**
+ * StoreQuantity rows of one product with `quantity` cut to what each store
+ * can sell: units in expired batches are left out, the same way
+ * takeFromBatches picks them. Use it wherever stock is allocated so a quote
+ * and the order placed from it agree.
+ * `client` may be the Prisma client or a transaction client.
+ */
+const withSellableQuantities = async (client, productId, storeQuantities) => {
+  if (storeQuantities.length === 0) return storeQuantities;
+
+  const batches = await client.stockBatch.findMany({
+    where: {
+      productId,
+      storeId: { in: storeQuantities.map(sq => sq.storeId) },
+      quantity: { gt: 0 }
+    },
+    select: { storeId: true, quantity: true, expiryDate: true }
+  });
+
+  const byStore = new Map();
+  for (const batch of batches) {
+    const totals = byStore.get(batch.storeId) || { batched: 0, expired: 0 };
+    totals.batched += batch.quantity;
+    if (isExpired(batch)) totals.expired += batch.quantity;
+    byStore.set(batch.storeId, totals);
+  }
+
+  return storeQuantities.map(sq => {
+    const totals = byStore.get(sq.storeId);
+    if (!totals || totals.expired === 0) return sq;
+    const onHand = Number(sq.quantity || 0);
+    const unbatched = Math.max(onHand - totals.batched, 0);
+    const sellable = Math.min(onHand, totals.batched - totals.expired + unbatched);
+    return { ...sq, quantity: Math.max(sellable, 0) };
+  });
+};
+
+/**
+ * Apply a stock movement to a store and write the matching ProductDetails
+ * rows. Must be called with a transaction client. Stock-outs use a guarded
+ * update so two concurrent orders cannot both take the last units. Stores with
+ * an open stock take in BLOCK mode refuse all movements (see lib/stockTake.js).
+ *
+ * Stock coming in goes into `batch` ({ batchNumber, expiryDate } or
+ * { batchId }) when given, otherwise it is left unbatched. Stock going out is
+ * taken from `batch.batchId` when given, otherwise first-expiry-first-out,
+ * skipping expired batches unless `allowExpired` is set. One ProductDetails
+ * row is written per batch touched.
+ * @returns {Promise<{ storeQuantity: Object, entry: Object, entries: Object[], batches: Object[] }>}
+ *   batches lists [{ batch, quantity }] moved, batch null for unbatched stock
+ */
+const postMovement = async (tx, {
+  productId,
+  storeId,
+  quantityIn = 0,
+  quantityOut = 0,
+  reference,
+  staff = 0,
+  staffName = 'System',
+  productName,
+  batch = null,
+  allowExpired = false
+}) => {
+  const netChange = Number(quantityIn) - Number(quantityOut);
+
+  const stockTake = await tx.stockTakeSession.findFirst({
+    where: { storeId, status: 'OPEN', mode: 'BLOCK' },
+    select: { id: true }
+  });
+  if (stockTake) {
+    throw stockTakeInProgressError(storeId, stockTake.id);
+  }
+
+  let storeQuantity = await tx.storeQuantity.findFirst({
+    where: { storeId, productId }
+  });
+
+  if (netChange < 0) {
+    const requested = -netChange;
+
+    // Conditional decrement: the row lock taken by UPDATE makes the check and
+    // the write atomic, so a competing order re-evaluates against the new level.
+    const { count } = storeQuantity
+      ? await tx.storeQuantity.updateMany({
+          where: { id: storeQuantity.id, quantity: { gte: requested } },
+          data: { quantity: { decrement: requested } }
+        })
+      : { count: 0 };
+
+    if (count === 0) {
+      const current = storeQuantity
+        ? await tx.storeQuantity.findUnique({ where: { id: storeQuantity.id } })
+        : null;
+      throw insufficientStockError({
+        productId,
+        productName,
+        storeId,
+        requested,
+        available: current ? current.quantity : 0
+      });
+    }
+  } else if (storeQuantity) {
+    await tx.storeQuantity.update({
+      where: { id: storeQuantity.id },
+      data: { quantity: { increment: netChange } }
+    });
+  } else {
+    storeQuantity = await tx.storeQuantity.create({
+      data: { storeId, productId, quantity: netChange }
+    });
+  }
+
+  const updated = await tx.storeQuantity.findUnique({
+    where: { id: storeQuantity.id }
+  });
+  const before = updated.quantity - netChange;
+
+  // Split the movement across the batches it touches
+  let portions;
+  if (netChange > 0) {
+    const received = batch
+      ? await receiveIntoBatch(tx, { storeId, productId, batch, quantity: netChange })
+      : null;
+    portions = [{ batch: received, quantity: netChange }];
+  } else if (netChange < 0) {
+    const taken = await takeFromBatches(tx, {
+      storeId,
+      productId,
+      quantity: -netChange,
+      onHand: before,
+      batchId: batch?.batchId,
+      allowExpired
+    });
+    if (taken.shortfall > 0) {
+      // Units are in the store but only in expired batches, or not in the requested batch
+      throw insufficientStockError({
+        productId,
+        productName,
+        storeId,
+        requested: -netChange,
+        available: taken.available
+      });
+    }
+    portions = taken.portions;
+  } else {
+    portions = [{ batch: null, quantity: 0 }];
+  }
+
+  // Keep the product-level total roughly in step with the stores
+  if (netChange !== 0) {
+    await tx.product.updateMany({
+      where: { id: productId, currentStock: { not: null } },
+      data: { currentStock: { increment: netChange } }
+    });
+  }
+
+  const now = new Date().toISOString();
+  const entries = [];
+  let balance = before;
+  for (const portion of portions) {
+    const moveIn = netChange > 0 ? portion.quantity : 0;
+    const moveOut = netChange < 0 ? portion.quantity : 0;
+    balance += moveIn - moveOut;
+    entries.push(await tx.productDetails.create({
+      data: {
+        productId,
+        storeId,
+        batchId: portion.batch ? portion.batch.id : null,
+        reference,
+        quantityIn: netChange === 0 ? Number(quantityIn) : moveIn,
+        quantityOut: netChange === 0 ? Number(quantityOut) : moveOut,
+        newBalance: balance,
+        staff,
+        staff_name: staffName,
+        date: now,
+        update_date: now
+      }
+    }));
+  }
+
+  return {
+    storeQuantity: updated,
+    entry: entries[entries.length - 1],
+    entries,
+    batches: portions
+  };
+};
+
+/**
+ * Return everything an order took out of stock to the stores it came from.
+ * Nets the order's existing movements, so calling it twice restores nothing
+ * the second time.
+ */
+const restoreOrderStock = async (tx, orderId, { staff = 0, staffName = 'System', reason = 'reversal' } = {}) => {
+  const reference = orderReference(orderId);
+  const movements = await tx.productDetails.findMany({
+    where: {
+      OR: [
+        { reference },
+        { reference: { startsWith: `${reference} ` } }
+      ]
+    }
+  });
+
+  // Net quantity still out per product, store and batch
+  const outstanding = new Map();
+  for (const movement of movements) {
+    const key = `${movement.productId}:${movement.storeId}:${movement.batchId}`;
+    const line = outstanding.get(key) || {
+      productId: movement.productId,
+      storeId: movement.storeId,
+      batchId: movement.batchId,
+      quantity: 0
+    };
+    line.quantity += movement.quantityOut - movement.quantityIn;
+    outstanding.set(key, line);
+  }
+
+  const restored = [];
+  for (const { productId, storeId, batchId, quantity } of outstanding.values()) {
+    if (quantity <= 0) continue;
+
+    // Back into the batch the stock was taken from
+    const { storeQuantity } = await postMovement(tx, {
+      productId,
+      storeId,
+      quantityIn: quantity,
+      reference: `${reference} ${reason}`,
+      staff,
+      staffName,
+      batch: batchId ? { batchId } : null
+    });
+    restored.push({ productId, storeId, batchId, quantity, newBalance: storeQuantity.quantity });
+  }
+
+  return restored;
+};
+
+module.exports = {
+  orderReference,
+  returnReference,
+  writeOffReference,
+  insufficientStockError,
+  stockTakeInProgressError,
+  postMovement,
+  withSellableQuantities,
+  restoreOrderStock
+};
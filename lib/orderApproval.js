@@ -0,0 +1,65 @@
+const { ORDER_STATUS, transitionOrder } = require('./orderStatus');
+
+/**
+ * Find the active auto-approval rule for a country. A country-specific rule
+ * wins over a global one (countryId = null).
+ */
+const findApprovalRule = async (tx, countryId) => {
+  const rules = await tx.orderApprovalRule.findMany({
+    where: {
+      active: true,
+      OR: [{ countryId }, { countryId: null }]
+    }
+  });
+
+  return rules.find(rule => rule.countryId === countryId)
+    || rules.find(rule => rule.countryId === null)
+    || null;
+};
+
+/**
+ * Approve a freshly submitted order straight away when its total is within
+ * the configured limit. Returns the order unchanged otherwise, and always
+ * for orders on credit hold.
+ */
+const applyAutoApproval = async (tx, order, user) => {
+  if (order.status !== ORDER_STATUS.submitted || order.creditHold) return order;
+
+  const rule = await findApprovalRule(tx, order.countryId);
+  if (!rule || Number(order.totalAmount) > Number(rule.maxAmount)) return order;
+
+  return transitionOrder(tx, order, 'approved', user, {
+    note: `Auto-approved: total within ${rule.maxAmount} limit (rule #${rule.id})`,
+    data: {
+      approved_by: 'AUTO',
+      approved_by_name: 'Auto-approval'
+    }
+  });
+};
+
+/**
+ * Prisma filter for orders where the user is one of the assigned managers
+ */
+const assignedManagerFilter = (userId) => ({
+  OR: [
+    { retail_manager: userId },
+    { key_channel_manager: userId },
+    { distribution_manager: userId }
+  ]
+});
+
+/**
+ * Who approved or rejected an order, as stored on it. transitionOrder stamps
+ * approvedTime.
+ */
+const approvalStamp = (user) => ({
+  approved_by: String(user.id),
+  approved_by_name: user.name || 'Unknown'
+});
+
+module.exports = {
+  findApprovalRule,
+  applyAutoApproval,
+  assignedManagerFilter,
+  approvalStamp
+};
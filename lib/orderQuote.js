@@ -0,0 +1,287 @@
+const { getCurrencyValue, getCurrencyInfo, formatCurrency } = require('./currencyUtils');
+const { allocateLine } = require('./fulfilmentAllocator');
+const { withSellableQuantities } = require('./inventoryService');
+const { findActivePromotions, orderVolumes, priceLine } = require('./promotionEngine');
+const { findTaxRules, taxLine } = require('./taxService');
+
+// Validation and pricing for order lines, shared by POST /api/orders and the
+// POST /api/orders/quote dry run so both always agree. Nothing here writes.
+// Lines get the best eligible promotion (lib/promotionEngine.js), then tax
+// (lib/taxService.js); lineTotal is what the client pays for the line.
+// Direct sales (`vanStoreId`) are allocated from the rep's van only.
+
+const ISSUE = {
+  REGION_REQUIRED: 'REGION_REQUIRED',
+  NO_ITEMS: 'NO_ITEMS',
+  INVALID_QUANTITY: 'INVALID_QUANTITY',
+  PRICE_OPTION_REQUIRED: 'PRICE_OPTION_REQUIRED',
+  PRICE_OPTION_NOT_FOUND: 'PRICE_OPTION_NOT_FOUND',
+  PRODUCT_NOT_FOUND: 'PRODUCT_NOT_FOUND',
+  PRICE_OPTION_CATEGORY_MISMATCH: 'PRICE_OPTION_CATEGORY_MISMATCH',
+  PRICE_NOT_SET: 'PRICE_NOT_SET',
+  NO_ACTIVE_STORES: 'NO_ACTIVE_STORES',
+  NO_STORES_IN_AREA: 'NO_STORES_IN_AREA',
+  INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+  OUTSTANDING_BALANCE: 'OUTSTANDING_BALANCE'
+};
+
+const issue = (code, message) => ({ code, message });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Unit price of a price option in the country's currency, or null when the
+ * option has no price for that country
+ */
+const unitPrice = (priceOption, countryId) => {
+  const value = getCurrencyValue(priceOption, countryId, 'priceOption');
+  return value === null || value === undefined ? null : Number(value);
+};
+
+const quoteLine = async (client, item, index, { regionId, countryId, vanStoreId, promotions, volumes, taxRules, reservedByProduct }) => {
+  const productId = parseInt(item.productId);
+  const priceOptionId = item.priceOptionId ? parseInt(item.priceOptionId) : null;
+  const quantity = Number(item.quantity);
+
+  const line = {
+    index,
+    productId,
+    productName: null,
+    priceOptionId,
+    priceOption: null,
+    quantity,
+    unitPrice: null,
+    subtotal: null,
+    discountAmount: 0,
+    netAmount: null,
+    taxRate: 0,
+    taxInclusive: false,
+    taxAmount: 0,
+    lineTotal: null,
+    promotion: null,
+    available: 0,
+    allocations: [],
+    issues: []
+  };
+
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    line.issues.push(issue(ISSUE.INVALID_QUANTITY, `Quantity for product ${item.productId} must be a positive whole number`));
+  }
+
+  if (!priceOptionId) {
+    line.issues.push(issue(ISSUE.PRICE_OPTION_REQUIRED, `A price option is required for product ${item.productId}`));
+    return line;
+  }
+
+  const [priceOption, product] = await Promise.all([
+    client.priceOption.findUnique({
+      where: { id: priceOptionId },
+      include: { category: true, prices: true }
+    }),
+    isNaN(productId)
+      ? null
+      : client.product.findUnique({
+          where: { id: productId },
+          include: {
+            // Stores frozen by a stock take cannot ship until it closes
+            storeQuantities: {
+              where: { store: { stockTakes: { none: { status: 'OPEN', mode: 'BLOCK' } } } },
+              include: { store: true }
+            }
+          }
+        })
+  ]);
+
+  if (!priceOption) {
+    line.issues.push(issue(ISSUE.PRICE_OPTION_NOT_FOUND, `Price option ${item.priceOptionId} not found`));
+    return line;
+  }
+  line.priceOption = priceOption.option;
+
+  if (!product) {
+    line.issues.push(issue(ISSUE.PRODUCT_NOT_FOUND, `Product ${item.productId} not found`));
+    return line;
+  }
+  line.productName = product.name;
+
+  if (priceOption.categoryId !== product.category_id) {
+    line.issues.push(issue(
+      ISSUE.PRICE_OPTION_CATEGORY_MISMATCH,
+      `Price option ${item.priceOptionId} (category ${priceOption.category.name}) is not valid for product ${product.name} (category ${product.category})`
+    ));
+    return line;
+  }
+
+  line.unitPrice = unitPrice(priceOption, countryId);
+  if (line.unitPrice === null) {
+    line.issues.push(issue(ISSUE.PRICE_NOT_SET, `Price option ${priceOption.option} has no price set for your country`));
+  } else if (!isNaN(quantity)) {
+    const priced = priceLine(promotions, {
+      productId: product.id,
+      categoryId: product.category_id,
+      unitPrice: line.unitPrice,
+      quantity,
+      volumes
+    });
+    Object.assign(line, priced, taxLine(taxRules, {
+      productId: product.id,
+      categoryId: product.category_id,
+      amount: priced.lineTotal
+    }));
+  }
+
+  // Stock: same store tiers and country 2 override as createOrder
+  const activeStores = product.storeQuantities.filter(sq => sq.store.status === 0);
+  if (activeStores.length === 0) {
+    line.issues.push(issue(ISSUE.NO_ACTIVE_STORES, `No active stores found with stock for product ${product.name}.`));
+    return line;
+  }
+
+  const reserved = reservedByProduct.get(product.id) || new Map();
+  const storeQuantities = await withSellableQuantities(client, product.id, product.storeQuantities);
+  const allocation = allocateLine(storeQuantities, quantity > 0 ? quantity : 0, {
+    regionId,
+    countryId,
+    vanStoreId,
+    reserved
+  });
+  line.available = allocation.available;
+
+  if (vanStoreId && allocation.shortfall > 0) {
+    line.issues.push(issue(
+      ISSUE.INSUFFICIENT_STOCK,
+      `Insufficient van stock for product ${product.name}. You requested ${quantity} units but only ${allocation.available} units are in your van.`
+    ));
+    return line;
+  }
+
+  if (allocation.candidates === 0) {
+    line.issues.push(issue(
+      ISSUE.NO_STORES_IN_AREA,
+      countryId === 2
+        ? `No stock available for product ${product.name} in your country (${countryId}). Country 2 users can only access stock from their own country.`
+        : `No stock available for product ${product.name} in your region (${regionId}) or country (${countryId}). Please contact support.`
+    ));
+    return line;
+  }
+
+  if (allocation.shortfall > 0) {
+    line.issues.push(issue(
+      ISSUE.INSUFFICIENT_STOCK,
+      countryId === 2
+        ? `Insufficient stock for product ${product.name}. You requested ${quantity} units but only ${allocation.available} units are available in your country. Country 2 users can only access stock from their own country.`
+        : `Insufficient stock for product ${product.name}. You requested ${quantity} units but only ${allocation.available} units are available.`
+    ));
+    return line;
+  }
+
+  line.allocations = allocation.allocations;
+
+  // Later lines for the same product draw on what is left
+  for (const { storeId, quantity: allocated } of allocation.allocations) {
+    reserved.set(storeId, (reserved.get(storeId) || 0) + allocated);
+  }
+  reservedByProduct.set(product.id, reserved);
+
+  return line;
+};
+
+/**
+ * Validate, price and allocate stock for a set of order lines without
+ * writing anything. `client` is the Prisma client or a transaction. Pass
+ * `vanStoreId` to quote a direct sale from a rep's van.
+ * @returns {Promise<Object>} Lines with prices, availability and issues,
+ *   the order total and whether the order can be placed
+ */
+const quoteOrder = async (client, { items = [], regionId, countryId, clientId, vanStoreId = null }) => {
+  const quote = {
+    regionId: regionId || null,
+    countryId: countryId || null,
+    currency: getCurrencyInfo(countryId),
+    lines: [],
+    subtotal: 0,
+    discountAmount: 0,
+    netAmount: 0,
+    taxAmount: 0,
+    totalAmount: 0,
+    totalFormatted: null,
+    issues: [],
+    canOrder: false
+  };
+
+  if (!regionId || !countryId) {
+    quote.issues.push(issue(ISSUE.REGION_REQUIRED, 'Region and country are required'));
+    return quote;
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    quote.issues.push(issue(ISSUE.NO_ITEMS, 'No valid order items to process'));
+    return quote;
+  }
+
+  // Promotions can be scoped to the client's type
+  const clientRecord = clientId
+    ? await client.clients.findUnique({
+        where: { id: parseInt(clientId) },
+        select: { client_type: true }
+      })
+    : null;
+  const productIds = items.map(item => parseInt(item.productId)).filter(id => !isNaN(id));
+  const [promotions, taxRules, products] = await Promise.all([
+    findActivePromotions(client, {
+      countryId,
+      regionId,
+      clientType: clientRecord?.client_type ?? null
+    }),
+    findTaxRules(client, countryId),
+    client.product.findMany({
+      where: { id: { in: productIds } },
+      select: { id: true, category_id: true }
+    })
+  ]);
+
+  // Volume tiers count every line of the promoted product or category
+  const volumes = orderVolumes(items.map(item => ({
+    productId: parseInt(item.productId),
+    categoryId: products.find(product => product.id === parseInt(item.productId))?.category_id,
+    quantity: item.quantity
+  })));
+
+  // Lines run in order so repeated products see what earlier lines took
+  const reservedByProduct = new Map();
+  for (const [index, item] of items.entries()) {
+    quote.lines.push(await quoteLine(client, item, index, {
+      regionId,
+      countryId,
+      vanStoreId,
+      promotions,
+      volumes,
+      taxRules,
+      reservedByProduct
+    }));
+  }
+
+  const sum = (field) => round2(quote.lines.reduce((total, line) => total + (line[field] || 0), 0));
+  quote.subtotal = sum('subtotal');
+  quote.discountAmount = sum('discountAmount');
+  quote.netAmount = sum('netAmount');
+  quote.taxAmount = sum('taxAmount');
+  quote.totalAmount = sum('lineTotal');
+  quote.totalFormatted = formatCurrency(quote.totalAmount, countryId);
+  quote.canOrder = quote.issues.length === 0 && quote.lines.every(line => line.issues.length === 0);
+  return quote;
+};
+
+/**
+ * First issue that stops the order being placed, order-level issues first
+ */
+const firstBlockingIssue = (quote) =>
+  quote.issues[0] || quote.lines.flatMap(line => line.issues)[0] || null;
+
+module.exports = {
+  ISSUE,
+  issue,
+  unitPrice,
+  quoteOrder,
+  firstBlockingIssue
+};
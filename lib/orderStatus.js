@@ -0,0 +1,142 @@
+// Order lifecycle: named states for MyOrder.status and the transitions allowed
+// between them. 0 stays "submitted" so orders created before the lifecycle
+// existed keep their meaning.
+
+const { nextInvoiceNumber } = require('./taxService');
+
+const ORDER_STATUS = {
+  submitted: 0,
+  approved: 1,
+  dispatched: 2,
+  delivered: 3,
+  cancelled: 4,
+  draft: 5
+};
+
+const STATUS_NAMES = Object.fromEntries(
+  Object.entries(ORDER_STATUS).map(([name, value]) => [value, name])
+);
+
+// draft -> submitted -> approved -> dispatched -> delivered, cancellable until dispatch
+const TRANSITIONS = {
+  draft: ['submitted', 'cancelled'],
+  submitted: ['approved', 'cancelled'],
+  approved: ['dispatched', 'cancelled'],
+  dispatched: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Timestamp column stamped when an order enters a state
+const STATUS_TIMESTAMPS = {
+  approved: 'approvedTime',
+  dispatched: 'dispatchTime',
+  delivered: 'deliveryTime'
+};
+
+// States in which the rep may still edit or delete the order
+const EDITABLE_STATUSES = ['draft', 'submitted'];
+
+const statusName = (value) => STATUS_NAMES[value] || 'unknown';
+
+/**
+ * Parse a comma-separated list of state names into status codes.
+ * Returns null if any name is not a known state.
+ */
+const parseStatusFilter = (value) => {
+  const names = String(value).split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (names.length === 0 || names.some(name => !(name in ORDER_STATUS))) {
+    return null;
+  }
+  return names.map(name => ORDER_STATUS[name]);
+};
+
+const canTransition = (fromValue, toName) =>
+  (TRANSITIONS[statusName(fromValue)] || []).includes(toName);
+
+/**
+ * Move an order to a new state and record the change in order_status_history.
+ * Must be called with a transaction client. Throws a 409 error if the
+ * transition is not allowed from the order's current state.
+ * `user` is the SalesRep making the change, or { riderId, name } for a rider.
+ */
+const transitionOrder = async (tx, order, toName, user, { note = null, data = {} } = {}) => {
+  if (!(toName in ORDER_STATUS)) {
+    const error = new Error(`Unknown order status: ${toName}`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (!canTransition(order.status, toName)) {
+    const error = new Error(`Cannot move order ${order.id} from ${statusName(order.status)} to ${toName}`);
+    error.status = 409;
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  if (toName === 'approved' && order.creditHold) {
+    const error = new Error(`Order ${order.id} is on credit hold and must be released before it can be approved`);
+    error.status = 409;
+    error.code = 'CREDIT_HOLD';
+    throw error;
+  }
+
+  const timestampField = STATUS_TIMESTAMPS[toName];
+
+  // Approval makes the order an invoice. The number is taken in this
+  // transaction, so a failed transition does not leave a gap.
+  if (toName === 'approved' && !order.invoiceNumber) {
+    data = {
+      ...data,
+      invoiceNumber: await nextInvoiceNumber(tx, order.countryId),
+      invoiceDate: new Date()
+    };
+  }
+
+  // Guard on the current status (and the credit hold, for approvals) so two
+  // concurrent changes cannot both win
+  const { count } = await tx.myOrder.updateMany({
+    where: {
+      id: order.id,
+      status: order.status,
+      ...(toName === 'approved' && { creditHold: false })
+    },
+    data: {
+      ...data,
+      status: ORDER_STATUS[toName],
+      ...(timestampField && { [timestampField]: new Date().toISOString() })
+    }
+  });
+
+  if (count === 0) {
+    const error = new Error(`Order ${order.id} was changed by someone else, please reload it`);
+    error.status = 409;
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  await tx.orderStatusHistory.create({
+    data: {
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus: ORDER_STATUS[toName],
+      // changedBy is always a SalesRep; riders act with { riderId, name }
+      changedBy: user.riderId ? null : user.id,
+      changedByRiderId: user.riderId || null,
+      changedByName: user.name || 'Unknown',
+      note
+    }
+  });
+
+  return tx.myOrder.findUnique({ where: { id: order.id } });
+};
+
+module.exports = {
+  ORDER_STATUS,
+  TRANSITIONS,
+  EDITABLE_STATUSES,
+  statusName,
+  parseStatusFilter,
+  canTransition,
+  transitionOrder
+};
@@ -0,0 +1,197 @@
+const { Prisma } = require('@prisma/client');
+const { postClientEntry } = require('./clientLedger');
+const { ORDER_STATUS } = require('./orderStatus');
+
+// Applies client payments to their unpaid orders. A payment settles the
+// oldest orders first unless specific orders are named. Whatever is left is
+// held on the payment as credit (ClientPayment.unallocatedAmount) and used by
+// the client's next orders. Each payment credits the client ledger once, when
+// it is received; moving held credit between orders does not post again.
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+const toDecimal = (cents) => new Prisma.Decimal((cents / 100).toFixed(2));
+
+const paymentReference = (paymentId) => `Payment #${paymentId}`;
+
+const unpaidOrders = (tx, clientId, { orderIds = null, excludeOrderIds = [] } = {}) =>
+  tx.myOrder.findMany({
+    where: {
+      clientId,
+      balance: { gt: 0 },
+      // Drafts are not charged until submitted; cancelled orders are closed
+      status: { notIn: [ORDER_STATUS.draft, ORDER_STATUS.cancelled] },
+      ...(orderIds && { id: { in: orderIds } }),
+      ...(excludeOrderIds.length > 0 && { NOT: { id: { in: excludeOrderIds } } })
+    },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+  });
+
+/**
+ * Move `cents` of a payment onto an order. The balance guard stops two
+ * payments settling the same amount; returns false when the order was paid
+ * by someone else in the meantime.
+ */
+const settleOrder = async (tx, paymentId, orderId, cents) => {
+  const { count } = await tx.myOrder.updateMany({
+    where: { id: orderId, balance: { gte: toDecimal(cents) } },
+    data: {
+      balance: { decrement: toDecimal(cents) },
+      amountPaid: { increment: toDecimal(cents) }
+    }
+  });
+  if (count === 0) return false;
+
+  await tx.paymentAllocation.create({
+    data: { paymentId, orderId, amount: toDecimal(cents) }
+  });
+  return true;
+};
+
+/**
+ * Apply a new payment: credit the client ledger and settle unpaid orders,
+ * oldest first or only those in `orderIds` (in the order given). Must be
+ * called with a transaction client.
+ * @returns {Promise<Object>} allocations ({ orderId, amount }) and the
+ *   amount held as credit
+ */
+const allocatePayment = async (tx, payment, { orderIds = null, staff = 0 } = {}) => {
+  const reference = paymentReference(payment.id);
+  let orders = await unpaidOrders(tx, payment.clientId, { orderIds });
+
+  if (orderIds) {
+    const missing = orderIds.filter(id => !orders.some(order => order.id === id));
+    if (missing.length > 0) {
+      const error = new Error(`Orders ${missing.join(', ')} are not unpaid orders of this client`);
+      error.status = 400;
+      error.code = 'INVALID_ALLOCATION_TARGET';
+      throw error;
+    }
+    orders = orderIds.map(id => orders.find(order => order.id === id));
+  }
+
+  let remaining = toCents(payment.amount);
+  const allocations = [];
+
+  for (const order of orders) {
+    if (remaining <= 0) break;
+
+    const cents = Math.min(remaining, toCents(order.balance));
+    if (!(await settleOrder(tx, payment.id, order.id, cents))) continue;
+
+    await postClientEntry(tx, {
+      clientId: payment.clientId,
+      orderId: order.id,
+      reference,
+      amountIn: cents / 100,
+      staff
+    });
+    allocations.push({ orderId: order.id, amount: cents / 100 });
+    remaining -= cents;
+  }
+
+  // Overpayment: credit the account now, settle future orders from it later
+  if (remaining > 0) {
+    await postClientEntry(tx, {
+      clientId: payment.clientId,
+      reference: `${reference} credit`,
+      amountIn: remaining / 100,
+      staff
+    });
+  }
+
+  await tx.clientPayment.update({
+    where: { id: payment.id },
+    data: { unallocatedAmount: toDecimal(remaining) }
+  });
+
+  return { allocations, unallocatedAmount: remaining / 100 };
+};
+
+/**
+ * Settle a client's unpaid orders from credit held on earlier payments,
+ * oldest credit against oldest order. Must be called with a transaction client.
+ * @returns {Promise<Array>} allocations made ({ paymentId, orderId, amount })
+ */
+const applyClientCredit = async (tx, clientId, { excludeOrderIds = [] } = {}) => {
+  const payments = await tx.clientPayment.findMany({
+    where: { clientId, unallocatedAmount: { gt: 0 } },
+    orderBy: [{ date: 'asc' }, { id: 'asc' }]
+  });
+  if (payments.length === 0) return [];
+
+  const orders = await unpaidOrders(tx, clientId, { excludeOrderIds });
+  const allocations = [];
+
+  for (const payment of payments) {
+    let credit = toCents(payment.unallocatedAmount);
+
+    while (credit > 0 && orders.length > 0) {
+      const order = orders[0];
+      const outstanding = toCents(order.balance);
+      const cents = Math.min(credit, outstanding);
+
+      // Guard the credit too, in case another request is spending it
+      const { count } = await tx.clientPayment.updateMany({
+        where: { id: payment.id, unallocatedAmount: { gte: toDecimal(cents) } },
+        data: { unallocatedAmount: { decrement: toDecimal(cents) } }
+      });
+      if (count === 0) break;
+
+      if (!(await settleOrder(tx, payment.id, order.id, cents))) {
+        await tx.clientPayment.update({
+          where: { id: payment.id },
+          data: { unallocatedAmount: { increment: toDecimal(cents) } }
+        });
+        orders.shift();
+        continue;
+      }
+
+      allocations.push({ paymentId: payment.id, orderId: order.id, amount: cents / 100 });
+      credit -= cents;
+      order.balance = (outstanding - cents) / 100;
+      if (outstanding - cents <= 0) orders.shift();
+    }
+
+    if (orders.length === 0) break;
+  }
+
+  return allocations;
+};
+
+/**
+ * Undo every payment allocation on an order (when it is cancelled, deleted or
+ * edited below what was paid). The amounts go back to their payments as
+ * credit; the ledger is left to the caller, which reverses the order's charge.
+ * @returns {Promise<number>} Total amount released
+ */
+const releaseOrderAllocations = async (tx, orderId) => {
+  const allocations = await tx.paymentAllocation.findMany({ where: { orderId } });
+  if (allocations.length === 0) return 0;
+
+  let total = 0;
+  for (const allocation of allocations) {
+    await tx.clientPayment.update({
+      where: { id: allocation.paymentId },
+      data: { unallocatedAmount: { increment: allocation.amount } }
+    });
+    total += toCents(allocation.amount);
+  }
+
+  await tx.paymentAllocation.deleteMany({ where: { orderId } });
+  await tx.myOrder.update({
+    where: { id: orderId },
+    data: {
+      amountPaid: { decrement: toDecimal(total) },
+      balance: { increment: toDecimal(total) }
+    }
+  });
+
+  return total / 100;
+};
+
+module.exports = {
+  paymentReference,
+  allocatePayment,
+  applyClientCredit,
+  releaseOrderAllocations
+};
@@ -0,0 +1,212 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('./prisma');
+const { PAYMENT_STATUS, verifyPayment } = require('./paymentVerification');
+const { PROVIDERS } = require('./paymentProviders');
+const { parseAccountNumber, looksLikeAccountNumber } = require('./clientAccount');
+
+// Turns mobile money callbacks into verified ClientPayments. Each provider
+// transaction is stored once in mobile_money_transactions, so a callback the
+// provider retries is acknowledged without paying twice. Transactions that
+// match no client are kept as UNMATCHED for finance to assign. A payment made
+// to an account number from a phone that is not the client's own is created
+// but left PENDING, so finance confirms it before it settles any orders.
+
+const TRANSACTION_STATUS = {
+  MATCHED: 'MATCHED',
+  UNMATCHED: 'UNMATCHED'
+};
+
+// Compare phones on their last 9 digits so 0712..., 254712... and
+// +254712... all match
+const phoneSuffix = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 9 ? digits.slice(-9) : null;
+};
+
+const findClientByPhone = async (client, phone) => {
+  const suffix = phoneSuffix(phone);
+  if (!suffix) return null;
+
+  const matches = await client.clients.findMany({
+    where: { contact: { endsWith: suffix } },
+    select: { id: true },
+    take: 2
+  });
+  // Several outlets sharing a number cannot be told apart
+  return matches.length === 1 ? matches[0].id : null;
+};
+
+/**
+ * Client a transaction belongs to: the account reference first (an account
+ * number from lib/clientAccount.js, otherwise a phone number), then the
+ * payer's phone against Clients.contact. `confirmed` is false when the
+ * client was found from the reference but the payer's phone is not theirs.
+ * @returns {Promise<{ clientId: number, confirmed: boolean }|null>}
+ */
+const matchClient = async (client, { accountReference, phone }) => {
+  const reference = String(accountReference || '').trim();
+  const payerSuffix = phoneSuffix(phone);
+
+  const byReference = async () => {
+    if (looksLikeAccountNumber(reference)) {
+      const clientId = parseAccountNumber(reference);
+      if (!clientId) return null;
+      const account = await client.clients.findUnique({
+        where: { id: clientId },
+        select: { id: true, contact: true }
+      });
+      return account && { clientId: account.id, contact: account.contact };
+    }
+    if (!reference) return null;
+
+    const clientId = await findClientByPhone(client, reference);
+    return clientId && { clientId, contact: reference };
+  };
+
+  const referenced = await byReference();
+  if (referenced) {
+    return {
+      clientId: referenced.clientId,
+      confirmed: payerSuffix !== null && phoneSuffix(referenced.contact) === payerSuffix
+    };
+  }
+  // A mistyped account number says which client was meant but not which
+  // one, so the payer's phone is not used to guess
+  if (looksLikeAccountNumber(reference)) return null;
+
+  const byPhone = await findClientByPhone(client, phone);
+  return byPhone ? { clientId: byPhone, confirmed: true } : null;
+};
+
+const invalidTransactionError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_CALLBACK';
+  return error;
+};
+
+/**
+ * Record a transaction against a client as a payment. Unless `verify` is
+ * false, the payment is verified and applied to their orders straight away.
+ * `user` is who matched it; callbacks verify as the provider. Must be called
+ * with a transaction client.
+ */
+const settleTransaction = async (tx, provider, record, clientId, user = null, { verify = true } = {}) => {
+  const payment = await tx.clientPayment.create({
+    data: {
+      clientId,
+      amount: Number(record.amount),
+      date: record.paidAt,
+      method: provider.label,
+      status: PAYMENT_STATUS.PENDING,
+      userId: null
+    }
+  });
+
+  if (verify) {
+    await verifyPayment(tx, payment, user || { id: null, name: `${provider.label} callback` });
+  } else {
+    console.log(`[Payments] ${provider.name} ${record.transactionId} held for verification: payer phone is not client ${clientId}'s contact`);
+  }
+
+  return tx.mobileMoneyTransaction.update({
+    where: { id: record.id },
+    data: { status: TRANSACTION_STATUS.MATCHED, clientId, paymentId: payment.id }
+  });
+};
+
+/**
+ * Store a parsed provider transaction and, when it matches a client, create
+ * the payment (verified unless the match is unconfirmed), all in one
+ * database transaction
+ * @returns {Promise<{ transaction: Object, duplicate: boolean }>}
+ */
+const ingestTransaction = async (provider, transaction, payload) => {
+  if (!transaction.transactionId) {
+    throw invalidTransactionError('Callback has no transaction ID');
+  }
+  if (!(transaction.amount > 0)) {
+    throw invalidTransactionError(`Transaction ${transaction.transactionId} has no valid amount`);
+  }
+
+  try {
+    const stored = await prisma.$transaction(async (tx) => {
+      const record = await tx.mobileMoneyTransaction.create({
+        data: {
+          provider: provider.name,
+          transactionId: String(transaction.transactionId),
+          amount: new Prisma.Decimal(Number(transaction.amount).toFixed(2)),
+          phone: transaction.phone,
+          accountReference: transaction.accountReference,
+          payerName: transaction.payerName,
+          paidAt: transaction.paidAt,
+          status: TRANSACTION_STATUS.UNMATCHED,
+          payload
+        }
+      });
+
+      const match = await matchClient(tx, transaction);
+      return match
+        ? settleTransaction(tx, provider, record, match.clientId, null, { verify: match.confirmed })
+        : record;
+    }, {
+      maxWait: 5000,
+      timeout: 10000
+    });
+
+    return { transaction: stored, duplicate: false };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+
+    // Provider retry of a transaction already stored
+    const existing = await prisma.mobileMoneyTransaction.findUnique({
+      where: {
+        provider_transactionId: {
+          provider: provider.name,
+          transactionId: String(transaction.transactionId)
+        }
+      }
+    });
+    return { transaction: existing, duplicate: true };
+  }
+};
+
+/**
+ * Assign an unmatched transaction to a client by hand, creating its verified
+ * payment. Throws 404 for an unknown transaction and 409 when it has
+ * already been matched.
+ */
+const assignTransaction = (transactionId, clientId, user) =>
+  prisma.$transaction(async (tx) => {
+    const record = await tx.mobileMoneyTransaction.findUnique({ where: { id: transactionId } });
+    if (!record) {
+      const error = new Error('Transaction not found');
+      error.status = 404;
+      error.code = 'TRANSACTION_NOT_FOUND';
+      throw error;
+    }
+
+    // Claim it first so two people assigning at once cannot both pay it
+    const { count } = await tx.mobileMoneyTransaction.updateMany({
+      where: { id: transactionId, status: TRANSACTION_STATUS.UNMATCHED },
+      data: { status: TRANSACTION_STATUS.MATCHED }
+    });
+    if (count === 0) {
+      const error = new Error(`Transaction ${transactionId} has already been matched`);
+      error.status = 409;
+      error.code = 'TRANSACTION_ALREADY_MATCHED';
+      throw error;
+    }
+
+    return settleTransaction(tx, PROVIDERS[record.provider], record, clientId, user);
+  }, {
+    maxWait: 5000,
+    timeout: 10000
+  });
+
+module.exports = {
+  TRANSACTION_STATUS,
+  matchClient,
+  ingestTransaction,
+  assignTransaction
+};
@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+/**
+ * Whether a callback carries the expected shared token, read from ?token= or
+ * the X-Callback-Token header. Always false when no token is configured.
+ */
+const hasCallbackToken = (req, expected) => {
+  const given = req.query.token || req.get('X-Callback-Token');
+  if (!given || !expected) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = { hasCallbackToken };
@@ -0,0 +1,28 @@
+const { hasCallbackToken } = require('./callbackToken');
+
+// Local stand-in for a mobile money provider, for development and testing.
+// Payload: { transactionId, amount, phone, accountReference, payerName, paidAt }.
+// Only registered when NODE_ENV=development or ENABLE_FAKE_PAYMENTS=true, and
+// callbacks must carry FAKE_PAYMENT_TOKEN; see scripts/send-fake-payment.js.
+
+module.exports = {
+  name: 'fake',
+  label: 'Fake Money',
+
+  authenticate: (req) => hasCallbackToken(req, process.env.FAKE_PAYMENT_TOKEN),
+
+  parseCallback: (body) => {
+    if (body?.status === 'FAILED') return null;
+
+    return {
+      transactionId: body?.transactionId,
+      amount: Number(body?.amount),
+      phone: body?.phone ? String(body.phone) : null,
+      accountReference: body?.accountReference ? String(body.accountReference) : null,
+      payerName: body?.payerName || null,
+      paidAt: body?.paidAt ? new Date(body.paidAt) : new Date()
+    };
+  },
+
+  acknowledge: (accepted) => ({ accepted })
+};
@@ -0,0 +1,33 @@
+// Mobile money provider adapters. Each adapter turns one provider's callback
+// into a common transaction shape for lib/paymentIngestion.js:
+//
+//   name            URL segment: POST /api/payments/callbacks/:name
+//   label           Stored as ClientPayment.method
+//   authenticate    (req) => boolean, checks the callback really came from the provider
+//   parseCallback   (body) => { transactionId, amount, phone, accountReference,
+//                   payerName, paidAt } or null when the callback is not a
+//                   completed payment; throws on payloads it cannot read
+//   acknowledge     (accepted) => response body the provider expects
+
+const mpesa = require('./mpesa');
+const fake = require('./fake');
+
+const PROVIDERS = { mpesa, fake };
+
+// The fake provider creates verified payments, so it is opt-in
+const fakePaymentsEnabled = () =>
+  process.env.NODE_ENV === 'development' || process.env.ENABLE_FAKE_PAYMENTS === 'true';
+
+/**
+ * Adapter for a provider name, or null when unknown. The fake provider is
+ * only available when fake payments are enabled.
+ */
+const getProvider = (name) => {
+  if (name === fake.name && !fakePaymentsEnabled()) return null;
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? PROVIDERS[name] : null;
+};
+
+module.exports = {
+  PROVIDERS,
+  getProvider
+};
@@ -0,0 +1,62 @@
+const { hasCallbackToken } = require('./callbackToken');
+
+// Safaricom M-Pesa (Daraja) callbacks: C2B confirmations from paybill/till
+// payments and STK push results. Daraja cannot send custom headers, so the
+// callback URL carries ?token=<MPESA_CALLBACK_TOKEN>.
+
+// Daraja timestamps are YYYYMMDDHHmmss in East Africa Time
+const parseTimestamp = (value) => {
+  const text = String(value || '');
+  if (!/^\d{14}$/.test(text)) return new Date();
+  return new Date(
+    `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}T${text.slice(8, 10)}:${text.slice(10, 12)}:${text.slice(12, 14)}+03:00`
+  );
+};
+
+const parseStkCallback = (callback) => {
+  // Cancelled, timed out or failed pushes carry no payment
+  if (Number(callback.ResultCode) !== 0) return null;
+
+  const items = Object.fromEntries(
+    (callback.CallbackMetadata?.Item || []).map(item => [item.Name, item.Value])
+  );
+  return {
+    transactionId: items.MpesaReceiptNumber,
+    amount: Number(items.Amount),
+    phone: items.PhoneNumber ? String(items.PhoneNumber) : null,
+    accountReference: null,
+    payerName: null,
+    paidAt: parseTimestamp(items.TransactionDate)
+  };
+};
+
+const parseC2bConfirmation = (body) => ({
+  transactionId: body.TransID,
+  amount: Number(body.TransAmount),
+  phone: body.MSISDN ? String(body.MSISDN) : null,
+  accountReference: body.BillRefNumber ? String(body.BillRefNumber).trim() : null,
+  payerName: [body.FirstName, body.MiddleName, body.LastName].filter(Boolean).join(' ') || null,
+  paidAt: parseTimestamp(body.TransTime)
+});
+
+module.exports = {
+  name: 'mpesa',
+  label: 'M-Pesa',
+
+  authenticate: (req) => hasCallbackToken(req, process.env.MPESA_CALLBACK_TOKEN),
+
+  parseCallback: (body) => {
+    if (body?.Body?.stkCallback) return parseStkCallback(body.Body.stkCallback);
+    if (body?.TransID) return parseC2bConfirmation(body);
+
+    const error = new Error('Unrecognised M-Pesa callback payload');
+    error.status = 400;
+    error.code = 'INVALID_CALLBACK';
+    throw error;
+  },
+
+  acknowledge: (accepted) =>
+    accepted
+      ? { ResultCode: 0, ResultDesc: 'Accepted' }
+      : { ResultCode: 1, ResultDesc: 'Rejected' }
+};
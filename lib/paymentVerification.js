@@ -0,0 +1,89 @@
+const { allocatePayment } = require('./paymentAllocation');
+
+// Payments collected by reps are captured as PENDING and only reach the
+// client's balance once finance verifies them. Rejected payments never touch
+// the ledger.
+
+const PAYMENT_STATUS = {
+  PENDING: 'PENDING',
+  VERIFIED: 'VERIFIED',
+  REJECTED: 'REJECTED'
+};
+
+const notPendingError = (payment) => {
+  const error = new Error(`Payment ${payment.id} is ${payment.status || 'not pending'} and cannot be changed`);
+  error.status = 409;
+  error.code = 'PAYMENT_NOT_PENDING';
+  return error;
+};
+
+// Move a pending payment on; the status guard lets only one reviewer win
+const closePending = async (tx, payment, data) => {
+  const { count } = await tx.clientPayment.updateMany({
+    where: { id: payment.id, status: PAYMENT_STATUS.PENDING },
+    data
+  });
+  if (count === 0) throw notPendingError(payment);
+};
+
+/**
+ * Orders the rep asked the payment to settle that are still unpaid, or null
+ * to settle oldest first when none are left
+ */
+const remainingTargets = async (tx, payment) => {
+  if (!Array.isArray(payment.allocationTargets) || payment.allocationTargets.length === 0) {
+    return null;
+  }
+
+  const orders = await tx.myOrder.findMany({
+    where: {
+      id: { in: payment.allocationTargets },
+      clientId: payment.clientId,
+      balance: { gt: 0 }
+    },
+    select: { id: true }
+  });
+  const unpaid = new Set(orders.map(order => order.id));
+  const targets = payment.allocationTargets.filter(id => unpaid.has(id));
+  return targets.length > 0 ? targets : null;
+};
+
+/**
+ * Verify a pending payment and apply it to the client's orders. `orderIds`
+ * overrides the orders chosen when the payment was captured. `user` may be a
+ * system actor with a null id (e.g. a provider callback). Must be called
+ * with a transaction client.
+ * @returns {Promise<Object>} The allocation result from allocatePayment
+ */
+const verifyPayment = async (tx, payment, user, { orderIds = null } = {}) => {
+  await closePending(tx, payment, {
+    status: PAYMENT_STATUS.VERIFIED,
+    verifiedBy: user.id,
+    verifiedByName: user.name || 'Unknown',
+    verifiedAt: new Date()
+  });
+
+  return allocatePayment(tx, payment, {
+    orderIds: orderIds || await remainingTargets(tx, payment),
+    staff: user.id || 0
+  });
+};
+
+/**
+ * Reject a pending payment with a reason. Must be called with a transaction
+ * client.
+ */
+const rejectPayment = (tx, payment, user, reason) =>
+  closePending(tx, payment, {
+    status: PAYMENT_STATUS.REJECTED,
+    rejectionReason: reason,
+    verifiedBy: user.id,
+    verifiedByName: user.name || 'Unknown',
+    verifiedAt: new Date()
+  });
+
+module.exports = {
+  PAYMENT_STATUS,
+  verifyPayment,
+  rejectPayment
+};
@@ -0,0 +1,114 @@
+const prisma = require('./prisma');
+const { LEGACY_PRICE_COLUMNS } = require('./currencyUtils');
+
+// Price lists: the `prices` rows holding what a product (unit cost) or a
+// price option costs in each currency. lib/currencyUtils.js reads them.
+//
+// KES, TZS and NGN prices are also written to the older per-currency columns
+// (unit_cost / unit_cost_tzs / unit_cost_ngn and value / value_tzs /
+// value_ngn) so that anything still reading those columns sees the same price.
+
+const priceListError = (status, code, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+const mirrorLegacyColumn = async (tx, { productId, priceOptionId, currencyCode, amount }) => {
+  const legacy = LEGACY_PRICE_COLUMNS[currencyCode];
+  if (!legacy) return;
+
+  if (productId) {
+    await tx.product.update({
+      where: { id: productId },
+      data: { [legacy.product]: amount }
+    });
+  } else {
+    // PriceOption.value is a whole number
+    await tx.priceOption.update({
+      where: { id: priceOptionId },
+      data: { [legacy.priceOption]: legacy.priceOption === 'value' ? Math.round(amount) : amount }
+    });
+  }
+};
+
+/**
+ * Set the prices of one product or one price option. `prices` are
+ * [{ currencyCode, amount }]. Must be called with a transaction client.
+ */
+const savePrices = async (tx, { productId = null, priceOptionId = null, prices, updatedBy = null }) => {
+  for (const { currencyCode, amount } of prices) {
+    const where = productId
+      ? { productId_currencyCode: { productId, currencyCode } }
+      : { priceOptionId_currencyCode: { priceOptionId, currencyCode } };
+    await tx.price.upsert({
+      where,
+      create: { productId, priceOptionId, currencyCode, amount, updatedBy },
+      update: { amount, updatedBy }
+    });
+    await mirrorLegacyColumn(tx, { productId, priceOptionId, currencyCode, amount });
+  }
+};
+
+/**
+ * Prices a product carries in its legacy columns, for currencies where the
+ * column is set
+ */
+const legacyProductPrices = (product) =>
+  Object.entries(LEGACY_PRICE_COLUMNS)
+    .filter(([, columns]) => product[columns.product] !== null && product[columns.product] !== undefined)
+    .map(([currencyCode, columns]) => ({ currencyCode, amount: Number(product[columns.product]) }));
+
+/**
+ * Load a currency's price list. `products` and `priceOptions` are
+ * [{ id, amount }]; items not listed keep their prices.
+ * @returns {Promise<{ currencyCode: string, products: number, priceOptions: number }>}
+ */
+const setPriceList = (currencyCode, { products = [], priceOptions = [] }, user) =>
+  prisma.$transaction(async (tx) => {
+    const currency = await tx.currency.findUnique({ where: { code: currencyCode } });
+    if (!currency) {
+      throw priceListError(404, 'CURRENCY_NOT_FOUND', `Currency ${currencyCode} is not configured`);
+    }
+
+    const [knownProducts, knownOptions] = await Promise.all([
+      tx.product.findMany({ where: { id: { in: products.map(item => item.id) } }, select: { id: true } }),
+      tx.priceOption.findMany({ where: { id: { in: priceOptions.map(item => item.id) } }, select: { id: true } })
+    ]);
+    const missingProduct = products.find(item => !knownProducts.some(product => product.id === item.id));
+    if (missingProduct) {
+      throw priceListError(404, 'PRODUCT_NOT_FOUND', `Product ${missingProduct.id} not found`);
+    }
+    const missingOption = priceOptions.find(item => !knownOptions.some(option => option.id === item.id));
+    if (missingOption) {
+      throw priceListError(404, 'PRICE_OPTION_NOT_FOUND', `Price option ${missingOption.id} not found`);
+    }
+
+    for (const item of products) {
+      await savePrices(tx, {
+        productId: item.id,
+        prices: [{ currencyCode, amount: item.amount }],
+        updatedBy: user.id
+      });
+    }
+    for (const item of priceOptions) {
+      await savePrices(tx, {
+        priceOptionId: item.id,
+        prices: [{ currencyCode, amount: item.amount }],
+        updatedBy: user.id
+      });
+    }
+
+    return { currencyCode, products: products.length, priceOptions: priceOptions.length };
+  }, {
+    maxWait: 5000,
+    timeout: 30000
+  });
+
+module.exports = {
+  savePrices,
+  legacyProductPrices,
+  setPriceList
+};
@@ -0,0 +1,96 @@
+const prisma = require('./prisma');
+const { postMovement, returnReference } = require('./inventoryService');
+
+// Receiving product returns back into stock. Reps log returns by product
+// name, with the batch number printed on the pack where there is one; the
+// warehouse checks the goods and books the sellable units into a store by
+// product id, each line a "Return #<id>" movement into the original batch when
+// its number is given. Units not booked (damaged, expired) stay out of stock.
+
+const RETURN_STATUS = {
+  pending: 0,
+  received: 1
+};
+
+const returnError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Book a pending return into a store. `items` are
+ * [{ productId, quantity, batchNumber, expiryDate }], batch details optional.
+ * @returns {Promise<{ productReturn: Object, movements: Object[] }>}
+ */
+const receiveProductReturn = (returnId, { storeId, items, user }) =>
+  prisma.$transaction(async (tx) => {
+    const productReturn = await tx.productReturn.findUnique({ where: { id: returnId } });
+    if (!productReturn) {
+      throw returnError(404, 'RETURN_NOT_FOUND', 'Product return not found');
+    }
+    if (productReturn.status !== RETURN_STATUS.pending) {
+      throw returnError(409, 'RETURN_ALREADY_RECEIVED', `Product return #${returnId} has already been received`);
+    }
+
+    const store = await tx.stores.findUnique({ where: { id: storeId } });
+    if (!store) {
+      throw returnError(404, 'STORE_NOT_FOUND', `Store ${storeId} not found`);
+    }
+    if (store.status !== 0) {
+      throw returnError(400, 'INVALID_RETURN', `Store ${store.name} is not active`);
+    }
+
+    const products = await tx.product.findMany({
+      where: { id: { in: items.map(item => item.productId) } },
+      select: { id: true, name: true }
+    });
+    const productNames = new Map(products.map(product => [product.id, product.name]));
+    const missing = items.find(item => !productNames.has(item.productId));
+    if (missing) {
+      throw returnError(404, 'PRODUCT_NOT_FOUND', `Product ${missing.productId} not found`);
+    }
+
+    // Guarded so the same return cannot be booked twice
+    const { count } = await tx.productReturn.updateMany({
+      where: { id: returnId, status: RETURN_STATUS.pending },
+      data: {
+        status: RETURN_STATUS.received,
+        storeId,
+        receivedBy: user.id,
+        receivedAt: new Date()
+      }
+    });
+    if (count === 0) {
+      throw returnError(409, 'RETURN_ALREADY_RECEIVED', `Product return #${returnId} has already been received`);
+    }
+
+    const movements = [];
+    for (const item of items) {
+      const { storeQuantity } = await postMovement(tx, {
+        productId: item.productId,
+        productName: productNames.get(item.productId),
+        storeId,
+        quantityIn: item.quantity,
+        reference: returnReference(returnId),
+        staff: user.id,
+        staffName: user.name || 'Unknown',
+        batch: item.batchNumber ? { batchNumber: item.batchNumber, expiryDate: item.expiryDate } : null
+      });
+      movements.push({
+        productId: item.productId,
+        batchNumber: item.batchNumber || null,
+        quantity: item.quantity,
+        newBalance: storeQuantity.quantity
+      });
+    }
+
+    const received = await tx.productReturn.findUnique({ where: { id: returnId } });
+    return { productReturn: received, movements };
+  });
+
+module.exports = {
+  RETURN_STATUS,
+  receiveProductReturn
+};
@@ -0,0 +1,154 @@
+// Promotions applied to order lines. Each line gets at most one promotion:
+// the eligible one giving the largest discount (earliest created on a tie).
+//
+// Types:
+//   PERCENTAGE   `value` percent off the line
+//   FIXED        `value` off each unit, never below zero
+//   BUY_X_GET_Y  for every buyQuantity + freeQuantity units, freeQuantity are free
+//   VOLUME_TIER  percent off from the highest tier whose minQuantity is met by
+//                the units of the promoted product or category across the order
+//
+// A promotion can be limited to a product or category, and scoped to a
+// country, region or client_type. Unset scope fields match everything.
+
+const PROMOTION_TYPES = ['PERCENTAGE', 'FIXED', 'BUY_X_GET_Y', 'VOLUME_TIER'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Load the promotions running now for a country, region and client type
+ */
+const findActivePromotions = (client, { countryId, regionId, clientType, at = new Date() }) =>
+  client.promotion.findMany({
+    where: {
+      active: true,
+      startDate: { lte: at },
+      endDate: { gte: at },
+      AND: [
+        { OR: [{ countryId: null }, { countryId: countryId ?? -1 }] },
+        { OR: [{ regionId: null }, { regionId: regionId ?? -1 }] },
+        { OR: [{ clientType: null }, { clientType: clientType ?? -1 }] }
+      ]
+    },
+    include: { tiers: true },
+    orderBy: { id: 'asc' }
+  });
+
+/**
+ * Units per product and per category across an order's lines
+ * ([{ productId, categoryId, quantity }]), for volume tiers
+ */
+const orderVolumes = (lines) => {
+  const volumes = { byProduct: new Map(), byCategory: new Map() };
+  for (const { productId, categoryId, quantity } of lines) {
+    const units = Number(quantity);
+    if (!Number.isInteger(units) || units <= 0) continue;
+    volumes.byProduct.set(productId, (volumes.byProduct.get(productId) || 0) + units);
+    if (categoryId) {
+      volumes.byCategory.set(categoryId, (volumes.byCategory.get(categoryId) || 0) + units);
+    }
+  }
+  return volumes;
+};
+
+// Quantity a volume tier is chosen by: the order's units of the promoted
+// product or category when `volumes` is given, else the line's own
+const tierQuantity = (promotion, { productId, categoryId, quantity, volumes }) => {
+  if (!volumes) return quantity;
+  if (promotion.productId) return volumes.byProduct.get(productId) || quantity;
+  if (promotion.categoryId) return volumes.byCategory.get(categoryId) || quantity;
+  return quantity;
+};
+
+/**
+ * Discount a promotion gives a line, or 0 when it does not apply. `volumes`
+ * (from orderVolumes) lets volume tiers count the whole order.
+ */
+const lineDiscount = (promotion, { productId, categoryId, unitPrice, quantity, volumes = null }) => {
+  if (promotion.productId && promotion.productId !== productId) return 0;
+  if (promotion.categoryId && promotion.categoryId !== categoryId) return 0;
+
+  const volume = promotion.type === 'VOLUME_TIER'
+    ? tierQuantity(promotion, { productId, categoryId, quantity, volumes })
+    : quantity;
+  if (volume < (promotion.minQuantity || 1)) return 0;
+
+  const gross = unitPrice * quantity;
+  const value = Number(promotion.value || 0);
+  let discount = 0;
+
+  switch (promotion.type) {
+    case 'PERCENTAGE':
+      discount = gross * Math.min(value, 100) / 100;
+      break;
+    case 'FIXED':
+      discount = Math.min(value, unitPrice) * quantity;
+      break;
+    case 'BUY_X_GET_Y': {
+      const buy = promotion.buyQuantity || 0;
+      const free = promotion.freeQuantity || 0;
+      if (buy > 0 && free > 0) {
+        discount = Math.floor(quantity / (buy + free)) * free * unitPrice;
+      }
+      break;
+    }
+    case 'VOLUME_TIER': {
+      const tier = (promotion.tiers || [])
+        .filter(t => volume >= t.minQuantity)
+        .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+      if (tier) {
+        discount = gross * Math.min(Number(tier.discountPercent), 100) / 100;
+      }
+      break;
+    }
+    default:
+      discount = 0;
+  }
+
+  return round2(Math.max(0, Math.min(discount, gross)));
+};
+
+/**
+ * Pick the best promotion for a line
+ * @returns {{ promotion: Object|null, discountAmount: number }}
+ */
+const bestPromotion = (promotions, line) => {
+  let best = { promotion: null, discountAmount: 0 };
+  for (const promotion of promotions) {
+    const discountAmount = lineDiscount(promotion, line);
+    if (discountAmount > best.discountAmount) {
+      best = { promotion, discountAmount };
+    }
+  }
+  return best;
+};
+
+/**
+ * Price a line: subtotal at list price, best discount and discounted total
+ */
+const priceLine = (promotions, { productId, categoryId, unitPrice, quantity, volumes = null }) => {
+  const subtotal = round2(unitPrice * quantity);
+  const { promotion, discountAmount } = bestPromotion(promotions, {
+    productId,
+    categoryId,
+    unitPrice,
+    quantity,
+    volumes
+  });
+
+  return {
+    subtotal,
+    discountAmount,
+    lineTotal: round2(subtotal - discountAmount),
+    promotion: promotion ? { id: promotion.id, name: promotion.name, type: promotion.type } : null
+  };
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  findActivePromotions,
+  orderVolumes,
+  lineDiscount,
+  bestPromotion,
+  priceLine
+};
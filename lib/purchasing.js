@@ -0,0 +1,346 @@
+const prisma = require('./prisma');
+const { postMovement } = require('./inventoryService');
+const { postSupplierEntry } = require('./supplierLedger');
+
+// Purchase orders to suppliers and the goods received against them.
+//
+// A PurchaseOrder lists what was ordered (PurchaseOrderItems) at an agreed
+// unit cost. Each delivery is received into one store as a Purchase (a goods
+// received note, "GRN #<id>") with its PurchaseItems. Receiving raises the
+// store's StoreQuantity through postMovement, writes a PurchaseHistory row per
+// line and posts the value received to the supplier's account, so
+// Suppliers.accountBalance is what we owe for goods actually delivered.
+// Payments to the supplier go into `payments` and reduce that balance.
+
+const PO_STATUS = {
+  OPEN: 'OPEN',
+  PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+  RECEIVED: 'RECEIVED',
+  CLOSED: 'CLOSED',
+  CANCELLED: 'CANCELLED'
+};
+
+// Goods can only be received while something is still expected
+const RECEIVABLE_STATUSES = [PO_STATUS.OPEN, PO_STATUS.PARTIALLY_RECEIVED];
+
+const PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'CHEQUE', 'MOBILE_MONEY'];
+
+const purchaseOrderReference = (poId) => `PO #${poId}`;
+const receiptReference = (purchaseId) => `GRN #${purchaseId}`;
+
+const purchasingError = (status, code, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const findSupplier = async (tx, supplierId) => {
+  const supplier = await tx.suppliers.findUnique({ where: { id: supplierId } });
+  if (!supplier) {
+    throw purchasingError(404, 'SUPPLIER_NOT_FOUND', `Supplier ${supplierId} not found`);
+  }
+  return supplier;
+};
+
+/**
+ * Raise a purchase order. `items` are [{ productId, quantity, unitCost }];
+ * a missing unitCost falls back to the product's unit cost.
+ * @returns {Promise<Object>} The order with its items
+ */
+const createPurchaseOrder = ({ supplierId, items, notes = null, user }) =>
+  prisma.$transaction(async (tx) => {
+    await findSupplier(tx, supplierId);
+
+    const products = await tx.product.findMany({
+      where: { id: { in: items.map(item => item.productId) } },
+      select: { id: true, unit_cost: true }
+    });
+    const productMap = new Map(products.map(product => [product.id, product]));
+    const missing = items.find(item => !productMap.has(item.productId));
+    if (missing) {
+      throw purchasingError(404, 'PRODUCT_NOT_FOUND', `Product ${missing.productId} not found`);
+    }
+
+    const lines = items.map(item => {
+      const unitCost = item.unitCost ?? Number(productMap.get(item.productId).unit_cost);
+      return {
+        product_id: item.productId,
+        quantity: item.quantity,
+        unit_cost: unitCost
+      };
+    });
+    const total = roundMoney(lines.reduce((sum, line) => sum + line.quantity * line.unit_cost, 0));
+
+    return tx.purchaseOrder.create({
+      data: {
+        vendor_id: supplierId,
+        admin_id: user.id,
+        admin_name: user.name || 'Unknown',
+        notes,
+        total,
+        items: { create: lines }
+      },
+      include: { items: true }
+    });
+  });
+
+/**
+ * Receive goods against a purchase order into one store. `items` are
+ * [{ productId, quantity, batchNumber, expiryDate }], batch details optional;
+ * a product delivered in several batches is sent as one line per batch. When
+ * `items` is empty, everything still outstanding is received unbatched.
+ * Receiving more than is outstanding on a product is refused.
+ * @returns {Promise<{ purchase: Object, purchaseOrder: Object }>}
+ */
+const receiveGoods = (poId, { storeId, items = [], note = null, user }) =>
+  prisma.$transaction(async (tx) => {
+    const order = await tx.purchaseOrder.findUnique({
+      where: { id: poId },
+      include: { items: true }
+    });
+    if (!order) {
+      throw purchasingError(404, 'PURCHASE_ORDER_NOT_FOUND', 'Purchase order not found');
+    }
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      throw purchasingError(409, 'PURCHASE_ORDER_CLOSED', `Purchase order #${poId} is ${order.status.toLowerCase()}`);
+    }
+
+    const store = await tx.stores.findUnique({ where: { id: storeId } });
+    if (!store) {
+      throw purchasingError(404, 'STORE_NOT_FOUND', `Store ${storeId} not found`);
+    }
+    if (store.status !== 0) {
+      throw purchasingError(400, 'INVALID_RECEIPT', `Store ${store.name} is not active`);
+    }
+
+    const orderItems = new Map(order.items.map(item => [item.product_id, item]));
+    const requested = items.length > 0
+      ? items
+      : order.items
+          .filter(item => item.received_quantity < item.quantity)
+          .map(item => ({ productId: item.product_id, quantity: item.quantity - item.received_quantity }));
+
+    if (requested.length === 0) {
+      throw purchasingError(400, 'INVALID_RECEIPT', 'Nothing is outstanding on this purchase order');
+    }
+
+    const perProduct = new Map();
+    for (const line of requested) {
+      perProduct.set(line.productId, (perProduct.get(line.productId) || 0) + line.quantity);
+    }
+    for (const [productId, quantity] of perProduct) {
+      const item = orderItems.get(productId);
+      if (!item) {
+        throw purchasingError(400, 'INVALID_RECEIPT', `Product ${productId} is not on purchase order #${poId}`);
+      }
+      const outstanding = item.quantity - item.received_quantity;
+      if (quantity > outstanding) {
+        throw purchasingError(400, 'OVER_RECEIPT', `Only ${outstanding} of product ${productId} is outstanding`, {
+          productId,
+          outstanding,
+          requested: quantity
+        });
+      }
+    }
+
+    const totalAmount = roundMoney(requested.reduce(
+      (sum, line) => sum + line.quantity * Number(orderItems.get(line.productId).unit_cost),
+      0
+    ));
+    const staff = user.id;
+    const staffName = user.name || 'Unknown';
+
+    const purchase = await tx.purchase.create({
+      data: {
+        storeId,
+        supplierId: order.vendor_id,
+        purchaseOrderId: poId,
+        totalAmount,
+        staff,
+        staffName,
+        note
+      }
+    });
+    const reference = receiptReference(purchase.id);
+
+    for (const line of requested) {
+      const item = orderItems.get(line.productId);
+
+      // Guarded so two receipts of the same line cannot together exceed the order
+      const { count } = await tx.purchaseOrderItems.updateMany({
+        where: { id: item.id, received_quantity: { lte: item.quantity - line.quantity } },
+        data: { received_quantity: { increment: line.quantity } }
+      });
+      if (count === 0) {
+        throw purchasingError(409, 'OVER_RECEIPT', `Product ${line.productId} was received by someone else; reload the purchase order`);
+      }
+
+      await tx.purchaseItem.create({
+        data: {
+          purchaseId: purchase.id,
+          productId: line.productId,
+          quantity: line.quantity,
+          price: Number(item.unit_cost)
+        }
+      });
+
+      const { storeQuantity } = await postMovement(tx, {
+        productId: line.productId,
+        storeId,
+        quantityIn: line.quantity,
+        reference,
+        staff,
+        staffName,
+        batch: line.batchNumber ? { batchNumber: line.batchNumber, expiryDate: line.expiryDate } : null
+      });
+
+      await tx.purchaseHistory.create({
+        data: {
+          storeId,
+          productId: line.productId,
+          purchaseId: purchase.id,
+          previousQuantity: storeQuantity.quantity - line.quantity,
+          purchaseQuantity: line.quantity,
+          newBalance: storeQuantity.quantity
+        }
+      });
+    }
+
+    await postSupplierEntry(tx, {
+      supplierId: order.vendor_id,
+      refId: purchase.id,
+      reference,
+      amountIn: totalAmount,
+      staff,
+      staffName
+    });
+
+    const received = await tx.purchaseOrderItems.findMany({ where: { po_id: poId } });
+    const complete = received.every(item => item.received_quantity >= item.quantity);
+    const purchaseOrder = await tx.purchaseOrder.update({
+      where: { id: poId },
+      data: {
+        status: complete ? PO_STATUS.RECEIVED : PO_STATUS.PARTIALLY_RECEIVED,
+        ...(complete && { closed_at: new Date() })
+      },
+      include: { items: true }
+    });
+
+    const full = await tx.purchase.findUnique({
+      where: { id: purchase.id },
+      include: { items: true }
+    });
+    return { purchase: full, purchaseOrder };
+  }, {
+    maxWait: 5000,
+    timeout: 30000
+  });
+
+/**
+ * Stop expecting the rest of an order. An order with nothing received is
+ * cancelled; one received in part is closed short.
+ */
+const closePurchaseOrder = (poId, user, reason = null) =>
+  prisma.$transaction(async (tx) => {
+    const order = await tx.purchaseOrder.findUnique({ where: { id: poId } });
+    if (!order) {
+      throw purchasingError(404, 'PURCHASE_ORDER_NOT_FOUND', 'Purchase order not found');
+    }
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      throw purchasingError(409, 'PURCHASE_ORDER_CLOSED', `Purchase order #${poId} is ${order.status.toLowerCase()}`);
+    }
+
+    const status = order.status === PO_STATUS.OPEN ? PO_STATUS.CANCELLED : PO_STATUS.CLOSED;
+    const closedBy = `${status === PO_STATUS.CANCELLED ? 'Cancelled' : 'Closed'} by ${user.name || user.id}`;
+    const { count } = await tx.purchaseOrder.updateMany({
+      where: { id: poId, status: order.status },
+      data: {
+        status,
+        closed_at: new Date(),
+        notes: [order.notes, reason ? `${closedBy}: ${reason}` : closedBy].filter(Boolean).join('\n')
+      }
+    });
+    if (count === 0) {
+      throw purchasingError(409, 'PURCHASE_ORDER_CLOSED', `Purchase order #${poId} changed while closing; reload it`);
+    }
+
+    return tx.purchaseOrder.findUnique({ where: { id: poId }, include: { items: true } });
+  });
+
+/**
+ * Record a payment to a supplier, optionally against one of its purchase
+ * orders. A payment against an order cannot exceed what is unpaid on it.
+ * @returns {Promise<{ payment: Object, balance: number }>}
+ */
+const recordSupplierPayment = ({
+  supplierId,
+  poId = null,
+  amount,
+  paymentMethod,
+  reference = null,
+  paymentDate,
+  notes = null,
+  user
+}) =>
+  prisma.$transaction(async (tx) => {
+    await findSupplier(tx, supplierId);
+
+    if (poId) {
+      const order = await tx.purchaseOrder.findUnique({ where: { id: poId } });
+      if (!order || order.vendor_id !== supplierId) {
+        throw purchasingError(404, 'PURCHASE_ORDER_NOT_FOUND', `Purchase order ${poId} not found for this supplier`);
+      }
+      if (order.status === PO_STATUS.CANCELLED) {
+        throw purchasingError(409, 'PURCHASE_ORDER_CLOSED', `Purchase order #${poId} is cancelled`);
+      }
+
+      // Guarded increment so two payments cannot together overpay the order
+      const unpaid = roundMoney(Number(order.total) - Number(order.paid));
+      const { count } = await tx.purchaseOrder.updateMany({
+        where: { id: poId, paid: { lte: roundMoney(Number(order.total) - amount) } },
+        data: { paid: { increment: amount } }
+      });
+      if (count === 0) {
+        throw purchasingError(400, 'OVERPAYMENT', `Only ${unpaid} is unpaid on purchase order #${poId}`, { unpaid });
+      }
+    }
+
+    const payment = await tx.payments.create({
+      data: {
+        po_id: poId,
+        vendor_id: supplierId,
+        amount,
+        payment_method: paymentMethod,
+        reference,
+        payment_date: paymentDate,
+        notes,
+        created_by: user.id
+      }
+    });
+
+    const entry = await postSupplierEntry(tx, {
+      supplierId,
+      refId: payment.id,
+      reference: `Payment #${payment.id}${poId ? ` (${purchaseOrderReference(poId)})` : ''}`,
+      amountOut: amount,
+      staff: user.id,
+      staffName: user.name || 'Unknown'
+    });
+
+    return { payment, balance: Number(entry.balance) };
+  });
+
+module.exports = {
+  PO_STATUS,
+  PAYMENT_METHODS,
+  purchaseOrderReference,
+  receiptReference,
+  createPurchaseOrder,
+  receiveGoods,
+  closePurchaseOrder,
+  recordSupplierPayment
+};
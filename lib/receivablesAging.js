@@ -0,0 +1,224 @@
+const { ORDER_STATUS } = require('./orderStatus');
+
+// Receivables aging. An order's unpaid balance is aged from its invoice date
+// (or creation date before it was invoiced). Days overdue are the age less
+// the payment terms (the client's creditDays, else the country's termsDays),
+// and are split into buckets at the policy's boundaries: with [30, 60, 90]
+// the buckets are current, 1-30, 31-60, 61-90 and 90+. The same policy
+// decides when a client's oldest unpaid order is overdue enough to block new
+// orders.
+//
+// Policies are stored per country in aging_policies; countries without one
+// use DEFAULT_AGING_POLICY.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_AGING_POLICY = {
+  termsDays: 0,
+  buckets: [30, 60, 90],
+  blockAfterDays: 3
+};
+
+const GROUP_BY = ['client', 'route', 'region', 'rep'];
+
+// Orders that are still owed on
+const OPEN_ORDER_FILTER = {
+  balance: { gt: 0 },
+  status: { notIn: [ORDER_STATUS.cancelled, ORDER_STATUS.draft] }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check bucket boundaries: 1 to 6 whole days, strictly increasing.
+ * @returns {number[]|null} The boundaries, or null when invalid
+ */
+const parseBuckets = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const buckets = list.map(day => Number(day));
+  const valid = buckets.length >= 1
+    && buckets.length <= 6
+    && buckets.every((day, i) => Number.isInteger(day) && day > 0 && (i === 0 || day > buckets[i - 1]));
+  return valid ? buckets : null;
+};
+
+/**
+ * Policy for a country, falling back to the default
+ */
+const getAgingPolicy = async (client, countryId) => {
+  const stored = countryId
+    ? await client.agingPolicy.findUnique({ where: { countryId } })
+    : null;
+  if (!stored) return { countryId, ...DEFAULT_AGING_POLICY };
+
+  return {
+    countryId,
+    termsDays: stored.termsDays,
+    buckets: parseBuckets(stored.buckets) || DEFAULT_AGING_POLICY.buckets,
+    blockAfterDays: stored.blockAfterDays
+  };
+};
+
+/**
+ * Bucket labels for a policy, e.g. ['current', '1-30', ..., '90+']
+ */
+const bucketLabels = (buckets) => [
+  'current',
+  ...buckets.map((day, i) => `${i === 0 ? 1 : buckets[i - 1] + 1}-${day}`),
+  `${buckets[buckets.length - 1]}+`
+];
+
+const bucketFor = (daysOverdue, buckets) => {
+  const labels = bucketLabels(buckets);
+  if (daysOverdue <= 0) return labels[0];
+  const index = buckets.findIndex(day => daysOverdue <= day);
+  return index === -1 ? labels[labels.length - 1] : labels[index + 1];
+};
+
+/**
+ * Age and days overdue of an order's balance on `asOf`. `order.client` may
+ * carry the client's own creditDays.
+ */
+const ageOrder = (order, policy, asOf = new Date()) => {
+  const ageDays = Math.floor((asOf - new Date(order.invoiceDate || order.createdAt)) / DAY_MS);
+  const termsDays = order.client?.creditDays ?? policy.termsDays;
+  return { ageDays, daysOverdue: ageDays - termsDays };
+};
+
+const groupKey = (order, groupBy) => {
+  switch (groupBy) {
+    case 'route':
+      return {
+        id: order.client.route_id || null,
+        name: order.client.route_name || (order.client.route_id ? `Route ${order.client.route_id}` : 'No route')
+      };
+    case 'region':
+      return { id: order.client.region_id, name: order.client.region };
+    case 'rep':
+      return { id: order.userId, name: order.user?.name || `Rep ${order.userId}` };
+    default:
+      return { id: order.clientId, name: order.client.name };
+  }
+};
+
+/**
+ * Aging report for one country, grouped by client, route, region or rep.
+ * Filters: clientId, routeId, regionId and userId (the order's rep).
+ */
+const buildAgingReport = async (client, { countryId, groupBy = 'client', clientId, routeId, regionId, userId, asOf = new Date() }) => {
+  const policy = await getAgingPolicy(client, countryId);
+  const labels = bucketLabels(policy.buckets);
+  const emptyAmounts = () => Object.fromEntries(labels.map(label => [label, 0]));
+
+  const orders = await client.myOrder.findMany({
+    where: {
+      ...OPEN_ORDER_FILTER,
+      countryId,
+      ...(clientId && { clientId }),
+      ...(userId && { userId }),
+      ...((routeId || regionId) && {
+        client: {
+          ...(routeId && { route_id: routeId }),
+          ...(regionId && { region_id: regionId })
+        }
+      })
+    },
+    select: {
+      id: true,
+      clientId: true,
+      userId: true,
+      balance: true,
+      createdAt: true,
+      invoiceDate: true,
+      client: {
+        select: { id: true, name: true, route_id: true, route_name: true, region_id: true, region: true, creditDays: true }
+      },
+      user: { select: { id: true, name: true } }
+    }
+  });
+
+  const groups = new Map();
+  const totals = { amounts: emptyAmounts(), total: 0, orderCount: 0 };
+
+  for (const order of orders) {
+    const key = groupKey(order, groupBy);
+    if (!groups.has(key.id)) {
+      groups.set(key.id, { ...key, amounts: emptyAmounts(), total: 0, orderCount: 0, oldestDaysOverdue: null });
+    }
+    const group = groups.get(key.id);
+
+    const { daysOverdue } = ageOrder(order, policy, asOf);
+    const bucket = bucketFor(daysOverdue, policy.buckets);
+    const balance = Number(order.balance);
+
+    for (const target of [group, totals]) {
+      target.amounts[bucket] = round2(target.amounts[bucket] + balance);
+      target.total = round2(target.total + balance);
+      target.orderCount += 1;
+    }
+    group.oldestDaysOverdue = Math.max(group.oldestDaysOverdue ?? daysOverdue, daysOverdue);
+  }
+
+  return {
+    countryId,
+    groupBy,
+    asOf,
+    policy,
+    buckets: labels,
+    rows: [...groups.values()].sort((a, b) => b.total - a.total),
+    totals
+  };
+};
+
+/**
+ * Whether a client's oldest unpaid order is overdue past the country's
+ * blockAfterDays, which stops new orders for them
+ */
+const checkOldBalance = async (client, clientId) => {
+  const oldestUnpaidOrder = await client.myOrder.findFirst({
+    where: { ...OPEN_ORDER_FILTER, clientId },
+    orderBy: { createdAt: 'asc' },
+    include: { client: { select: { creditDays: true } } }
+  });
+
+  if (!oldestUnpaidOrder) {
+    return { hasOldBalance: false };
+  }
+
+  const [policy, totalBalance] = await Promise.all([
+    getAgingPolicy(client, oldestUnpaidOrder.countryId),
+    client.myOrder.aggregate({
+      where: { ...OPEN_ORDER_FILTER, clientId },
+      _sum: { balance: true }
+    })
+  ]);
+  const { ageDays, daysOverdue } = ageOrder(oldestUnpaidOrder, policy);
+
+  return {
+    hasOldBalance: daysOverdue > policy.blockAfterDays,
+    balanceAge: ageDays,
+    daysOverdue,
+    bucket: bucketFor(daysOverdue, policy.buckets),
+    blockAfterDays: policy.blockAfterDays,
+    lastUpdated: oldestUnpaidOrder.createdAt,
+    balance: totalBalance._sum.balance || 0,
+    oldestOrder: {
+      id: oldestUnpaidOrder.id,
+      createdAt: oldestUnpaidOrder.createdAt,
+      balance: oldestUnpaidOrder.balance
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_AGING_POLICY,
+  OPEN_ORDER_FILTER,
+  GROUP_BY,
+  parseBuckets,
+  getAgingPolicy,
+  bucketLabels,
+  bucketFor,
+  ageOrder,
+  buildAgingReport,
+  checkOldBalance
+};
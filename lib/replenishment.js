@@ -0,0 +1,206 @@
+const { ORDER_STATUS } = require('./orderStatus');
+
+// Reorder points and suggested purchase quantities per store.
+//
+// Demand is the quantity allocated to orders from the store over a recent
+// window (cancelled and draft orders excluded), averaged per day. For each
+// product the store holds or has levels configured for:
+//
+//   safety stock   = configured, or daily velocity x SAFETY_DAYS
+//   reorder point  = configured, or daily velocity x lead time + safety stock
+//   order up to    = reorder point + daily velocity x COVER_DAYS
+//   suggested      = order up to - on hand, when at or below the reorder point
+//
+// Per store/product settings live in stock_levels; the defaults below can be
+// overridden with REPLENISHMENT_* environment variables.
+
+const REPLENISHMENT_STATUS = {
+  OUT_OF_STOCK: 'OUT_OF_STOCK',
+  LOW: 'LOW',
+  OK: 'OK'
+};
+
+const envDays = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return value > 0 ? value : fallback;
+};
+
+const getReplenishmentDefaults = () => ({
+  windowDays: envDays('REPLENISHMENT_WINDOW_DAYS', 30),
+  leadTimeDays: envDays('REPLENISHMENT_LEAD_TIME_DAYS', 7),
+  safetyDays: envDays('REPLENISHMENT_SAFETY_DAYS', 3),
+  coverDays: envDays('REPLENISHMENT_COVER_DAYS', 14)
+});
+
+const STATUS_ORDER = [REPLENISHMENT_STATUS.OUT_OF_STOCK, REPLENISHMENT_STATUS.LOW, REPLENISHMENT_STATUS.OK];
+
+/**
+ * Work out one product's levels from its stock, recent demand and settings
+ */
+const assessProduct = ({ onHand, sold, level }, defaults) => {
+  const dailyVelocity = sold / defaults.windowDays;
+  const leadTimeDays = level?.leadTimeDays ?? defaults.leadTimeDays;
+  const safetyStock = level?.safetyStock ?? Math.ceil(dailyVelocity * defaults.safetyDays);
+  const reorderPoint = level?.reorderPoint ?? Math.ceil(dailyVelocity * leadTimeDays) + safetyStock;
+  const orderUpTo = reorderPoint + Math.ceil(dailyVelocity * defaults.coverDays);
+
+  let status = REPLENISHMENT_STATUS.OK;
+  if (onHand <= 0 && (dailyVelocity > 0 || reorderPoint > 0)) {
+    status = REPLENISHMENT_STATUS.OUT_OF_STOCK;
+  } else if (reorderPoint > 0 && onHand <= reorderPoint) {
+    status = REPLENISHMENT_STATUS.LOW;
+  }
+
+  return {
+    onHand,
+    soldInWindow: sold,
+    dailyVelocity: Math.round(dailyVelocity * 1000) / 1000,
+    daysOfCover: dailyVelocity > 0 ? Math.floor(Math.max(onHand, 0) / dailyVelocity) : null,
+    leadTimeDays,
+    safetyStock,
+    reorderPoint,
+    orderUpTo,
+    configured: Boolean(level),
+    status,
+    suggestedQuantity: status === REPLENISHMENT_STATUS.OK ? 0 : Math.max(orderUpTo - onHand, 0)
+  };
+};
+
+/**
+ * Replenishment list for one store, most urgent first.
+ * `client` may be the Prisma client or a transaction client.
+ * @returns {Promise<Object|null>} null when the store does not exist
+ */
+const buildReplenishment = async (client, storeId, { windowDays } = {}) => {
+  const defaults = { ...getReplenishmentDefaults(), ...(windowDays && { windowDays }) };
+
+  const store = await client.stores.findUnique({
+    where: { id: storeId },
+    select: { id: true, name: true, countryId: true, status: true }
+  });
+  if (!store) return null;
+
+  const since = new Date(Date.now() - defaults.windowDays * 24 * 60 * 60 * 1000);
+  const [quantities, levels, allocations] = await Promise.all([
+    client.storeQuantity.findMany({
+      where: { storeId },
+      select: { productId: true, quantity: true }
+    }),
+    client.stockLevel.findMany({ where: { storeId } }),
+    client.orderItemAllocation.findMany({
+      where: {
+        storeId,
+        createdAt: { gte: since },
+        orderItem: {
+          order: { status: { notIn: [ORDER_STATUS.cancelled, ORDER_STATUS.draft] } }
+        }
+      },
+      select: { quantity: true, orderItem: { select: { productId: true } } }
+    })
+  ]);
+
+  // Some stores hold more than one row per product
+  const onHand = new Map();
+  for (const row of quantities) {
+    onHand.set(row.productId, (onHand.get(row.productId) || 0) + row.quantity);
+  }
+  const sold = new Map();
+  for (const allocation of allocations) {
+    const productId = allocation.orderItem.productId;
+    sold.set(productId, (sold.get(productId) || 0) + allocation.quantity);
+  }
+  const levelMap = new Map(levels.map(level => [level.productId, level]));
+
+  const productIds = [...new Set([...onHand.keys(), ...sold.keys(), ...levelMap.keys()])];
+  const products = await client.product.findMany({
+    where: { id: { in: productIds } },
+    select: { id: true, name: true, unit_cost: true }
+  });
+  const productMap = new Map(products.map(product => [product.id, product]));
+
+  const lines = productIds
+    .filter(productId => productMap.has(productId))
+    .map(productId => {
+      const product = productMap.get(productId);
+      const assessed = assessProduct({
+        onHand: onHand.get(productId) || 0,
+        sold: sold.get(productId) || 0,
+        level: levelMap.get(productId)
+      }, defaults);
+      return {
+        productId,
+        productName: product.name,
+        ...assessed,
+        suggestedValue: Math.round(assessed.suggestedQuantity * Number(product.unit_cost || 0) * 100) / 100
+      };
+    })
+    .sort((a, b) =>
+      STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+      || (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity)
+      || a.productId - b.productId
+    );
+
+  const summary = { products: lines.length, outOfStock: 0, low: 0, suggestedValue: 0 };
+  for (const line of lines) {
+    if (line.status === REPLENISHMENT_STATUS.OUT_OF_STOCK) summary.outOfStock += 1;
+    if (line.status === REPLENISHMENT_STATUS.LOW) summary.low += 1;
+    summary.suggestedValue += line.suggestedValue;
+  }
+  summary.suggestedValue = Math.round(summary.suggestedValue * 100) / 100;
+
+  return { store, settings: defaults, summary, lines };
+};
+
+/**
+ * Record the low-stock lines of a replenishment list as alerts. An alert stays
+ * open (resolvedAt null) while the product is low and keeps the time it was
+ * first flagged; it is resolved once the product is back above its reorder point.
+ * @returns {Promise<{ flagged: Object[], open: number, resolved: number }>} flagged
+ * holds the lines that became low since the last check
+ */
+const recordLowStockAlerts = async (client, replenishment) => {
+  const storeId = replenishment.store.id;
+  const now = new Date();
+  const low = replenishment.lines.filter(line => line.status !== REPLENISHMENT_STATUS.OK);
+
+  const existing = await client.lowStockAlert.findMany({ where: { storeId } });
+  const existingMap = new Map(existing.map(alert => [alert.productId, alert]));
+
+  const flagged = [];
+  for (const line of low) {
+    const alert = existingMap.get(line.productId);
+    const isNew = !alert || alert.resolvedAt !== null;
+    if (isNew) flagged.push(line);
+
+    const data = {
+      status: line.status,
+      onHand: line.onHand,
+      reorderPoint: line.reorderPoint,
+      suggestedQuantity: line.suggestedQuantity,
+      dailyVelocity: line.dailyVelocity,
+      checkedAt: now,
+      ...(isNew && { flaggedAt: now, resolvedAt: null })
+    };
+    await client.lowStockAlert.upsert({
+      where: { storeId_productId: { storeId, productId: line.productId } },
+      create: { storeId, productId: line.productId, ...data },
+      update: data
+    });
+  }
+
+  const lowIds = low.map(line => line.productId);
+  const { count: resolved } = await client.lowStockAlert.updateMany({
+    where: { storeId, resolvedAt: null, productId: { notIn: lowIds } },
+    data: { resolvedAt: now, checkedAt: now }
+  });
+
+  return { flagged, open: low.length, resolved };
+};
+
+module.exports = {
+  REPLENISHMENT_STATUS,
+  getReplenishmentDefaults,
+  assessProduct,
+  buildReplenishment,
+  recordLowStockAlerts
+};
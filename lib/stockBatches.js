@@ -0,0 +1,152 @@
+const prisma = require('./prisma');
+const { postMovement, writeOffReference } = require('./inventoryService');
+
+// Batch and expiry reporting, and writing off spoiled or expired batches.
+//
+// Batches are created and drawn down by postMovement (see
+// lib/inventoryService.js); this module only reads them and removes what is
+// left of one. A write-off is a "Write-off #<batchId>" movement out of the
+// batch, posted even when the batch has expired.
+
+const EXPIRY_STATUS = {
+  EXPIRED: 'EXPIRED',
+  EXPIRING: 'EXPIRING'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const batchNotFoundError = (storeId, batchId) => {
+  const error = new Error(`Batch ${batchId} not found in store ${storeId}`);
+  error.status = 404;
+  error.code = 'BATCH_NOT_FOUND';
+  return error;
+};
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+};
+
+/**
+ * Batches with stock that have expired or expire within `days`, soonest
+ * first, with the cost value held in each.
+ * `client` may be the Prisma client or a transaction client.
+ */
+const buildExpiryReport = async (client, { days, storeId = null, countryId = null, productId = null }) => {
+  const today = startOfToday();
+  const until = new Date(today.getTime() + days * DAY_MS);
+
+  const batches = await client.stockBatch.findMany({
+    where: {
+      quantity: { gt: 0 },
+      expiryDate: { not: null, lte: until },
+      ...(storeId && { storeId }),
+      ...(productId && { productId }),
+      ...(countryId && { store: { countryId } })
+    },
+    orderBy: [{ expiryDate: 'asc' }, { id: 'asc' }],
+    include: {
+      store: { select: { id: true, name: true } },
+      product: { select: { id: true, name: true, unit_cost: true } }
+    }
+  });
+
+  const summary = { batches: 0, expired: 0, expiring: 0, quantity: 0, value: 0 };
+  const lines = batches.map(batch => {
+    const daysToExpiry = Math.round((batch.expiryDate.getTime() - today.getTime()) / DAY_MS);
+    const status = daysToExpiry < 0 ? EXPIRY_STATUS.EXPIRED : EXPIRY_STATUS.EXPIRING;
+    const value = Math.round(batch.quantity * Number(batch.product.unit_cost || 0) * 100) / 100;
+
+    summary.batches += 1;
+    if (status === EXPIRY_STATUS.EXPIRED) summary.expired += 1;
+    else summary.expiring += 1;
+    summary.quantity += batch.quantity;
+    summary.value += value;
+
+    return {
+      batchId: batch.id,
+      batchNumber: batch.batchNumber,
+      expiryDate: batch.expiryDate,
+      daysToExpiry,
+      status,
+      quantity: batch.quantity,
+      value,
+      store: batch.store,
+      product: { id: batch.product.id, name: batch.product.name }
+    };
+  });
+  summary.value = Math.round(summary.value * 100) / 100;
+
+  return { days, until, summary, lines };
+};
+
+/**
+ * A store's batches, soonest expiry first (undated batches last)
+ */
+const getStoreBatches = async (client, storeId, { productId = null, includeEmpty = false } = {}) => {
+  const batches = await client.stockBatch.findMany({
+    where: {
+      storeId,
+      ...(productId && { productId }),
+      ...(!includeEmpty && { quantity: { gt: 0 } })
+    },
+    orderBy: [{ productId: 'asc' }, { id: 'asc' }],
+    include: { product: { select: { id: true, name: true } } }
+  });
+
+  const today = startOfToday();
+  return batches
+    .map(batch => ({ ...batch, expired: batch.expiryDate !== null && batch.expiryDate < today }))
+    .sort((a, b) =>
+      (a.expiryDate ? a.expiryDate.getTime() : Infinity) - (b.expiryDate ? b.expiryDate.getTime() : Infinity)
+      || a.productId - b.productId
+      || a.id - b.id
+    );
+};
+
+/**
+ * Remove what is left of a batch (or `quantity` of it) from stock
+ * @returns {Promise<{ batch: Object, quantity: number, storeQuantity: Object }>}
+ */
+const writeOffBatch = (storeId, batchId, { quantity = null, reason = null, user }) =>
+  prisma.$transaction(async (tx) => {
+    const batch = await tx.stockBatch.findUnique({ where: { id: batchId } });
+    if (!batch || batch.storeId !== storeId) {
+      throw batchNotFoundError(storeId, batchId);
+    }
+
+    const amount = quantity ?? batch.quantity;
+    if (amount <= 0 || amount > batch.quantity) {
+      const error = new Error(`Batch ${batch.batchNumber} holds ${batch.quantity} units`);
+      error.status = 400;
+      error.code = 'INVALID_BATCH';
+      error.details = { batchId, available: batch.quantity, requested: amount };
+      throw error;
+    }
+
+    const reference = writeOffReference(batchId);
+    const { storeQuantity } = await postMovement(tx, {
+      productId: batch.productId,
+      storeId,
+      quantityOut: amount,
+      reference: reason ? `${reference} ${reason}` : reference,
+      staff: user.id,
+      staffName: user.name || 'Unknown',
+      batch: { batchId },
+      allowExpired: true
+    });
+
+    return {
+      batch: await tx.stockBatch.findUnique({ where: { id: batchId } }),
+      quantity: amount,
+      storeQuantity
+    };
+  });
+
+module.exports = {
+  EXPIRY_STATUS,
+  buildExpiryReport,
+  getStoreBatches,
+  writeOffBatch
+};
@@ -0,0 +1,173 @@
+// Stock card for a product: its ProductDetails movements in each store over a
+// period, between an opening and a closing balance, checked against the
+// store's StoreQuantity.
+//
+// Movements are read in posting (id) order. The opening balance is the
+// balance after the last movement before the period; when the ledger starts
+// inside the period it is worked back from the first movement. A movement
+// whose recorded balance does not follow from the one before it is reported
+// as a break, which means stock was changed without going through
+// postMovement.
+
+// Source documents, recognised from the references written by
+// orderReference, transferReference, receiptReference, stockTakeReference,
+// returnReference, writeOffReference and vanReconciliationReference. Anything
+// after the number (e.g. "cancelled", or a write-off reason) is kept as the
+// note.
+const SOURCES = [
+  { type: 'ORDER', pattern: /^Order #(\d+)\s*(.*)$/ },
+  { type: 'TRANSFER', pattern: /^Transfer #(\d+)\s*(.*)$/ },
+  { type: 'PURCHASE', pattern: /^GRN #(\d+)\s*(.*)$/ },
+  { type: 'STOCK_TAKE', pattern: /^Stock take #(\d+)\s*(.*)$/ },
+  { type: 'RETURN', pattern: /^Return #(\d+)\s*(.*)$/ },
+  { type: 'WRITE_OFF', pattern: /^Write-off #(\d+)\s*(.*)$/ },
+  { type: 'VAN_RECONCILIATION', pattern: /^Van reconciliation #(\d+)\s*(.*)$/ }
+];
+
+/**
+ * Identify the document a movement came from
+ * @returns {{ type: string, id: number|null, note: string|null }}
+ */
+const describeReference = (reference) => {
+  for (const source of SOURCES) {
+    const match = String(reference || '').match(source.pattern);
+    if (match) {
+      return { type: source.type, id: parseInt(match[1]), note: match[2] || null };
+    }
+  }
+  return { type: 'OTHER', id: null, note: reference || null };
+};
+
+const balanceBefore = (movement) => movement.newBalance - movement.quantityIn + movement.quantityOut;
+
+/**
+ * Stock card for one product in one store
+ */
+const buildStoreCard = async (client, { productId, store, from, to }) => {
+  const storeId = store.id;
+  const [before, firstInPeriod, movements, latest, quantities] = await Promise.all([
+    client.productDetails.findFirst({
+      where: { productId, storeId, createdAt: { lt: from } },
+      orderBy: { id: 'desc' }
+    }),
+    client.productDetails.findFirst({
+      where: { productId, storeId, createdAt: { gte: from } },
+      orderBy: { id: 'asc' }
+    }),
+    client.productDetails.findMany({
+      where: { productId, storeId, createdAt: { gte: from, lte: to } },
+      orderBy: { id: 'asc' },
+      include: { batch: { select: { batchNumber: true, expiryDate: true } } }
+    }),
+    client.productDetails.findFirst({
+      where: { productId, storeId },
+      orderBy: { id: 'desc' }
+    }),
+    client.storeQuantity.findMany({
+      where: { productId, storeId },
+      select: { quantity: true }
+    })
+  ]);
+
+  const storeQuantity = quantities.reduce((sum, row) => sum + row.quantity, 0);
+
+  // A store with no ledger at all opens and closes at its current quantity
+  let opening = storeQuantity;
+  if (before) opening = before.newBalance;
+  else if (firstInPeriod) opening = balanceBefore(firstInPeriod);
+
+  let running = opening;
+  const totals = { quantityIn: 0, quantityOut: 0 };
+  const breaks = [];
+  const lines = movements.map(movement => {
+    const expected = running + movement.quantityIn - movement.quantityOut;
+    if (expected !== movement.newBalance) {
+      breaks.push({ movementId: movement.id, expected, recorded: movement.newBalance });
+    }
+    running = movement.newBalance;
+    totals.quantityIn += movement.quantityIn;
+    totals.quantityOut += movement.quantityOut;
+
+    return {
+      id: movement.id,
+      date: movement.createdAt,
+      reference: movement.reference,
+      source: describeReference(movement.reference),
+      batch: movement.batch,
+      quantityIn: movement.quantityIn,
+      quantityOut: movement.quantityOut,
+      balance: movement.newBalance,
+      staff: movement.staff,
+      staffName: movement.staff_name
+    };
+  });
+
+  // The latest movement's balance should be what the store holds now
+  const ledgerBalance = latest ? latest.newBalance : null;
+  const difference = storeQuantity - (ledgerBalance ?? 0);
+
+  return {
+    store,
+    openingBalance: opening,
+    movements: lines,
+    totals,
+    closingBalance: running,
+    reconciliation: {
+      storeQuantity,
+      ledgerBalance,
+      difference,
+      breaks,
+      reconciled: difference === 0 && breaks.length === 0
+    }
+  };
+};
+
+/**
+ * Stock card for a product over [from, to], for one store or for every store
+ * that holds the product or has movements for it.
+ * `client` may be the Prisma client or a transaction client.
+ * @returns {Promise<Object|null>} null when the product or store does not exist
+ */
+const buildStockCard = async (client, { productId, storeId = null, from, to }) => {
+  const product = await client.product.findUnique({
+    where: { id: productId },
+    select: { id: true, name: true }
+  });
+  if (!product) return null;
+
+  let storeIds;
+  if (storeId) {
+    storeIds = [storeId];
+  } else {
+    const [held, moved] = await Promise.all([
+      client.storeQuantity.findMany({ where: { productId }, select: { storeId: true } }),
+      client.productDetails.findMany({ where: { productId }, distinct: ['storeId'], select: { storeId: true } })
+    ]);
+    storeIds = [...new Set([...held, ...moved].map(row => row.storeId))];
+  }
+
+  const stores = await client.stores.findMany({
+    where: { id: { in: storeIds } },
+    select: { id: true, name: true },
+    orderBy: { id: 'asc' }
+  });
+  if (storeId && stores.length === 0) return null;
+
+  const cards = [];
+  for (const store of stores) {
+    cards.push(await buildStoreCard(client, { productId, store, from, to }));
+  }
+
+  return {
+    product,
+    from,
+    to,
+    reconciled: cards.every(card => card.reconciliation.reconciled),
+    stores: cards
+  };
+};
+
+module.exports = {
+  describeReference,
+  buildStockCard
+};
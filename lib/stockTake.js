@@ -0,0 +1,446 @@
+const XLSX = require('xlsx');
+const prisma = require('./prisma');
+const { postMovement } = require('./inventoryService');
+const { ORDER_STATUS } = require('./orderStatus');
+
+// Stock take (physical count) sessions for a store. Opening a session
+// snapshots every StoreQuantity of the store into stock_take lines as the
+// expected quantity; counts are entered against those lines and the
+// difference is kept per line. Approval posts each difference to the store as
+// a "Stock take #<id>" movement, so stock that moved after the snapshot is
+// left alone.
+//
+// Orders take their stock out of StoreQuantity when they are placed, but the
+// goods stay on the shelf until dispatch. The expected quantity is therefore
+// StoreQuantity plus what undispatched orders hold in the store
+// (reserved_quantity), which is what a physical count should find.
+//
+// While a session is open the store is either frozen (BLOCK: postMovement
+// refuses movements in or out) or left trading (FLAG: lines for products that
+// moved since the snapshot are flagged in the review).
+
+const STOCK_TAKE_STATUS = {
+  OPEN: 'OPEN',
+  APPROVED: 'APPROVED',
+  CANCELLED: 'CANCELLED'
+};
+
+const STOCK_TAKE_MODE = {
+  BLOCK: 'BLOCK',
+  FLAG: 'FLAG'
+};
+
+const stockTakeReference = (sessionId) => `Stock take #${sessionId}`;
+
+const stockTakeError = (status, code, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+const findOpenSession = async (tx, sessionId) => {
+  const session = await tx.stockTakeSession.findUnique({ where: { id: sessionId } });
+  if (!session) {
+    throw stockTakeError(404, 'STOCK_TAKE_NOT_FOUND', 'Stock take not found');
+  }
+  if (session.status !== STOCK_TAKE_STATUS.OPEN) {
+    throw stockTakeError(409, 'STOCK_TAKE_CLOSED', `Stock take #${sessionId} is ${session.status.toLowerCase()}`);
+  }
+  return session;
+};
+
+// Orders that hold stock in a store but have not left it yet. Drafts hold
+// none, except those saved before drafts stopped reserving stock.
+const UNDISPATCHED_STATUSES = [ORDER_STATUS.draft, ORDER_STATUS.submitted, ORDER_STATUS.approved];
+
+/**
+ * Units reserved in a store for undispatched orders, by product id
+ * @returns {Promise<Map<number, number>>}
+ */
+const reservedQuantities = async (client, storeId) => {
+  const allocations = await client.orderItemAllocation.findMany({
+    where: {
+      storeId,
+      orderItem: { order: { status: { in: UNDISPATCHED_STATUSES } } }
+    },
+    select: { quantity: true, orderItem: { select: { productId: true } } }
+  });
+
+  const reserved = new Map();
+  for (const allocation of allocations) {
+    const productId = allocation.orderItem.productId;
+    reserved.set(productId, (reserved.get(productId) || 0) + allocation.quantity);
+  }
+  return reserved;
+};
+
+/**
+ * Open a session for a store and snapshot its expected quantities
+ * @returns {Promise<Object>} The session with its line count
+ */
+const openStockTake = ({ storeId, mode = STOCK_TAKE_MODE.BLOCK, note = null, user }) =>
+  prisma.$transaction(async (tx) => {
+    const store = await tx.stores.findUnique({ where: { id: storeId } });
+    if (!store) {
+      throw stockTakeError(404, 'STORE_NOT_FOUND', `Store ${storeId} not found`);
+    }
+    if (store.status !== 0) {
+      throw stockTakeError(400, 'INVALID_STOCK_TAKE', `Store ${store.name} is not active`);
+    }
+
+    const existing = await tx.stockTakeSession.findFirst({
+      where: { storeId, status: STOCK_TAKE_STATUS.OPEN },
+      select: { id: true }
+    });
+    if (existing) {
+      throw stockTakeError(409, 'STOCK_TAKE_ALREADY_OPEN', `Store ${store.name} already has an open stock take (#${existing.id})`);
+    }
+
+    // Movements after this one happened after the snapshot
+    const lastMovement = await tx.productDetails.findFirst({
+      orderBy: { id: 'desc' },
+      select: { id: true }
+    });
+
+    const session = await tx.stockTakeSession.create({
+      data: {
+        storeId,
+        mode,
+        note,
+        snapshotMovementId: lastMovement ? lastMovement.id : 0,
+        openedBy: user.id,
+        openedByName: user.name || 'Unknown'
+      }
+    });
+
+    // Some stores hold more than one row per product; count them as one
+    const levels = new Map();
+    const quantities = await tx.storeQuantity.findMany({ where: { storeId } });
+    for (const row of quantities) {
+      levels.set(row.productId, (levels.get(row.productId) || 0) + row.quantity);
+    }
+
+    // Reserved goods are still on the shelf and will be counted
+    const reserved = await reservedQuantities(tx, storeId);
+    for (const productId of reserved.keys()) {
+      if (!levels.has(productId)) levels.set(productId, 0);
+    }
+
+    const now = new Date().toISOString();
+    await tx.stock_take.createMany({
+      data: [...levels].map(([productId, quantity]) => ({
+        sessionId: session.id,
+        store_id: storeId,
+        product_id: productId,
+        expected_quantity: quantity + (reserved.get(productId) || 0),
+        reserved_quantity: reserved.get(productId) || 0,
+        stock_take_date: now
+      }))
+    });
+
+    return { ...session, lineCount: levels.size };
+  }, {
+    maxWait: 5000,
+    timeout: 30000
+  });
+
+/**
+ * Record counts ([{ productId, countedQuantity }]) on an open session.
+ * Products not in the snapshot are added with an expected quantity of 0.
+ * Counting a product again replaces the earlier count.
+ */
+const recordCounts = (sessionId, counts, user) =>
+  prisma.$transaction(async (tx) => {
+    const session = await findOpenSession(tx, sessionId);
+
+    const lines = await tx.stock_take.findMany({ where: { sessionId } });
+    const linesByProduct = new Map(lines.map(line => [line.product_id, line]));
+
+    const newProductIds = counts.map(count => count.productId).filter(id => !linesByProduct.has(id));
+    if (newProductIds.length > 0) {
+      const products = await tx.product.findMany({
+        where: { id: { in: newProductIds } },
+        select: { id: true }
+      });
+      const known = new Set(products.map(product => product.id));
+      const unknown = newProductIds.filter(id => !known.has(id));
+      if (unknown.length > 0) {
+        throw stockTakeError(400, 'PRODUCT_NOT_FOUND', `Unknown products: ${unknown.join(', ')}`, { productIds: unknown });
+      }
+    }
+
+    const now = new Date().toISOString();
+    let updated = 0;
+    let added = 0;
+
+    for (const { productId, countedQuantity } of counts) {
+      const line = linesByProduct.get(productId);
+      if (line) {
+        await tx.stock_take.update({
+          where: { id: line.id },
+          data: {
+            counted_quantity: countedQuantity,
+            difference: countedQuantity - line.expected_quantity,
+            countedBy: user.id,
+            stock_take_date: now
+          }
+        });
+        updated += 1;
+      } else {
+        const created = await tx.stock_take.create({
+          data: {
+            sessionId,
+            store_id: session.storeId,
+            product_id: productId,
+            expected_quantity: 0,
+            counted_quantity: countedQuantity,
+            difference: countedQuantity,
+            countedBy: user.id,
+            stock_take_date: now
+          }
+        });
+        linesByProduct.set(productId, created);
+        added += 1;
+      }
+    }
+
+    return { updated, added };
+  }, {
+    maxWait: 5000,
+    timeout: 30000
+  });
+
+/**
+ * Session with every line, its variance and, while the session is open, how
+ * much the product has moved in the store and how much more or less is
+ * reserved for orders since the snapshot. `client` is the Prisma client.
+ * @returns {Promise<Object|null>} null when the session does not exist
+ */
+const getStockTakeReview = async (client, sessionId) => {
+  const session = await client.stockTakeSession.findUnique({
+    where: { id: sessionId },
+    include: {
+      store: { select: { id: true, name: true } },
+      lines: { orderBy: { product_id: 'asc' } }
+    }
+  });
+  if (!session) return null;
+
+  const isOpen = session.status === STOCK_TAKE_STATUS.OPEN;
+  const [products, movements, reservedNow] = await Promise.all([
+    client.product.findMany({
+      where: { id: { in: session.lines.map(line => line.product_id) } },
+      select: { id: true, name: true, unit_cost: true }
+    }),
+    // Only an open session can still be affected by later movements
+    isOpen
+      ? client.productDetails.findMany({
+          where: {
+            storeId: session.storeId,
+            id: { gt: session.snapshotMovementId }
+          },
+          select: { productId: true, quantityIn: true, quantityOut: true }
+        })
+      : [],
+    // Dispatching an order takes goods off the shelf without a movement
+    isOpen ? reservedQuantities(client, session.storeId) : new Map()
+  ]);
+  const productMap = new Map(products.map(product => [product.id, product]));
+  const moved = new Map();
+  for (const movement of movements) {
+    moved.set(movement.productId, (moved.get(movement.productId) || 0) + movement.quantityIn - movement.quantityOut);
+  }
+
+  const summary = { lines: 0, counted: 0, uncounted: 0, withVariance: 0, flagged: 0, netVariance: 0, varianceValue: 0 };
+  const lines = session.lines.map(line => {
+    const product = productMap.get(line.product_id);
+    const unitCost = Number(product?.unit_cost || 0);
+    const counted = line.counted_quantity !== null;
+    const movedSinceSnapshot = moved.get(line.product_id) || 0;
+    const reservedSinceSnapshot = isOpen
+      ? (reservedNow.get(line.product_id) || 0) - line.reserved_quantity
+      : 0;
+    const flagged = movedSinceSnapshot !== 0 || reservedSinceSnapshot !== 0;
+
+    summary.lines += 1;
+    summary[counted ? 'counted' : 'uncounted'] += 1;
+    if (counted && line.difference !== 0) {
+      summary.withVariance += 1;
+      summary.netVariance += line.difference;
+      summary.varianceValue += line.difference * unitCost;
+    }
+    if (flagged) summary.flagged += 1;
+
+    return {
+      id: line.id,
+      productId: line.product_id,
+      productName: product?.name || null,
+      expectedQuantity: line.expected_quantity,
+      reservedQuantity: line.reserved_quantity,
+      countedQuantity: line.counted_quantity,
+      difference: line.difference,
+      varianceValue: counted ? Math.round(line.difference * unitCost * 100) / 100 : null,
+      movedSinceSnapshot,
+      reservedSinceSnapshot,
+      flagged,
+      countedBy: line.countedBy,
+      countedAt: line.counted_quantity === null ? null : line.stock_take_date
+    };
+  });
+  summary.varianceValue = Math.round(summary.varianceValue * 100) / 100;
+
+  return { ...session, summary, lines };
+};
+
+/**
+ * Approve an open session and post every variance to the store. Uncounted
+ * lines are refused unless `skipUncounted` is set, in which case they are
+ * left unchanged.
+ * @returns {Promise<{ session: Object, adjustments: Object[] }>}
+ */
+const approveStockTake = (sessionId, user, { note = null, skipUncounted = false } = {}) =>
+  prisma.$transaction(async (tx) => {
+    const session = await findOpenSession(tx, sessionId);
+    const lines = await tx.stock_take.findMany({ where: { sessionId } });
+
+    const uncounted = lines.filter(line => line.counted_quantity === null);
+    if (uncounted.length > 0 && !skipUncounted) {
+      throw stockTakeError(
+        409,
+        'STOCK_TAKE_INCOMPLETE',
+        `${uncounted.length} products have not been counted. Count them or approve with skipUncounted.`,
+        { productIds: uncounted.map(line => line.product_id) }
+      );
+    }
+
+    // Close first: the store must no longer be frozen for the adjustments
+    const { count } = await tx.stockTakeSession.updateMany({
+      where: { id: sessionId, status: STOCK_TAKE_STATUS.OPEN },
+      data: {
+        status: STOCK_TAKE_STATUS.APPROVED,
+        closedBy: user.id,
+        closedByName: user.name || 'Unknown',
+        closedAt: new Date(),
+        closeNote: note
+      }
+    });
+    if (count === 0) {
+      throw stockTakeError(409, 'STOCK_TAKE_CLOSED', `Stock take #${sessionId} was closed by someone else`);
+    }
+
+    const adjustments = [];
+    for (const line of lines) {
+      if (line.counted_quantity === null || line.difference === 0) continue;
+
+      const { storeQuantity } = await postMovement(tx, {
+        productId: line.product_id,
+        storeId: session.storeId,
+        quantityIn: line.difference > 0 ? line.difference : 0,
+        quantityOut: line.difference < 0 ? -line.difference : 0,
+        reference: stockTakeReference(sessionId),
+        staff: user.id,
+        staffName: user.name || 'Unknown',
+        // Counted shortages come out of whatever is on the shelf, expired or not
+        allowExpired: true
+      });
+      adjustments.push({
+        productId: line.product_id,
+        difference: line.difference,
+        newBalance: storeQuantity.quantity
+      });
+    }
+
+    const closed = await tx.stockTakeSession.findUnique({ where: { id: sessionId } });
+    return { session: closed, adjustments };
+  }, {
+    maxWait: 5000,
+    timeout: 60000
+  });
+
+/**
+ * Cancel an open session without touching stock
+ */
+const cancelStockTake = (sessionId, user, note = null) =>
+  prisma.$transaction(async (tx) => {
+    await findOpenSession(tx, sessionId);
+    return tx.stockTakeSession.update({
+      where: { id: sessionId },
+      data: {
+        status: STOCK_TAKE_STATUS.CANCELLED,
+        closedBy: user.id,
+        closedByName: user.name || 'Unknown',
+        closedAt: new Date(),
+        closeNote: note
+      }
+    });
+  });
+
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Read counts from an uploaded sheet. The first sheet needs a "Product ID"
+ * column and a "Counted" column; rows with no count are skipped.
+ * @returns {{ counts: Object[], errors: Object[] }} errors are per sheet row
+ */
+const parseCountSheet = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: null }) : [];
+
+  const counts = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const values = {};
+    for (const [header, value] of Object.entries(row)) {
+      values[normaliseHeader(header)] = value;
+    }
+    const rowNumber = index + 2; // after the header row
+    const counted = values.counted ?? values.countedquantity;
+    if (counted === null || counted === undefined || counted === '') return;
+
+    const productId = parseInt(values.productid);
+    const countedQuantity = Number(counted);
+    if (isNaN(productId)) {
+      errors.push({ row: rowNumber, message: 'Missing or invalid Product ID' });
+    } else if (!Number.isInteger(countedQuantity) || countedQuantity < 0) {
+      errors.push({ row: rowNumber, message: `Count for product ${productId} must be a whole number, 0 or more` });
+    } else {
+      counts.push({ productId, countedQuantity });
+    }
+  });
+
+  return { counts, errors };
+};
+
+/**
+ * Blank count sheet for a session: one row per product, without the expected
+ * quantities so the count is blind
+ * @returns {Buffer}
+ */
+const countSheetWorkbook = (review) => {
+  const rows = [
+    ['Product ID', 'Product', 'Counted'],
+    ...review.lines.map(line => [line.productId, line.productName || '', line.countedQuantity ?? ''])
+  ];
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  sheet['!cols'] = [{ wch: 12 }, { wch: 40 }, { wch: 12 }];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, `Stock take ${review.id}`);
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  STOCK_TAKE_STATUS,
+  STOCK_TAKE_MODE,
+  stockTakeReference,
+  openStockTake,
+  recordCounts,
+  getStockTakeReview,
+  approveStockTake,
+  cancelStockTake,
+  parseCountSheet,
+  countSheetWorkbook
+};
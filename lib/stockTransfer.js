@@ -0,0 +1,118 @@
+const prisma = require('./prisma');
+const { postMovement } = require('./inventoryService');
+
+// Moves stock between stores. Each line is one TransferHistory row and
+// "Transfer #<id>" ProductDetails movements out of the source store and into
+// the destination, all in one transaction so a line the source cannot cover
+// leaves nothing half moved. Stock leaves the source first-expiry-first-out
+// and arrives in batches with the same numbers and expiry dates.
+
+const transferReference = (transferId) => `Transfer #${transferId}`;
+
+const transferError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Move `items` ([{ productId, quantity }]) from one store to another.
+ * Throws 400/404 for unusable stores or products and 409 INSUFFICIENT_STOCK
+ * when the source store cannot cover a line.
+ * @returns {Promise<Object[]>} The TransferHistory rows with both stores' new balances
+ */
+const transferStock = ({ fromStoreId, toStoreId, items, note = null, user }) =>
+  prisma.$transaction(async (tx) => {
+    if (fromStoreId === toStoreId) {
+      throw transferError(400, 'INVALID_TRANSFER', 'Source and destination stores must be different');
+    }
+
+    const stores = await tx.stores.findMany({
+      where: { id: { in: [fromStoreId, toStoreId] } }
+    });
+    const fromStore = stores.find(store => store.id === fromStoreId);
+    const toStore = stores.find(store => store.id === toStoreId);
+
+    if (!fromStore || !toStore) {
+      throw transferError(404, 'STORE_NOT_FOUND', `Store ${!fromStore ? fromStoreId : toStoreId} not found`);
+    }
+    if (fromStore.status !== 0 || toStore.status !== 0) {
+      throw transferError(400, 'INVALID_TRANSFER', 'Stock can only be moved between active stores');
+    }
+    if (fromStore.countryId !== toStore.countryId) {
+      throw transferError(400, 'INVALID_TRANSFER', 'Stock can only be moved between stores in the same country');
+    }
+
+    const products = await tx.product.findMany({
+      where: { id: { in: items.map(item => item.productId) } },
+      select: { id: true, name: true }
+    });
+    const productNames = new Map(products.map(product => [product.id, product.name]));
+    const missing = items.find(item => !productNames.has(item.productId));
+    if (missing) {
+      throw transferError(404, 'PRODUCT_NOT_FOUND', `Product ${missing.productId} not found`);
+    }
+
+    const staff = user.id;
+    const staffName = user.name || 'Unknown';
+    const transfers = [];
+
+    for (const item of items) {
+      const transfer = await tx.transferHistory.create({
+        data: {
+          productId: item.productId,
+          fromStoreId,
+          toStoreId,
+          quantity: item.quantity,
+          staff,
+          staffName,
+          note
+        }
+      });
+
+      const movement = {
+        productId: item.productId,
+        productName: productNames.get(item.productId),
+        reference: transferReference(transfer.id),
+        staff,
+        staffName
+      };
+      const out = await postMovement(tx, { ...movement, storeId: fromStoreId, quantityOut: item.quantity });
+
+      // Batches keep their number and expiry in the destination store
+      let into;
+      for (const portion of out.batches) {
+        into = await postMovement(tx, {
+          ...movement,
+          storeId: toStoreId,
+          quantityIn: portion.quantity,
+          batch: portion.batch
+            ? { batchNumber: portion.batch.batchNumber, expiryDate: portion.batch.expiryDate }
+            : null
+        });
+      }
+
+      transfers.push({
+        ...transfer,
+        productName: movement.productName,
+        fromStoreBalance: out.storeQuantity.quantity,
+        toStoreBalance: into.storeQuantity.quantity,
+        batches: out.batches.map(portion => ({
+          batchNumber: portion.batch ? portion.batch.batchNumber : null,
+          expiryDate: portion.batch ? portion.batch.expiryDate : null,
+          quantity: portion.quantity
+        }))
+      });
+    }
+
+    return transfers;
+  }, {
+    maxWait: 5000,
+    timeout: 15000
+  });
+
+module.exports = {
+  transferReference,
+  transferStock
+};
@@ -0,0 +1,47 @@
+// Supplier account ledger. Suppliers.accountBalance holds what we owe the
+// supplier: goods received are posted as amountIn and payments to the
+// supplier as amountOut. Every change is mirrored by a SupplierHistory row
+// with the running balance.
+
+/**
+ * Post goods received (amountIn) or a payment made (amountOut) to a
+ * supplier's account. Must be called with a transaction client.
+ */
+const postSupplierEntry = async (tx, {
+  supplierId,
+  refId = 0,
+  reference,
+  amountIn = 0,
+  amountOut = 0,
+  staff = 0,
+  staffName = 'System'
+}) => {
+  const change = Number(amountIn) - Number(amountOut);
+
+  // Increment in the database so concurrent postings cannot overwrite each other
+  const supplier = await tx.suppliers.update({
+    where: { id: supplierId },
+    data: { accountBalance: { increment: change } },
+    select: { accountBalance: true }
+  });
+
+  const now = new Date().toISOString();
+  return tx.supplierHistory.create({
+    data: {
+      supplier_id: supplierId,
+      ref_id: refId,
+      reference,
+      date: now,
+      amount_in: Number(amountIn),
+      amount_out: Number(amountOut),
+      balance: Number(supplier.accountBalance),
+      staff,
+      staff_name: staffName,
+      updated_date: now
+    }
+  });
+};
+
+module.exports = {
+  postSupplierEntry
+};
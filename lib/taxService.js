@@ -0,0 +1,82 @@
+// Tax rules and invoice numbering per country.
+//
+// A country's rules are matched most specific first: a rule for the product,
+// then one for its category, then the country default (no product or
+// category). Each rule says whether list prices already include the tax.
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Load the active tax rules for a country
+ */
+const findTaxRules = (client, countryId) =>
+  client.taxRule.findMany({
+    where: { countryId: countryId ?? -1, active: true }
+  });
+
+/**
+ * Most specific rule for a product, or null when the country has none
+ */
+const resolveTaxRule = (rules, { productId, categoryId }) =>
+  rules.find(rule => rule.productId === productId)
+  || rules.find(rule => !rule.productId && rule.categoryId === categoryId)
+  || rules.find(rule => !rule.productId && !rule.categoryId)
+  || null;
+
+/**
+ * Split a priced line amount into net, tax and gross. `amount` is the line
+ * total after discounts, in list-price terms.
+ */
+const taxLine = (rules, { productId, categoryId, amount }) => {
+  const rule = resolveTaxRule(rules, { productId, categoryId });
+  if (!rule) {
+    return { taxRate: 0, taxInclusive: false, netAmount: round2(amount), taxAmount: 0, lineTotal: round2(amount) };
+  }
+
+  const rate = Number(rule.rate);
+  if (rule.inclusive) {
+    const netAmount = round2(amount / (1 + rate / 100));
+    return { taxRate: rate, taxInclusive: true, netAmount, taxAmount: round2(amount - netAmount), lineTotal: round2(amount) };
+  }
+
+  const taxAmount = round2(amount * rate / 100);
+  return { taxRate: rate, taxInclusive: false, netAmount: round2(amount), taxAmount, lineTotal: round2(amount + taxAmount) };
+};
+
+const formatInvoiceNumber = (prefix, number) => `${prefix}${String(number).padStart(6, '0')}`;
+
+/**
+ * Take the next invoice number for a country. Must run inside the
+ * transaction that stores it: the row lock serialises concurrent callers and
+ * a rollback returns the number, so the sequence has no gaps.
+ */
+const nextInvoiceNumber = async (tx, countryId) => {
+  const { count } = await tx.invoiceSequence.updateMany({
+    where: { countryId },
+    data: { nextNumber: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    const prefix = `INV${countryId}-`;
+    try {
+      await tx.invoiceSequence.create({
+        data: { countryId, prefix, nextNumber: 2 }
+      });
+      return formatInvoiceNumber(prefix, 1);
+    } catch (error) {
+      // Another order created the sequence first; take the next number from it
+      if (error.code !== 'P2002') throw error;
+      return nextInvoiceNumber(tx, countryId);
+    }
+  }
+
+  const sequence = await tx.invoiceSequence.findUnique({ where: { countryId } });
+  return formatInvoiceNumber(sequence.prefix, sequence.nextNumber - 1);
+};
+
+module.exports = {
+  findTaxRules,
+  resolveTaxRule,
+  taxLine,
+  nextInvoiceNumber
+};
@@ -0,0 +1,382 @@
+const prisma = require('./prisma');
+const { postMovement } = require('./inventoryService');
+const { transferStock } = require('./stockTransfer');
+const { describeReference } = require('./stockCard');
+
+// Van stock for reps who sell from their vehicle.
+//
+// A rep's van is a Stores row with salesRepId set, created the first time it
+// is loaded. Everything that works on a store works on the van: it is loaded
+// and unloaded with stock transfers, direct-sale orders take from it through
+// the allocator (lib/fulfilmentAllocator.js), and its movements show on the
+// stock card. Vans are left out of normal order allocation and store lists.
+//
+// At the end of the day the rep counts what is left. The day's movements are
+// summed per product as loaded (transfers in), sold (orders, net of
+// cancellations), returned (transfers out) and adjusted (anything else), and
+// the count is compared with what the ledger expects. A manager approves the
+// reconciliation, which posts any variance as a "Van reconciliation #<id>"
+// movement.
+
+const VAN_RECONCILIATION_STATUS = {
+  SUBMITTED: 'SUBMITTED',
+  APPROVED: 'APPROVED'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const vanReconciliationReference = (reconciliationId) => `Van reconciliation #${reconciliationId}`;
+
+const vanError = (status, code, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * The rep's van store, or null when the rep has never been loaded
+ */
+const findVanStore = (client, salesRepId) =>
+  client.stores.findUnique({ where: { salesRepId } });
+
+const findSalesRep = async (client, salesRepId) => {
+  const rep = await client.salesRep.findUnique({
+    where: { id: salesRepId },
+    select: { id: true, name: true, countryId: true, region_id: true }
+  });
+  if (!rep) {
+    throw vanError(404, 'SALES_REP_NOT_FOUND', `Sales rep ${salesRepId} not found`);
+  }
+  return rep;
+};
+
+const requireVanStore = async (client, salesRepId) => {
+  const store = await findVanStore(client, salesRepId);
+  if (!store) {
+    throw vanError(404, 'VAN_NOT_FOUND', `Sales rep ${salesRepId} has no van stock`);
+  }
+  return store;
+};
+
+/**
+ * Load stock from a store into a rep's van, creating the van on first use.
+ * `items` are [{ productId, quantity }].
+ * @returns {Promise<{ van: Object, transfers: Object[] }>}
+ */
+const loadVan = async ({ salesRepId, fromStoreId, items, note = null, user }) => {
+  const rep = await findSalesRep(prisma, salesRepId);
+  const van = await prisma.stores.upsert({
+    where: { salesRepId },
+    create: {
+      name: `Van - ${rep.name}`,
+      countryId: rep.countryId,
+      region_id: rep.region_id,
+      salesRepId
+    },
+    update: {}
+  });
+
+  const transfers = await transferStock({ fromStoreId, toStoreId: van.id, items, note, user });
+  return { van, transfers };
+};
+
+/**
+ * Return stock from a rep's van to a store
+ * @returns {Promise<{ van: Object, transfers: Object[] }>}
+ */
+const unloadVan = async ({ salesRepId, toStoreId, items, note = null, user }) => {
+  const van = await requireVanStore(prisma, salesRepId);
+  const transfers = await transferStock({ fromStoreId: van.id, toStoreId, items, note, user });
+  return { van, transfers };
+};
+
+/**
+ * What a rep's van holds now, by product, with the batches in it
+ * @returns {Promise<Object|null>} null when the rep has no van
+ */
+const getVanStock = async (client, salesRepId) => {
+  const van = await findVanStore(client, salesRepId);
+  if (!van) return null;
+
+  const [quantities, batches] = await Promise.all([
+    client.storeQuantity.findMany({
+      where: { storeId: van.id, quantity: { not: 0 } },
+      include: { product: { select: { id: true, name: true, image: true } } }
+    }),
+    client.stockBatch.findMany({
+      where: { storeId: van.id, quantity: { gt: 0 } },
+      select: { productId: true, batchNumber: true, expiryDate: true, quantity: true },
+      orderBy: { id: 'asc' }
+    })
+  ]);
+
+  const items = quantities
+    .map(row => ({
+      productId: row.productId,
+      productName: row.product.name,
+      image: row.product.image,
+      quantity: row.quantity,
+      batches: batches
+        .filter(batch => batch.productId === row.productId)
+        .map(({ productId, ...batch }) => batch)
+    }))
+    .sort((a, b) => a.productName.localeCompare(b.productName));
+
+  return {
+    van: { id: van.id, name: van.name, status: van.status },
+    items,
+    totalUnits: items.reduce((sum, item) => sum + item.quantity, 0)
+  };
+};
+
+/**
+ * A van's movements on one day (`date` is midnight UTC), per product:
+ * opening, loaded, sold, returned, adjusted and the expected closing quantity
+ */
+const buildVanDay = async (client, van, date) => {
+  const start = date;
+  const end = new Date(date.getTime() + DAY_MS);
+
+  const [movements, held] = await Promise.all([
+    client.productDetails.findMany({
+      where: { storeId: van.id, createdAt: { gte: start, lt: end } },
+      orderBy: { id: 'asc' },
+      select: { productId: true, reference: true, quantityIn: true, quantityOut: true }
+    }),
+    client.storeQuantity.findMany({
+      where: { storeId: van.id },
+      select: { productId: true }
+    })
+  ]);
+
+  const productIds = [...new Set([...held, ...movements].map(row => row.productId))];
+  const products = await client.product.findMany({
+    where: { id: { in: productIds } },
+    select: { id: true, name: true }
+  });
+  const names = new Map(products.map(product => [product.id, product.name]));
+
+  const lines = new Map();
+  for (const productId of productIds) {
+    // The opening quantity is the balance after the product's last earlier movement
+    const before = await client.productDetails.findFirst({
+      where: { storeId: van.id, productId, createdAt: { lt: start } },
+      orderBy: { id: 'desc' },
+      select: { newBalance: true }
+    });
+    lines.set(productId, {
+      productId,
+      productName: names.get(productId) || null,
+      opening: before ? before.newBalance : 0,
+      loaded: 0,
+      sold: 0,
+      returned: 0,
+      adjusted: 0,
+      expected: 0
+    });
+  }
+
+  for (const movement of movements) {
+    const line = lines.get(movement.productId);
+    const { type } = describeReference(movement.reference);
+    if (type === 'ORDER') {
+      line.sold += movement.quantityOut - movement.quantityIn;
+    } else if (type === 'TRANSFER') {
+      line.loaded += movement.quantityIn;
+      line.returned += movement.quantityOut;
+    } else {
+      line.adjusted += movement.quantityIn - movement.quantityOut;
+    }
+  }
+
+  return [...lines.values()]
+    .map(line => ({
+      ...line,
+      expected: line.opening + line.loaded - line.sold - line.returned + line.adjusted
+    }))
+    .filter(line => line.opening !== 0 || line.expected !== 0 || line.loaded !== 0 || line.sold !== 0)
+    .sort((a, b) => a.productId - b.productId);
+};
+
+/**
+ * End-of-day summary for a rep's van, with the reconciliation if one was submitted
+ * @returns {Promise<Object|null>} null when the rep has no van
+ */
+const getVanDaySummary = async (client, salesRepId, date) => {
+  const van = await findVanStore(client, salesRepId);
+  if (!van) return null;
+
+  const [lines, reconciliation] = await Promise.all([
+    buildVanDay(client, van, date),
+    client.vanReconciliation.findUnique({
+      where: { salesRepId_businessDate: { salesRepId, businessDate: date } },
+      include: { items: true }
+    })
+  ]);
+
+  const totals = { opening: 0, loaded: 0, sold: 0, returned: 0, adjusted: 0, expected: 0 };
+  for (const line of lines) {
+    for (const field of Object.keys(totals)) totals[field] += line[field];
+  }
+
+  return {
+    van: { id: van.id, name: van.name },
+    date,
+    lines,
+    totals,
+    reconciliation
+  };
+};
+
+/**
+ * Record the rep's end-of-day count. Every product the van should hold must
+ * be counted; `counts` are [{ productId, counted }]. A submitted count can be
+ * sent again until it is approved.
+ * @returns {Promise<Object>} The reconciliation with its lines
+ */
+const submitVanReconciliation = ({ salesRepId, date, counts, note = null }) =>
+  prisma.$transaction(async (tx) => {
+    const van = await requireVanStore(tx, salesRepId);
+
+    const existing = await tx.vanReconciliation.findUnique({
+      where: { salesRepId_businessDate: { salesRepId, businessDate: date } }
+    });
+    if (existing && existing.status !== VAN_RECONCILIATION_STATUS.SUBMITTED) {
+      throw vanError(409, 'VAN_RECONCILIATION_CLOSED', `The van count for ${date.toISOString().slice(0, 10)} is already approved`);
+    }
+
+    const lines = await buildVanDay(tx, van, date);
+    const counted = new Map(counts.map(count => [count.productId, count.counted]));
+
+    const missing = lines.filter(line => line.expected !== 0 && !counted.has(line.productId));
+    if (missing.length > 0) {
+      throw vanError(400, 'INVALID_COUNT', 'Every product in the van must be counted', {
+        missing: missing.map(line => ({ productId: line.productId, productName: line.productName }))
+      });
+    }
+
+    // Products counted that the ledger does not expect in the van
+    const known = new Set(lines.map(line => line.productId));
+    const extra = [...counted.keys()].filter(productId => !known.has(productId));
+    if (extra.length > 0) {
+      const products = await tx.product.findMany({
+        where: { id: { in: extra } },
+        select: { id: true }
+      });
+      const unknown = extra.find(productId => !products.some(product => product.id === productId));
+      if (unknown !== undefined) {
+        throw vanError(404, 'PRODUCT_NOT_FOUND', `Product ${unknown} not found`);
+      }
+      for (const productId of extra) {
+        lines.push({ productId, opening: 0, loaded: 0, sold: 0, returned: 0, adjusted: 0, expected: 0 });
+      }
+    }
+
+    const items = lines.map(line => {
+      const count = counted.get(line.productId) ?? 0;
+      return {
+        productId: line.productId,
+        opening: line.opening,
+        loaded: line.loaded,
+        sold: line.sold,
+        returned: line.returned,
+        adjusted: line.adjusted,
+        expected: line.expected,
+        counted: count,
+        variance: count - line.expected
+      };
+    });
+
+    if (existing) {
+      await tx.vanReconciliationItem.deleteMany({ where: { reconciliationId: existing.id } });
+      return tx.vanReconciliation.update({
+        where: { id: existing.id },
+        data: { note, submittedAt: new Date(), items: { create: items } },
+        include: { items: true }
+      });
+    }
+
+    return tx.vanReconciliation.create({
+      data: {
+        salesRepId,
+        storeId: van.id,
+        businessDate: date,
+        note,
+        items: { create: items }
+      },
+      include: { items: true }
+    });
+  });
+
+/**
+ * Approve a submitted van count and post each variance to the van
+ * @returns {Promise<{ reconciliation: Object, adjustments: Object[] }>}
+ */
+const approveVanReconciliation = (reconciliationId, user) =>
+  prisma.$transaction(async (tx) => {
+    const reconciliation = await tx.vanReconciliation.findUnique({
+      where: { id: reconciliationId },
+      include: { items: true }
+    });
+    if (!reconciliation) {
+      throw vanError(404, 'VAN_RECONCILIATION_NOT_FOUND', 'Van reconciliation not found');
+    }
+
+    // Guarded so two managers cannot post the same variances twice
+    const { count } = await tx.vanReconciliation.updateMany({
+      where: { id: reconciliationId, status: VAN_RECONCILIATION_STATUS.SUBMITTED },
+      data: {
+        status: VAN_RECONCILIATION_STATUS.APPROVED,
+        approvedBy: user.id,
+        approvedByName: user.name || 'Unknown',
+        approvedAt: new Date()
+      }
+    });
+    if (count === 0) {
+      throw vanError(409, 'VAN_RECONCILIATION_CLOSED', `Van reconciliation #${reconciliationId} is already approved`);
+    }
+
+    const adjustments = [];
+    for (const item of reconciliation.items.filter(line => line.variance !== 0)) {
+      const { storeQuantity } = await postMovement(tx, {
+        productId: item.productId,
+        storeId: reconciliation.storeId,
+        quantityIn: item.variance > 0 ? item.variance : 0,
+        quantityOut: item.variance < 0 ? -item.variance : 0,
+        reference: vanReconciliationReference(reconciliationId),
+        staff: user.id,
+        staffName: user.name || 'Unknown',
+        allowExpired: true
+      });
+      adjustments.push({
+        productId: item.productId,
+        variance: item.variance,
+        newBalance: storeQuantity.quantity
+      });
+    }
+
+    return {
+      reconciliation: await tx.vanReconciliation.findUnique({
+        where: { id: reconciliationId },
+        include: { items: true }
+      }),
+      adjustments
+    };
+  }, {
+    maxWait: 5000,
+    timeout: 15000
+  });
+
+module.exports = {
+  VAN_RECONCILIATION_STATUS,
+  vanReconciliationReference,
+  findVanStore,
+  loadVan,
+  unloadVan,
+  getVanStock,
+  getVanDaySummary,
+  submitVanReconciliation,
+  approveVanReconciliation
+};
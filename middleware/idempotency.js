@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+
+// Mobile clients retry create requests over poor connections. Sending the
+// same Idempotency-Key header on a retry returns the first response instead
+// of creating a second record. Keys are kept for IDEMPOTENCY_TTL_HOURS
+// (default 7 days) so retries queued while a rep is offline are still covered.
+
+const DEFAULT_TTL_HOURS = 7 * 24;
+const MAX_KEY_LENGTH = 100;
+// A pending key older than this belongs to a request that never finished
+// (e.g. the server restarted mid-request) and may be claimed again
+const STALE_PENDING_MS = 2 * 60 * 1000;
+
+const ttlHours = () => parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+
+// Fingerprint of what the key was first used for, so a key reused for a
+// different request is rejected instead of replaying the wrong response
+const requestHash = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+const findKey = (userId, scope, key) =>
+  prisma.idempotencyKey.findUnique({
+    where: { userId_scope_key: { userId, scope, key } }
+  });
+
+/**
+ * Claim the key for this request. Returns the existing record when the key
+ * has been used before, or null when this request now owns it.
+ */
+const claimKey = async ({ userId, scope, key, hash }) => {
+  const expiresAt = new Date(Date.now() + ttlHours() * 60 * 60 * 1000);
+
+  try {
+    await prisma.idempotencyKey.create({
+      data: { userId, scope, key, requestHash: hash, status: 'pending', expiresAt }
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const existing = await findKey(userId, scope, key);
+  if (!existing) {
+    // Released between our insert and lookup; try again
+    return claimKey({ userId, scope, key, hash });
+  }
+
+  const expired = existing.expiresAt < new Date();
+  const stale = existing.status === 'pending' && Date.now() - existing.createdAt.getTime() > STALE_PENDING_MS;
+  if (expired || (stale && existing.requestHash === hash)) {
+    // Claim it again from scratch; the guarded delete lets only one retry win
+    const { count } = await prisma.idempotencyKey.deleteMany({
+      where: { id: existing.id, status: existing.status, createdAt: existing.createdAt }
+    });
+    if (count > 0) return claimKey({ userId, scope, key, hash });
+  }
+  return existing;
+};
+
+const releaseKey = ({ userId, scope, key }) =>
+  prisma.idempotencyKey
+    .deleteMany({ where: { userId, scope, key, status: 'pending' } })
+    .catch(error => console.error('[Idempotency] Error releasing key:', error));
+
+const saveResponse = async ({ userId, scope, key, statusCode, body }) => {
+  // Only successful responses are kept; after an error the client may fix
+  // the request and retry with the same key. Some handlers refuse with a
+  // 200 and `success: false` (e.g. an outstanding balance); those are not
+  // kept either, so a retry once the cause is cleared is handled afresh.
+  if (statusCode < 200 || statusCode >= 300 || body?.success === false) {
+    return releaseKey({ userId, scope, key });
+  }
+
+  try {
+    await prisma.idempotencyKey.update({
+      where: { userId_scope_key: { userId, scope, key } },
+      data: {
+        status: 'completed',
+        responseStatus: statusCode,
+        // Round-trip through JSON so Decimals and Dates store as they were sent
+        responseBody: JSON.parse(JSON.stringify(body))
+      }
+    });
+  } catch (error) {
+    console.error('[Idempotency] Error saving response:', error);
+  }
+};
+
+/**
+ * Make a create endpoint safe to retry. Requests without an Idempotency-Key
+ * header are passed straight through. Must run after authentication.
+ * @param {string} scope - Name of the resource, e.g. 'orders'
+ * @returns {Function} Express middleware function
+ */
+const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  if (!req.user || !req.user.id) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const userId = req.user.id;
+  const hash = requestHash(req);
+
+  try {
+    const existing = await claimKey({ userId, scope, key, hash });
+
+    if (existing) {
+      if (existing.requestHash !== hash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key has already been used for a different request'
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      console.log(`[Idempotency] Replaying ${scope} response for key ${key} (user ${userId})`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+  } catch (error) {
+    console.error('[Idempotency] Error checking key:', error);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+
+  // Save the response as soon as the handler produces it, so a retry is
+  // answered even if this connection dropped before the client read it.
+  // A handler that never responds leaves the key pending until it goes stale.
+  let settled = false;
+  const originalJson = res.json;
+  res.json = function (body) {
+    if (!settled) {
+      settled = true;
+      saveResponse({ userId, scope, key, statusCode: res.statusCode, body });
+    }
+    return originalJson.call(this, body);
+  };
+
+  next();
+};
+
+/**
+ * Remove keys past their retry window
+ * @returns {Promise<number>} Number of keys deleted
+ */
+const cleanupExpiredKeys = async () => {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+  return count;
+};
+
+module.exports = {
+  idempotent,
+  cleanupExpiredKeys
+};
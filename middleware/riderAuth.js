@@ -0,0 +1,69 @@
+const jwt = require('jsonwebtoken');
+const prisma = require('../lib/prisma');
+
+// Riders authenticate separately from sales reps: their JWT carries
+// type "rider" and the active token is stored on the Riders row, so a new
+// login on another device ends the previous session.
+const authenticateRider = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      if (jwtError.name === 'TokenExpiredError') {
+        return res.status(401).json({
+          error: 'Access token expired. Please log in again.',
+          code: 'TOKEN_EXPIRED'
+        });
+      }
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    if (decoded.type !== 'rider') {
+      return res.status(401).json({
+        error: 'Invalid token type. Rider token required.',
+        code: 'INVALID_TOKEN_TYPE'
+      });
+    }
+
+    const rider = await prisma.riders.findUnique({
+      where: { id: decoded.riderId },
+      select: {
+        id: true,
+        name: true,
+        contact: true,
+        company_id: true,
+        company: true,
+        status: true,
+        device_id: true,
+        token: true
+      }
+    });
+
+    if (!rider || rider.token !== token) {
+      return res.status(401).json({
+        error: 'Session is no longer valid. Please log in again.',
+        code: 'SESSION_ENDED'
+      });
+    }
+
+    const { token: _storedToken, ...riderDetails } = rider;
+    req.rider = riderDetails;
+    req.token = token;
+    next();
+  } catch (error) {
+    console.error('Rider authentication error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  authenticateRider
+};
@@ -107,6 +107,34 @@ exports.anyUser = async (req, res, next) => {
   next();
 };
 
+/**
+ * Role check against the authenticated sales rep's own role (req.user.role),
+ * for routes used from the mobile apps where there is no users-table account
+ * @param {string|string[]} roles - A single role or array of roles that are allowed to access the route
+ * @returns {Function} Express middleware function
+ */
+exports.hasUserRole = (roles) => {
+  const allowedRoles = (Array.isArray(roles) ? roles : [roles]).map(role => role.toUpperCase());
+
+  return (req, res, next) => {
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const userRole = String(req.user.role || '').toUpperCase();
+    if (!allowedRoles.includes(userRole)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `This action requires ${allowedRoles.length > 1
+          ? `one of these roles: ${allowedRoles.join(', ')}`
+          : `${allowedRoles[0]} role`}`
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Admin-only middleware (convenience method)
  */
@@ -0,0 +1,20 @@
+-- CreateIndex
+CREATE INDEX `MyOrder_status_idx` ON `MyOrder`(`status`);
+
+-- CreateTable
+CREATE TABLE `order_status_history` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `orderId` INTEGER NOT NULL,
+    `fromStatus` INTEGER NULL,
+    `toStatus` INTEGER NOT NULL,
+    `changedBy` INTEGER NOT NULL,
+    `changedByName` VARCHAR(100) NOT NULL,
+    `note` VARCHAR(255) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `order_status_history_orderId_idx`(`orderId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `order_status_history` ADD CONSTRAINT `order_status_history_orderId_fkey` FOREIGN KEY (`orderId`) REFERENCES `MyOrder`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateIndex
+CREATE INDEX `MyOrder_retail_manager_idx` ON `MyOrder`(`retail_manager`);
+
+-- CreateIndex
+CREATE INDEX `MyOrder_key_channel_manager_idx` ON `MyOrder`(`key_channel_manager`);
+
+-- CreateIndex
+CREATE INDEX `MyOrder_distribution_manager_idx` ON `MyOrder`(`distribution_manager`);
+
+-- CreateTable
+CREATE TABLE `order_approval_rules` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `countryId` INTEGER NULL,
+    `maxAmount` DECIMAL(11, 2) NOT NULL,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `createdBy` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `order_approval_rules_countryId_idx`(`countryId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `MyOrder` ADD COLUMN `deliveryImageUrl` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `MyOrder_riderId_idx` ON `MyOrder`(`riderId`);
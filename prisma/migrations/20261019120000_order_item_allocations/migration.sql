@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE `order_item_allocations` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `orderItemId` INTEGER NOT NULL,
+    `storeId` INTEGER NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `order_item_allocations_orderItemId_idx`(`orderItemId`),
+    INDEX `order_item_allocations_storeId_idx`(`storeId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `order_item_allocations` ADD CONSTRAINT `order_item_allocations_orderItemId_fkey` FOREIGN KEY (`orderItemId`) REFERENCES `OrderItem`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `order_item_allocations` ADD CONSTRAINT `order_item_allocations_storeId_fkey` FOREIGN KEY (`storeId`) REFERENCES `Stores`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `idempotency_keys` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `scope` VARCHAR(50) NOT NULL,
+    `key` VARCHAR(100) NOT NULL,
+    `requestHash` VARCHAR(64) NOT NULL,
+    `status` VARCHAR(20) NOT NULL DEFAULT 'pending',
+    `responseStatus` INTEGER NULL,
+    `responseBody` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `expiresAt` DATETIME(3) NOT NULL,
+
+    INDEX `idempotency_keys_expiresAt_idx`(`expiresAt`),
+    UNIQUE INDEX `idempotency_keys_userId_scope_key_key`(`userId`, `scope`, `key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
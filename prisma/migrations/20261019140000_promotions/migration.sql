@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE `OrderItem` ADD COLUMN `unitPrice` DECIMAL(11, 2) NULL,
+    ADD COLUMN `discountAmount` DECIMAL(11, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `lineTotal` DECIMAL(11, 2) NULL,
+    ADD COLUMN `promotionId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `promotions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(100) NOT NULL,
+    `description` VARCHAR(255) NULL,
+    `type` VARCHAR(20) NOT NULL,
+    `value` DECIMAL(11, 2) NULL,
+    `buyQuantity` INTEGER NULL,
+    `freeQuantity` INTEGER NULL,
+    `minQuantity` INTEGER NOT NULL DEFAULT 1,
+    `productId` INTEGER NULL,
+    `categoryId` INTEGER NULL,
+    `countryId` INTEGER NULL,
+    `regionId` INTEGER NULL,
+    `clientType` INTEGER NULL,
+    `startDate` DATETIME(3) NOT NULL,
+    `endDate` DATETIME(3) NOT NULL,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `createdBy` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `promotions_active_startDate_endDate_idx`(`active`, `startDate`, `endDate`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `promotion_tiers` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `promotionId` INTEGER NOT NULL,
+    `minQuantity` INTEGER NOT NULL,
+    `discountPercent` DECIMAL(5, 2) NOT NULL,
+
+    INDEX `promotion_tiers_promotionId_idx`(`promotionId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `OrderItem_promotionId_idx` ON `OrderItem`(`promotionId`);
+
+-- AddForeignKey
+ALTER TABLE `OrderItem` ADD CONSTRAINT `OrderItem_promotionId_fkey` FOREIGN KEY (`promotionId`) REFERENCES `promotions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `promotion_tiers` ADD CONSTRAINT `promotion_tiers_promotionId_fkey` FOREIGN KEY (`promotionId`) REFERENCES `promotions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
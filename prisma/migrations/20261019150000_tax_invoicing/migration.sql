@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE `MyOrder` ADD COLUMN `netAmount` DECIMAL(11, 2) NULL,
+    ADD COLUMN `taxAmount` DECIMAL(11, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `invoiceNumber` VARCHAR(30) NULL,
+    ADD COLUMN `invoiceDate` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `OrderItem` ADD COLUMN `netAmount` DECIMAL(11, 2) NULL,
+    ADD COLUMN `taxRate` DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `taxAmount` DECIMAL(11, 2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `tax_rules` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `countryId` INTEGER NOT NULL,
+    `categoryId` INTEGER NULL,
+    `productId` INTEGER NULL,
+    `name` VARCHAR(50) NOT NULL,
+    `rate` DECIMAL(5, 2) NOT NULL,
+    `inclusive` BOOLEAN NOT NULL DEFAULT true,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `createdBy` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `tax_rules_countryId_active_idx`(`countryId`, `active`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `invoice_sequences` (
+    `countryId` INTEGER NOT NULL,
+    `prefix` VARCHAR(20) NOT NULL,
+    `nextNumber` INTEGER NOT NULL DEFAULT 1,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`countryId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `MyOrder_invoiceNumber_key` ON `MyOrder`(`invoiceNumber`);
+
+-- Seed invoice sequences for Kenya, Tanzania and Nigeria
+INSERT IGNORE INTO `invoice_sequences` (`countryId`, `prefix`, `nextNumber`, `updatedAt`) VALUES
+    (1, 'KE-INV-', 1, CURRENT_TIMESTAMP(3)),
+    (2, 'TZ-INV-', 1, CURRENT_TIMESTAMP(3)),
+    (3, 'NG-INV-', 1, CURRENT_TIMESTAMP(3));
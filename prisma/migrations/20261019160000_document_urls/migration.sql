@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `MyOrder` ADD COLUMN `invoiceUrl` VARCHAR(191) NULL,
+    ADD COLUMN `deliveryNoteUrl` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `ClientPayment` ADD COLUMN `receiptUrl` VARCHAR(191) NULL;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `ClientPayment` ADD COLUMN `unallocatedAmount` DECIMAL(11, 2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `payment_allocations` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `paymentId` INTEGER NOT NULL,
+    `orderId` INTEGER NOT NULL,
+    `amount` DECIMAL(11, 2) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `payment_allocations_paymentId_idx`(`paymentId`),
+    INDEX `payment_allocations_orderId_idx`(`orderId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `payment_allocations` ADD CONSTRAINT `payment_allocations_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `ClientPayment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `payment_allocations` ADD CONSTRAINT `payment_allocations_orderId_fkey` FOREIGN KEY (`orderId`) REFERENCES `MyOrder`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `ClientPayment` ADD COLUMN `allocationTargets` JSON NULL,
+    ADD COLUMN `verifiedBy` INTEGER NULL,
+    ADD COLUMN `verifiedByName` VARCHAR(100) NULL,
+    ADD COLUMN `verifiedAt` DATETIME(3) NULL,
+    ADD COLUMN `rejectionReason` VARCHAR(255) NULL;
+
+-- CreateIndex
+CREATE INDEX `ClientPayment_status_idx` ON `ClientPayment`(`status`);
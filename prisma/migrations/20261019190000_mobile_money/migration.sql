@@ -0,0 +1,38 @@
+-- DropForeignKey
+ALTER TABLE `ClientPayment` DROP FOREIGN KEY `ClientPayment_userId_fkey`;
+
+-- AlterTable
+ALTER TABLE `ClientPayment` MODIFY `userId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `mobile_money_transactions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `provider` VARCHAR(20) NOT NULL,
+    `transactionId` VARCHAR(50) NOT NULL,
+    `amount` DECIMAL(11, 2) NOT NULL,
+    `phone` VARCHAR(20) NULL,
+    `accountReference` VARCHAR(50) NULL,
+    `payerName` VARCHAR(100) NULL,
+    `paidAt` DATETIME(3) NOT NULL,
+    `status` VARCHAR(20) NOT NULL,
+    `clientId` INTEGER NULL,
+    `paymentId` INTEGER NULL,
+    `payload` JSON NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `mobile_money_transactions_paymentId_key`(`paymentId`),
+    INDEX `mobile_money_transactions_status_idx`(`status`),
+    INDEX `mobile_money_transactions_clientId_idx`(`clientId`),
+    UNIQUE INDEX `mobile_money_transactions_provider_transactionId_key`(`provider`, `transactionId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ClientPayment` ADD CONSTRAINT `ClientPayment_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `SalesRep`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `mobile_money_transactions` ADD CONSTRAINT `mobile_money_transactions_clientId_fkey` FOREIGN KEY (`clientId`) REFERENCES `Clients`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `mobile_money_transactions` ADD CONSTRAINT `mobile_money_transactions_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `ClientPayment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
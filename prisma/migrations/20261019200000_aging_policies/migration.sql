@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE `aging_policies` (
+    `countryId` INTEGER NOT NULL,
+    `termsDays` INTEGER NOT NULL DEFAULT 0,
+    `buckets` JSON NOT NULL,
+    `blockAfterDays` INTEGER NOT NULL DEFAULT 3,
+    `updatedBy` INTEGER NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`countryId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE `Clients` ADD COLUMN `creditLimit` DECIMAL(11, 2) NULL,
+    ADD COLUMN `paymentTerms` VARCHAR(10) NOT NULL DEFAULT 'CREDIT',
+    ADD COLUMN `creditDays` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `MyOrder` ADD COLUMN `creditHold` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `order_credit_holds` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `orderId` INTEGER NOT NULL,
+    `clientId` INTEGER NOT NULL,
+    `paymentTerms` VARCHAR(10) NOT NULL,
+    `creditLimit` DECIMAL(11, 2) NULL,
+    `outstanding` DECIMAL(11, 2) NOT NULL,
+    `orderAmount` DECIMAL(11, 2) NOT NULL,
+    `excessAmount` DECIMAL(11, 2) NOT NULL,
+    `reason` VARCHAR(255) NOT NULL,
+    `status` VARCHAR(10) NOT NULL DEFAULT 'HELD',
+    `heldBy` INTEGER NOT NULL,
+    `heldByName` VARCHAR(100) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `releasedBy` INTEGER NULL,
+    `releasedByName` VARCHAR(100) NULL,
+    `releasedAt` DATETIME(3) NULL,
+    `releaseReason` VARCHAR(255) NULL,
+
+    INDEX `order_credit_holds_orderId_idx`(`orderId`),
+    INDEX `order_credit_holds_clientId_idx`(`clientId`),
+    INDEX `order_credit_holds_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `order_credit_holds` ADD CONSTRAINT `order_credit_holds_orderId_fkey` FOREIGN KEY (`orderId`) REFERENCES `MyOrder`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `order_credit_holds` ADD CONSTRAINT `order_credit_holds_clientId_fkey` FOREIGN KEY (`clientId`) REFERENCES `Clients`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `TransferHistory` ADD COLUMN `staff` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `staffName` VARCHAR(100) NOT NULL DEFAULT 'System',
+    ADD COLUMN `note` VARCHAR(255) NULL;
+
+-- CreateIndex
+CREATE INDEX `TransferHistory_transferredAt_idx` ON `TransferHistory`(`transferredAt`);
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE `stock_take` ADD COLUMN `sessionId` INTEGER NULL,
+    ADD COLUMN `countedBy` INTEGER NULL,
+    MODIFY `counted_quantity` INTEGER NULL,
+    MODIFY `difference` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `stock_take_sessions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `storeId` INTEGER NOT NULL,
+    `status` VARCHAR(10) NOT NULL DEFAULT 'OPEN',
+    `mode` VARCHAR(10) NOT NULL DEFAULT 'BLOCK',
+    `snapshotMovementId` INTEGER NOT NULL DEFAULT 0,
+    `note` VARCHAR(255) NULL,
+    `openedBy` INTEGER NOT NULL,
+    `openedByName` VARCHAR(100) NOT NULL,
+    `openedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `closedBy` INTEGER NULL,
+    `closedByName` VARCHAR(100) NULL,
+    `closedAt` DATETIME(3) NULL,
+    `closeNote` VARCHAR(255) NULL,
+
+    INDEX `stock_take_sessions_storeId_status_idx`(`storeId`, `status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `stock_take_sessionId_product_id_key` ON `stock_take`(`sessionId`, `product_id`);
+
+-- AddForeignKey
+ALTER TABLE `stock_take` ADD CONSTRAINT `stock_take_sessionId_fkey` FOREIGN KEY (`sessionId`) REFERENCES `stock_take_sessions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_take_sessions` ADD CONSTRAINT `stock_take_sessions_storeId_fkey` FOREIGN KEY (`storeId`) REFERENCES `Stores`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,69 @@
+-- AlterTable
+ALTER TABLE `PurchaseOrder` ADD COLUMN `admin_name` VARCHAR(100) NULL,
+    ADD COLUMN `closed_at` DATETIME(3) NULL,
+    MODIFY `payment_id` INTEGER NOT NULL DEFAULT 0,
+    MODIFY `order_id` INTEGER NOT NULL DEFAULT 0,
+    MODIFY `order_date` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    MODIFY `notes` TEXT NULL,
+    MODIFY `total` DECIMAL(11, 2) NOT NULL DEFAULT 0.00,
+    MODIFY `paid` DECIMAL(11, 2) NOT NULL DEFAULT 0.00,
+    MODIFY `status` VARCHAR(30) NOT NULL DEFAULT 'OPEN';
+
+-- AlterTable
+ALTER TABLE `PurchaseOrderItems` MODIFY `received_quantity` INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `Purchase` ADD COLUMN `purchaseOrderId` INTEGER NULL,
+    ADD COLUMN `staff` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `staffName` VARCHAR(100) NOT NULL DEFAULT 'System',
+    ADD COLUMN `note` VARCHAR(255) NULL,
+    MODIFY `totalAmount` DECIMAL(11, 2) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `PurchaseHistory` ADD COLUMN `purchaseId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `payments` MODIFY `po_id` INTEGER NULL,
+    MODIFY `created_at` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0);
+
+-- CreateIndex
+CREATE INDEX `PurchaseOrder_vendor_id_idx` ON `PurchaseOrder`(`vendor_id`);
+
+-- CreateIndex
+CREATE INDEX `PurchaseOrder_status_idx` ON `PurchaseOrder`(`status`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `PurchaseOrderItems_po_id_product_id_key` ON `PurchaseOrderItems`(`po_id`, `product_id`);
+
+-- CreateIndex
+CREATE INDEX `PurchaseOrderItems_product_id_idx` ON `PurchaseOrderItems`(`product_id`);
+
+-- CreateIndex
+CREATE INDEX `Purchase_purchaseOrderId_idx` ON `Purchase`(`purchaseOrderId`);
+
+-- CreateIndex
+CREATE INDEX `PurchaseHistory_purchaseId_idx` ON `PurchaseHistory`(`purchaseId`);
+
+-- CreateIndex
+CREATE INDEX `payments_vendor_id_idx` ON `payments`(`vendor_id`);
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrder` ADD CONSTRAINT `PurchaseOrder_vendor_id_fkey` FOREIGN KEY (`vendor_id`) REFERENCES `Suppliers`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrderItems` ADD CONSTRAINT `PurchaseOrderItems_po_id_fkey` FOREIGN KEY (`po_id`) REFERENCES `PurchaseOrder`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrderItems` ADD CONSTRAINT `PurchaseOrderItems_product_id_fkey` FOREIGN KEY (`product_id`) REFERENCES `Product`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Purchase` ADD CONSTRAINT `Purchase_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `PurchaseOrder`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseHistory` ADD CONSTRAINT `PurchaseHistory_purchaseId_fkey` FOREIGN KEY (`purchaseId`) REFERENCES `Purchase`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `payments` ADD CONSTRAINT `payments_po_id_fkey` FOREIGN KEY (`po_id`) REFERENCES `PurchaseOrder`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `payments` ADD CONSTRAINT `payments_vendor_id_fkey` FOREIGN KEY (`vendor_id`) REFERENCES `Suppliers`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE `stock_levels` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `storeId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `reorderPoint` INTEGER NULL,
+    `safetyStock` INTEGER NULL,
+    `leadTimeDays` INTEGER NULL,
+    `updatedBy` INTEGER NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `stock_levels_productId_idx`(`productId`),
+    UNIQUE INDEX `stock_levels_storeId_productId_key`(`storeId`, `productId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `low_stock_alerts` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `storeId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `status` VARCHAR(20) NOT NULL,
+    `onHand` INTEGER NOT NULL,
+    `reorderPoint` INTEGER NOT NULL,
+    `suggestedQuantity` INTEGER NOT NULL,
+    `dailyVelocity` DECIMAL(11, 3) NOT NULL,
+    `flaggedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `checkedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `resolvedAt` DATETIME(3) NULL,
+
+    INDEX `low_stock_alerts_productId_idx`(`productId`),
+    INDEX `low_stock_alerts_resolvedAt_idx`(`resolvedAt`),
+    UNIQUE INDEX `low_stock_alerts_storeId_productId_key`(`storeId`, `productId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `stock_levels` ADD CONSTRAINT `stock_levels_storeId_fkey` FOREIGN KEY (`storeId`) REFERENCES `Stores`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_levels` ADD CONSTRAINT `stock_levels_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `low_stock_alerts` ADD CONSTRAINT `low_stock_alerts_storeId_fkey` FOREIGN KEY (`storeId`) REFERENCES `Stores`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `low_stock_alerts` ADD CONSTRAINT `low_stock_alerts_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `ProductDetails` ADD COLUMN `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3);
+
+-- Backfill from the ISO string in `date`; rows without one keep the migration time
+UPDATE `ProductDetails`
+SET `createdAt` = STR_TO_DATE(LEFT(`date`, 19), '%Y-%m-%dT%H:%i:%s')
+WHERE `date` REGEXP '^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}';
+
+-- CreateIndex
+CREATE INDEX `ProductDetails_productId_storeId_createdAt_idx` ON `ProductDetails`(`productId`, `storeId`, `createdAt`);
+
+-- AlterTable
+ALTER TABLE `ProductReturn` ADD COLUMN `storeId` INTEGER NULL,
+    ADD COLUMN `receivedBy` INTEGER NULL,
+    ADD COLUMN `receivedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `ProductReturn_storeId_idx` ON `ProductReturn`(`storeId`);
+
+-- AddForeignKey
+ALTER TABLE `ProductReturn` ADD CONSTRAINT `ProductReturn_storeId_fkey` FOREIGN KEY (`storeId`) REFERENCES `Stores`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE `ProductDetails` ADD COLUMN `batchId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `ProductReturnItem` ADD COLUMN `batchNumber` VARCHAR(50) NULL;
+
+-- CreateTable
+CREATE TABLE `stock_batches` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `storeId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `batchNumber` VARCHAR(50) NOT NULL,
+    `expiryDate` DATE NULL,
+    `quantity` INTEGER NOT NULL DEFAULT 0,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `stock_batches_productId_batchNumber_idx`(`productId`, `batchNumber`),
+    INDEX `stock_batches_expiryDate_idx`(`expiryDate`),
+    UNIQUE INDEX `stock_batches_storeId_productId_batchNumber_key`(`storeId`, `productId`, `batchNumber`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `ProductDetails_batchId_idx` ON `ProductDetails`(`batchId`);
+
+-- AddForeignKey
+ALTER TABLE `ProductDetails` ADD CONSTRAINT `ProductDetails_batchId_fkey` FOREIGN KEY (`batchId`) REFERENCES `stock_batches`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_batches` ADD CONSTRAINT `stock_batches_storeId_fkey` FOREIGN KEY (`storeId`) REFERENCES `Stores`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_batches` ADD CONSTRAINT `stock_batches_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,60 @@
+-- AlterTable
+ALTER TABLE `Stores` ADD COLUMN `salesRepId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `MyOrder` ADD COLUMN `directSale` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `van_reconciliations` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `salesRepId` INTEGER NOT NULL,
+    `storeId` INTEGER NOT NULL,
+    `businessDate` DATE NOT NULL,
+    `status` VARCHAR(20) NOT NULL DEFAULT 'SUBMITTED',
+    `note` VARCHAR(255) NULL,
+    `submittedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `approvedBy` INTEGER NULL,
+    `approvedByName` VARCHAR(100) NULL,
+    `approvedAt` DATETIME(3) NULL,
+
+    INDEX `van_reconciliations_status_idx`(`status`),
+    UNIQUE INDEX `van_reconciliations_salesRepId_businessDate_key`(`salesRepId`, `businessDate`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `van_reconciliation_items` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `reconciliationId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `opening` INTEGER NOT NULL,
+    `loaded` INTEGER NOT NULL,
+    `sold` INTEGER NOT NULL,
+    `returned` INTEGER NOT NULL,
+    `adjusted` INTEGER NOT NULL,
+    `expected` INTEGER NOT NULL,
+    `counted` INTEGER NOT NULL,
+    `variance` INTEGER NOT NULL,
+
+    INDEX `van_reconciliation_items_productId_idx`(`productId`),
+    UNIQUE INDEX `van_reconciliation_items_reconciliationId_productId_key`(`reconciliationId`, `productId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Stores_salesRepId_key` ON `Stores`(`salesRepId`);
+
+-- AddForeignKey
+ALTER TABLE `Stores` ADD CONSTRAINT `Stores_salesRepId_fkey` FOREIGN KEY (`salesRepId`) REFERENCES `SalesRep`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `van_reconciliations` ADD CONSTRAINT `van_reconciliations_salesRepId_fkey` FOREIGN KEY (`salesRepId`) REFERENCES `SalesRep`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `van_reconciliations` ADD CONSTRAINT `van_reconciliations_storeId_fkey` FOREIGN KEY (`storeId`) REFERENCES `Stores`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `van_reconciliation_items` ADD CONSTRAINT `van_reconciliation_items_reconciliationId_fkey` FOREIGN KEY (`reconciliationId`) REFERENCES `van_reconciliations`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `van_reconciliation_items` ADD CONSTRAINT `van_reconciliation_items_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
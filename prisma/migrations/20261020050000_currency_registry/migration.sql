@@ -0,0 +1,70 @@
+-- AlterTable
+ALTER TABLE `Country` ADD COLUMN `currencyCode` VARCHAR(3) NULL;
+
+-- CreateTable
+CREATE TABLE `currencies` (
+    `code` VARCHAR(3) NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `symbol` VARCHAR(10) NOT NULL,
+    `decimalPlaces` INTEGER NOT NULL DEFAULT 2,
+    `position` VARCHAR(10) NOT NULL DEFAULT 'before',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`code`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `prices` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `productId` INTEGER NULL,
+    `priceOptionId` INTEGER NULL,
+    `currencyCode` VARCHAR(3) NOT NULL,
+    `amount` DECIMAL(11, 2) NOT NULL,
+    `updatedBy` INTEGER NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `prices_currencyCode_idx`(`currencyCode`),
+    UNIQUE INDEX `prices_productId_currencyCode_key`(`productId`, `currencyCode`),
+    UNIQUE INDEX `prices_priceOptionId_currencyCode_key`(`priceOptionId`, `currencyCode`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Country_currencyCode_idx` ON `Country`(`currencyCode`);
+
+-- AddForeignKey
+ALTER TABLE `Country` ADD CONSTRAINT `Country_currencyCode_fkey` FOREIGN KEY (`currencyCode`) REFERENCES `currencies`(`code`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `prices` ADD CONSTRAINT `prices_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `prices` ADD CONSTRAINT `prices_priceOptionId_fkey` FOREIGN KEY (`priceOptionId`) REFERENCES `PriceOption`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `prices` ADD CONSTRAINT `prices_currencyCode_fkey` FOREIGN KEY (`currencyCode`) REFERENCES `currencies`(`code`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Seed the three currencies that were hard-coded in lib/currencyUtils.js
+INSERT INTO `currencies` (`code`, `name`, `symbol`, `decimalPlaces`, `position`, `updatedAt`) VALUES
+    ('KES', 'Kenyan Shilling', 'KES', 2, 'before', CURRENT_TIMESTAMP(3)),
+    ('TZS', 'Tanzania Shilling', 'TZS', 0, 'after', CURRENT_TIMESTAMP(3)),
+    ('NGN', 'Nigerian Naira', '₦', 2, 'before', CURRENT_TIMESTAMP(3));
+
+UPDATE `Country` SET `currencyCode` = 'KES' WHERE `id` = 1;
+UPDATE `Country` SET `currencyCode` = 'TZS' WHERE `id` = 2;
+UPDATE `Country` SET `currencyCode` = 'NGN' WHERE `id` = 3;
+
+-- Copy the per-currency price columns into the price table
+INSERT INTO `prices` (`productId`, `currencyCode`, `amount`, `updatedAt`)
+    SELECT `id`, 'KES', `unit_cost`, CURRENT_TIMESTAMP(3) FROM `Product`;
+INSERT INTO `prices` (`productId`, `currencyCode`, `amount`, `updatedAt`)
+    SELECT `id`, 'TZS', `unit_cost_tzs`, CURRENT_TIMESTAMP(3) FROM `Product` WHERE `unit_cost_tzs` IS NOT NULL;
+INSERT INTO `prices` (`productId`, `currencyCode`, `amount`, `updatedAt`)
+    SELECT `id`, 'NGN', `unit_cost_ngn`, CURRENT_TIMESTAMP(3) FROM `Product` WHERE `unit_cost_ngn` IS NOT NULL;
+INSERT INTO `prices` (`priceOptionId`, `currencyCode`, `amount`, `updatedAt`)
+    SELECT `id`, 'KES', `value`, CURRENT_TIMESTAMP(3) FROM `PriceOption`;
+INSERT INTO `prices` (`priceOptionId`, `currencyCode`, `amount`, `updatedAt`)
+    SELECT `id`, 'TZS', `value_tzs`, CURRENT_TIMESTAMP(3) FROM `PriceOption` WHERE `value_tzs` IS NOT NULL;
+INSERT INTO `prices` (`priceOptionId`, `currencyCode`, `amount`, `updatedAt`)
+    SELECT `id`, 'NGN', `value_ngn`, CURRENT_TIMESTAMP(3) FROM `PriceOption` WHERE `value_ngn` IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Date-only end dates were stored as midnight at the start of the day, so
+-- promotions lost their last day. Run them to the end of that day (UTC).
+UPDATE `promotions`
+SET `endDate` = DATE_ADD(`endDate`, INTERVAL 86399999000 MICROSECOND)
+WHERE TIME(`endDate`) = '00:00:00';
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `order_status_history` MODIFY `changedBy` INTEGER NULL,
+    ADD COLUMN `changedByRiderId` INTEGER NULL;
+
+-- Rider pickups and deliveries were recorded with the rider's id in `changedBy`
+UPDATE `order_status_history`
+SET `changedByRiderId` = `changedBy`, `changedBy` = NULL
+WHERE `changedByName` LIKE 'Rider: %';
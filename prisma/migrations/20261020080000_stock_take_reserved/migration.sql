@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `stock_take` ADD COLUMN `reserved_quantity` INTEGER NOT NULL DEFAULT 0;
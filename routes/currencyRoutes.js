@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCurrencies,
+  saveCurrency,
+  setCountryCurrency,
+  getPriceList,
+  updatePriceList
+} = require('../controllers/currencyController');
+const { protect } = require('../middleware/authMiddleware');
+const { hasUserRole } = require('../middleware/roleAuth');
+
+// Currency registry
+router.get('/', protect, getCurrencies);
+router.put('/countries/:countryId', protect, hasUserRole(['ADMIN']), setCountryCurrency);
+router.put('/:code', protect, hasUserRole(['ADMIN']), saveCurrency);
+
+// Price lists per currency
+router.get('/:code/prices', protect, hasUserRole(['FINANCE', 'MANAGER', 'ADMIN']), getPriceList);
+router.put('/:code/prices', protect, hasUserRole(['MANAGER', 'ADMIN']), updatePriceList);
+
+module.exports = router;
@@ -1,14 +1,58 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/authMiddleware');
-const {  createOrder, getOrders, updateOrder, getUserSalesSummary } = require('../controllers/orderController');
+const { hasUserRole } = require('../middleware/roleAuth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  createOrder,
+  getOrderQuote,
+  getOrders,
+  updateOrder,
+  deleteOrder,
+  cancelOrder,
+  updateOrderStatus,
+  getOrderStatusHistory,
+  getUserSalesSummary
+} = require('../controllers/orderController');
+const {
+  getApprovalQueue,
+  approveOrder,
+  rejectOrder,
+  getApprovalRules,
+  saveApprovalRule,
+  disableApprovalRule
+} = require('../controllers/orderApprovalController');
+const { assignRider } = require('../controllers/riderController');
+const { getInvoicePdf, getDeliveryNotePdf } = require('../controllers/documentController');
+const { getCreditHolds, releaseOrderCreditHold } = require('../controllers/creditController');
 
 const router = express.Router();
 
 router.use(authenticateToken);
 
-router.post('/', createOrder);
+router.post('/', idempotent('orders'), createOrder);
+router.post('/quote', getOrderQuote);
 router.get('/', getOrders);
-router.put('/:id', updateOrder);
 router.get('/sales-summary', getUserSalesSummary);
 
-module.exports = router;
\ No newline at end of file
+// Manager approval queue
+router.get('/approvals', getApprovalQueue);
+router.get('/approvals/rules', hasUserRole('ADMIN'), getApprovalRules);
+router.post('/approvals/rules', hasUserRole('ADMIN'), saveApprovalRule);
+router.delete('/approvals/rules/:ruleId', hasUserRole('ADMIN'), disableApprovalRule);
+router.post('/approvals/:id/approve', approveOrder);
+router.post('/approvals/:id/reject', rejectOrder);
+
+// Orders held for going over the client's credit limit
+router.get('/credit-holds', hasUserRole(['MANAGER', 'FINANCE', 'ADMIN']), getCreditHolds);
+router.post('/:id/credit-release', hasUserRole(['MANAGER', 'ADMIN']), releaseOrderCreditHold);
+
+router.put('/:id', updateOrder);
+router.delete('/:id', deleteOrder);
+router.post('/:id/cancel', cancelOrder);
+router.patch('/:id/status', updateOrderStatus);
+router.get('/:id/history', getOrderStatusHistory);
+router.get('/:id/invoice.pdf', getInvoicePdf);
+router.get('/:id/delivery-note.pdf', getDeliveryNotePdf);
+router.patch('/:id/rider', hasUserRole(['MANAGER', 'ADMIN']), assignRider);
+
+module.exports = router;
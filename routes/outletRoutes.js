@@ -1,6 +1,11 @@
 const express = require('express');
 const { getOutlets, createOutlet, updateOutlet, getOutletProducts, getOutletLocation, addClientPayment, getClientPayments, updateOutletLocation } = require('../controllers/outletController');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotency');
+const { getPaymentReceiptPdf } = require('../controllers/documentController');
+const { getClientStatement, getClientStatementPdf, getClientStatementXlsx } = require('../controllers/statementController');
+const { getClientCredit, updateClientCredit } = require('../controllers/creditController');
+const { hasUserRole } = require('../middleware/roleAuth');
 
 const router = express.Router();
 
@@ -27,7 +32,28 @@ router
 
 router
   .route('/:id/payments')
-  .post(addClientPayment) // POST /api/outlets/:id/payments
+  .post(idempotent('payments'), addClientPayment) // POST /api/outlets/:id/payments
   .get(getClientPayments); // GET /api/outlets/:id/payments
 
+router
+  .route('/:id/payments/:paymentId/receipt.pdf')
+  .get(getPaymentReceiptPdf); // GET /api/outlets/:id/payments/:paymentId/receipt.pdf
+
+router
+  .route('/:id/credit')
+  .get(getClientCredit) // GET /api/outlets/:id/credit
+  .put(hasUserRole(['FINANCE', 'ADMIN']), updateClientCredit); // PUT /api/outlets/:id/credit
+
+router
+  .route('/:id/statement')
+  .get(getClientStatement); // GET /api/outlets/:id/statement?from&to
+
+router
+  .route('/:id/statement.pdf')
+  .get(getClientStatementPdf); // GET /api/outlets/:id/statement.pdf?from&to
+
+router
+  .route('/:id/statement.xlsx')
+  .get(getClientStatementXlsx); // GET /api/outlets/:id/statement.xlsx?from&to
+
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { hasUserRole } = require('../middleware/roleAuth');
+const {
+  getVerificationQueue,
+  verifyClientPayment,
+  rejectClientPayment,
+  receivePaymentCallback,
+  getMobileMoneyTransactions,
+  assignMobileMoneyTransaction
+} = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Provider callbacks authenticate themselves through their adapter
+router.post('/callbacks/:provider', receivePaymentCallback);
+
+router.use(authenticateToken);
+
+// Finance verification of rep-collected payments
+router.get('/verification-queue', hasUserRole(['FINANCE', 'ADMIN']), getVerificationQueue);
+router.post('/:id/verify', hasUserRole(['FINANCE', 'ADMIN']), verifyClientPayment);
+router.post('/:id/reject', hasUserRole(['FINANCE', 'ADMIN']), rejectClientPayment);
+
+// Mobile money transactions that matched no client
+router.get('/mobile-money', hasUserRole(['FINANCE', 'ADMIN']), getMobileMoneyTransactions);
+router.post('/mobile-money/:id/assign', hasUserRole(['FINANCE', 'ADMIN']), assignMobileMoneyTransaction);
+
+module.exports = router;
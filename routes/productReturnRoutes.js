@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { updateProductReturn } = require('../controllers/productReturnController');
-const { createProductReturn } = require('../controllers/productReturnController');
+const { createProductReturn, receiveReturn } = require('../controllers/productReturnController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { hasUserRole } = require('../middleware/roleAuth');
 router.put('/:id', updateProductReturn);
 router.post('/', createProductReturn);
+router.post('/:id/receive', authenticateToken, hasUserRole(['WAREHOUSE', 'MANAGER', 'ADMIN']), receiveReturn);
 
 module.exports = router;
@@ -6,6 +6,8 @@ const {
   updateProduct,
   deleteProduct,
 } = require('../controllers/productController');
+const { getStockCard } = require('../controllers/stockCardController');
+const { hasUserRole } = require('../middleware/roleAuth');
 
 const router = express.Router();
 
@@ -15,6 +17,9 @@ router.use(authenticateToken);
 // Get all products
 router.get('/', getProducts);
 
+// Stock card per store, reconciled against store quantities
+router.get('/:id/stock-card', hasUserRole(['WAREHOUSE', 'FINANCE', 'MANAGER', 'ADMIN']), getStockCard);
+
 // Create a new product
 router.post('/', createProduct);
 
@@ -0,0 +1,25 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { hasUserRole } = require('../middleware/roleAuth');
+const {
+  getPromotions,
+  getCurrentPromotions,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion
+} = require('../controllers/promotionController');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Running promotions for the rep's country, region and client
+router.get('/current', getCurrentPromotions);
+
+// Campaign management
+router.get('/', hasUserRole(['MANAGER', 'ADMIN']), getPromotions);
+router.post('/', hasUserRole(['MANAGER', 'ADMIN']), createPromotion);
+router.put('/:id', hasUserRole(['MANAGER', 'ADMIN']), updatePromotion);
+router.delete('/:id', hasUserRole(['MANAGER', 'ADMIN']), deactivatePromotion);
+
+module.exports = router;
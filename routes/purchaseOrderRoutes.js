@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder
+} = require('../controllers/purchaseOrderController');
+const { protect } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotency');
+const { hasUserRole } = require('../middleware/roleAuth');
+
+const VIEW_ROLES = ['WAREHOUSE', 'FINANCE', 'MANAGER', 'ADMIN'];
+const BUYER_ROLES = ['MANAGER', 'ADMIN'];
+const RECEIVING_ROLES = ['WAREHOUSE', 'MANAGER', 'ADMIN'];
+
+router.get('/', protect, hasUserRole(VIEW_ROLES), getPurchaseOrders);
+router.post('/', protect, hasUserRole(BUYER_ROLES), idempotent('purchase-orders'), createPurchaseOrder);
+router.get('/:id', protect, hasUserRole(VIEW_ROLES), getPurchaseOrder);
+
+// Goods received notes
+router.post('/:id/receive', protect, hasUserRole(RECEIVING_ROLES), idempotent('goods-receipts'), receivePurchaseOrder);
+router.post('/:id/close', protect, hasUserRole(BUYER_ROLES), closePurchaseOrder);
+
+module.exports = router;
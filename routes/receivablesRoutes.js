@@ -0,0 +1,25 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { hasUserRole } = require('../middleware/roleAuth');
+const { getClientBalanceAge } = require('../controllers/balanceController');
+const {
+  getAgingReport,
+  getAgingPolicyForCountry,
+  updateAgingPolicy,
+  deleteAgingPolicy
+} = require('../controllers/receivablesController');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Aging report and the oldest unpaid balance of one client
+router.get('/aging', hasUserRole(['MANAGER', 'FINANCE', 'ADMIN']), getAgingReport);
+router.get('/clients/:clientId/balance-age', getClientBalanceAge);
+
+// Per-country aging policy
+router.get('/aging-policies/:countryId', hasUserRole(['MANAGER', 'FINANCE', 'ADMIN']), getAgingPolicyForCountry);
+router.put('/aging-policies/:countryId', hasUserRole(['ADMIN']), updateAgingPolicy);
+router.delete('/aging-policies/:countryId', hasUserRole(['ADMIN']), deleteAgingPolicy);
+
+module.exports = router;
@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotency');
 const reportController = require('../controllers/reportController');
 
 router.use(authenticateToken);
 
-router.post('/', reportController.createReport);
+router.post('/', idempotent('reports'), reportController.createReport);
 router.get('/', reportController.getAllReports);
 router.get('/:id', reportController.getReportById);
 router.put('/:id', reportController.updateReport);
@@ -0,0 +1,22 @@
+const express = require('express');
+const { authenticateRider } = require('../middleware/riderAuth');
+const {
+  riderLogin,
+  riderLogout,
+  getAssignedOrders,
+  confirmPickup,
+  confirmDelivery
+} = require('../controllers/riderController');
+
+const router = express.Router();
+
+router.post('/login', riderLogin);
+
+router.use(authenticateRider);
+
+router.post('/logout', riderLogout);
+router.get('/orders', getAssignedOrders);
+router.post('/orders/:id/pickup', confirmPickup);
+router.post('/orders/:id/deliver', confirmDelivery);
+
+module.exports = router;
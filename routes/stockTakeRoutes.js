@@ -0,0 +1,54 @@
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { hasUserRole } = require('../middleware/roleAuth');
+const {
+  createStockTake,
+  getStockTakes,
+  getStockTake,
+  getCountSheet,
+  submitCounts,
+  importCounts,
+  approveStockTakeSession,
+  cancelStockTakeSession
+} = require('../controllers/stockTakeController');
+
+const router = express.Router();
+
+// Count sheets are uploaded as XLSX
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.xlsx')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .xlsx count sheets are allowed.'));
+    }
+  }
+}).single('file');
+
+const uploadCountSheet = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    next();
+  });
+};
+
+router.use(authenticateToken);
+router.use(hasUserRole(['WAREHOUSE', 'MANAGER', 'ADMIN']));
+
+router.post('/', createStockTake);
+router.get('/', getStockTakes);
+router.get('/:id', getStockTake);
+router.get('/:id/count-sheet.xlsx', getCountSheet);
+router.put('/:id/counts', submitCounts);
+router.post('/:id/counts/import', uploadCountSheet, importCounts);
+
+// Only managers can change stock levels from a count
+router.post('/:id/approve', hasUserRole(['MANAGER', 'ADMIN']), approveStockTakeSession);
+router.post('/:id/cancel', hasUserRole(['MANAGER', 'ADMIN']), cancelStockTakeSession);
+
+module.exports = router;
@@ -1,9 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const { getStores } = require('../controllers/storeController');
+const { createStockTransfer, getStockTransfers } = require('../controllers/stockTransferController');
+const {
+  getStoreReplenishment,
+  updateStockLevel,
+  deleteStockLevel,
+  getLowStockAlerts
+} = require('../controllers/replenishmentController');
+const { getExpiringBatches, getBatches, writeOff } = require('../controllers/batchController');
 const { protect } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotency');
+const { hasUserRole } = require('../middleware/roleAuth');
+
+const STOCK_ROLES = ['WAREHOUSE', 'MANAGER', 'ADMIN'];
 
 // Get all stores
 router.get('/', protect, getStores);
 
-module.exports = router; 
\ No newline at end of file
+// Stock transfers between stores
+router.get('/transfers', protect, hasUserRole(STOCK_ROLES), getStockTransfers);
+router.post('/transfers', protect, hasUserRole(STOCK_ROLES), idempotent('stock-transfers'), createStockTransfer);
+
+// Low-stock alerts and replenishment
+router.get('/low-stock', protect, hasUserRole(STOCK_ROLES), getLowStockAlerts);
+router.get('/:id/replenishment', protect, hasUserRole(STOCK_ROLES), getStoreReplenishment);
+router.put('/:id/stock-levels/:productId', protect, hasUserRole(['MANAGER', 'ADMIN']), updateStockLevel);
+router.delete('/:id/stock-levels/:productId', protect, hasUserRole(['MANAGER', 'ADMIN']), deleteStockLevel);
+
+// Batches and expiry
+router.get('/expiring', protect, hasUserRole(STOCK_ROLES), getExpiringBatches);
+router.get('/:id/batches', protect, hasUserRole(STOCK_ROLES), getBatches);
+router.post('/:id/batches/:batchId/write-off', protect, hasUserRole(['MANAGER', 'ADMIN']), idempotent('batch-write-offs'), writeOff);
+
+module.exports = router;
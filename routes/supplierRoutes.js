@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSuppliers,
+  createSupplier,
+  getSupplier,
+  getSupplierHistory,
+  getSupplierPayments,
+  createSupplierPayment
+} = require('../controllers/supplierController');
+const { protect } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotency');
+const { hasUserRole } = require('../middleware/roleAuth');
+
+const VIEW_ROLES = ['WAREHOUSE', 'FINANCE', 'MANAGER', 'ADMIN'];
+const ACCOUNT_ROLES = ['FINANCE', 'MANAGER', 'ADMIN'];
+
+router.get('/', protect, hasUserRole(VIEW_ROLES), getSuppliers);
+router.post('/', protect, hasUserRole(ACCOUNT_ROLES), createSupplier);
+router.get('/:id', protect, hasUserRole(VIEW_ROLES), getSupplier);
+
+// Supplier account
+router.get('/:id/history', protect, hasUserRole(ACCOUNT_ROLES), getSupplierHistory);
+router.get('/:id/payments', protect, hasUserRole(ACCOUNT_ROLES), getSupplierPayments);
+router.post('/:id/payments', protect, hasUserRole(['FINANCE', 'ADMIN']), idempotent('supplier-payments'), createSupplierPayment);
+
+module.exports = router;
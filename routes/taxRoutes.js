@@ -0,0 +1,26 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { hasUserRole } = require('../middleware/roleAuth');
+const {
+  getTaxRules,
+  createTaxRule,
+  deactivateTaxRule,
+  getInvoiceSequences,
+  updateInvoiceSequence
+} = require('../controllers/taxController');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(hasUserRole(['ADMIN']));
+
+// Tax rates per country, category or product
+router.get('/rules', getTaxRules);
+router.post('/rules', createTaxRule);
+router.delete('/rules/:id', deactivateTaxRule);
+
+// Invoice numbering
+router.get('/invoice-sequences', getInvoiceSequences);
+router.put('/invoice-sequences/:countryId', updateInvoiceSequence);
+
+module.exports = router;
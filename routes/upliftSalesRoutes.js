@@ -2,12 +2,13 @@ const express = require('express');
 const router = express.Router();
 const upliftSaleController = require('../controllers/upliftSaleController');
 const { auth } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotency');
 
 // Apply authentication middleware to all routes
 router.use(auth);
 
 // Create a new uplift sale
-router.post('/', upliftSaleController.createUpliftSale);
+router.post('/', idempotent('uplift-sales'), upliftSaleController.createUpliftSale);
 
 // Get all uplift sales with optional filters
 router.get('/', upliftSaleController.getUpliftSales);
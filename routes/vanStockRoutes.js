@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyVanStock,
+  getRepVanStock,
+  loadVan,
+  unloadVan,
+  getMyVanDay,
+  getRepVanDay,
+  submitMyReconciliation,
+  getReconciliations,
+  approveReconciliation
+} = require('../controllers/vanStockController');
+const { protect } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotency');
+const { hasUserRole } = require('../middleware/roleAuth');
+
+const STOCK_ROLES = ['WAREHOUSE', 'MANAGER', 'ADMIN'];
+
+// The signed-in rep's own van
+router.get('/me', protect, getMyVanStock);
+router.get('/me/day', protect, getMyVanDay);
+router.post('/me/reconciliation', protect, submitMyReconciliation);
+
+// End-of-day counts
+router.get('/reconciliations', protect, hasUserRole(STOCK_ROLES), getReconciliations);
+router.post('/reconciliations/:id/approve', protect, hasUserRole(['MANAGER', 'ADMIN']), approveReconciliation);
+
+// Any rep's van
+router.get('/:salesRepId', protect, hasUserRole(STOCK_ROLES), getRepVanStock);
+router.get('/:salesRepId/day', protect, hasUserRole(STOCK_ROLES), getRepVanDay);
+router.post('/:salesRepId/load', protect, hasUserRole(STOCK_ROLES), idempotent('van-loads'), loadVan);
+router.post('/:salesRepId/unload', protect, hasUserRole(STOCK_ROLES), idempotent('van-unloads'), unloadVan);
+
+module.exports = router;
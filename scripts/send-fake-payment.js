@@ -0,0 +1,40 @@
+require('dotenv').config();
+const axios = require('axios');
+
+// Send a payment through the fake mobile money provider of a locally running
+// server, the way a real provider callback would arrive. The server needs
+// NODE_ENV=development or ENABLE_FAKE_PAYMENTS=true, and FAKE_PAYMENT_TOKEN
+// set to the same value here.
+//
+// Usage: node scripts/send-fake-payment.js <amount> <accountNumber|phone> [payerPhone] [baseUrl]
+// An account number is C, the client ID and a check digit (C422 for client 42).
+
+async function sendFakePayment() {
+  const [amount, account, payerPhone, baseUrl = `http://localhost:${process.env.PORT || 5000}`] = process.argv.slice(2);
+
+  if (!amount || !account) {
+    console.log('Usage: node scripts/send-fake-payment.js <amount> <accountNumber|phone> [payerPhone] [baseUrl]');
+    process.exit(1);
+  }
+
+  const payload = {
+    transactionId: `FAKE${Date.now()}`,
+    amount: parseFloat(amount),
+    accountReference: account,
+    phone: payerPhone || (/^C/i.test(account) ? null : account),
+    payerName: 'Test Payer',
+    paidAt: new Date().toISOString()
+  };
+
+  try {
+    const { data } = await axios.post(`${baseUrl}/api/payments/callbacks/fake`, payload, {
+      headers: { 'X-Callback-Token': process.env.FAKE_PAYMENT_TOKEN || '' }
+    });
+    console.log(`✅ Sent ${payload.transactionId}:`, data);
+  } catch (error) {
+    console.error('❌ Callback failed:', error.response?.status, error.response?.data || error.message);
+    process.exit(1);
+  }
+}
+
+sendFakePayment();